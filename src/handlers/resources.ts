@@ -1,12 +1,26 @@
-import { McpServer, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { McpServer, ReadResourceTemplateCallback, ResourceTemplate } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { RallyClient } from '../rally/client';
+import { fetchAllPages } from '../rally/pagination';
+import { parseFetch, projectItem } from '../rally/projection';
 
 /**
- * Helper function to handle stories with any query parameters
+ * Helper function to turn any Rally query result into a list resource
+ * @param uri The requested resource URI, whose query parameters are forwarded to Rally.
+ * A fetch list also limits each item to those fields.
+ * @param label Plural artifact label used in log and error messages
+ * @param fetchResults Rally client call that performs the query
+ * @param itemUri Builds the rally:// URI of an individual result
+ * @param extra The MCP request context, used to report progress while walking every page
  */
-async function handleStories(uri: any, rallyClient: RallyClient) {
+async function handleQueryResource(
+  uri: any,
+  label: string,
+  fetchResults: (queryParams: Record<string, string>) => Promise<any>,
+  itemUri: (item: any) => string,
+  extra?: any
+) {
   try {
-    console.log('Fetching Rally stories from handler:', uri.toString());
+    console.log(`Fetching Rally ${label} from handler:`, uri.toString());
     
     // Parse URL parameters if any
     const url = new URL(uri.toString());
@@ -19,40 +33,223 @@ async function handleStories(uri: any, rallyClient: RallyClient) {
     
     console.log('Query parameters:', queryParams);
     
-    const data = await rallyClient.getStories(queryParams);
+    // all=true or maxResults=N walk every page instead of returning just the first one;
+    // compact=true flattens refs. Neither means anything to Rally.
+    const { all, maxResults, compact, ...rallyParams } = queryParams;
+    const fields = parseFetch(rallyParams.fetch);
+    if (fields && !fields.some((field) => field.toLowerCase() === 'objectid')) {
+      // Item URIs are built from ObjectID, even when the caller did not ask for it
+      rallyParams.fetch = [...fields, 'ObjectID'].join(',');
+    }
+    const projection = { fields, compact: compact === 'true' };
+    const walkPages = all === 'true' || maxResults !== undefined;
+    const progressToken = extra?._meta?.progressToken;
+    
+    const response = walkPages
+      ? await fetchAllPages(fetchResults, rallyParams, {
+          maxResults: maxResults !== undefined ? parseInt(maxResults, 10) : undefined,
+          signal: extra?.signal,
+          onProgress: progressToken !== undefined
+            ? (fetched, total) => extra.sendNotification({
+                method: 'notifications/progress',
+                params: { progressToken, progress: fetched, total, message: `Fetched ${fetched} of ${total} ${label}` }
+              })
+            : undefined
+        })
+      : await fetchResults(rallyParams);
+    // Rally wraps list responses in a QueryResult envelope
+    const data = response && response.QueryResult ? response.QueryResult : response;
     
     if (!data || !data.Results) {
       return {
         contents: [],
         _meta: {
-          message: 'No stories found'
+          message: `No ${label} found`
         }
       };
     }
     
     return {
-      contents: data.Results.map((story: any) => ({
-        uri: `rally://story/${story.ObjectID}`,
-        text: JSON.stringify(story, null, 2)
+      contents: data.Results.map((item: any) => ({
+        uri: itemUri(item),
+        text: JSON.stringify(projectItem(item, projection), null, 2)
       })),
       _meta: {
         total: data.TotalResultCount || data.Results.length,
         pageSize: data.PageSize || data.Results.length,
         startIndex: data.StartIndex || 1,
-        hasMore: (data.StartIndex + data.PageSize) < data.TotalResultCount
+        hasMore: walkPages
+          ? Boolean(data.Truncated)
+          : (data.StartIndex + data.PageSize) < data.TotalResultCount,
+        ...(walkPages && { truncated: Boolean(data.Truncated) })
       }
     };
   } catch (error) {
-    console.error('Error fetching stories:', error);
+    console.error(`Error fetching ${label}:`, error);
+    return {
+      contents: [],
+      _meta: {
+        error: `Failed to fetch ${label}: ${(error as Error).message}`
+      }
+    };
+  }
+}
+
+/**
+ * Helper function to return a single Rally object as a resource
+ * @param itemUri The rally:// URI of the object
+ * @param label Artifact label used in log and error messages
+ * @param id The ObjectID of the object
+ * @param fetchItem Rally client call that reads the object
+ */
+async function handleItemResource(
+  itemUri: string,
+  label: string,
+  id: string,
+  fetchItem: () => Promise<any>
+) {
+  try {
+    console.log(`Fetching Rally ${label} with ID: ${id}`);
+    const data = await fetchItem();
+    
+    if (!data) {
+      return {
+        contents: [],
+        _meta: {
+          error: `${label.charAt(0).toUpperCase()}${label.slice(1)} not found with ID: ${id}`
+        }
+      };
+    }
+    
+    return {
+      contents: [
+        {
+          uri: itemUri,
+          text: JSON.stringify(data, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    console.error(`Error fetching ${label}:`, error);
     return {
       contents: [],
       _meta: {
-        error: `Failed to fetch stories: ${(error as Error).message}`
+        error: `Failed to fetch ${label}: ${(error as Error).message}`
       }
     };
   }
 }
 
+/**
+ * Helper function to handle stories with any query parameters
+ */
+async function handleStories(uri: any, rallyClient: RallyClient, extra?: any) {
+  return handleQueryResource(
+    uri,
+    'stories',
+    (queryParams) => rallyClient.getStories(queryParams),
+    (story) => `rally://story/${story.ObjectID}`,
+    extra
+  );
+}
+
+/**
+ * Helper function to handle defects with any query parameters
+ */
+async function handleDefects(uri: any, rallyClient: RallyClient, extra?: any) {
+  return handleQueryResource(
+    uri,
+    'defects',
+    (queryParams) => rallyClient.getDefects(queryParams),
+    (defect) => `rally://defect/${defect.ObjectID}`,
+    extra
+  );
+}
+
+/**
+ * Helper function to handle milestones with any query parameters
+ */
+async function handleMilestones(uri: any, rallyClient: RallyClient, extra?: any) {
+  return handleQueryResource(
+    uri,
+    'milestones',
+    (queryParams) => rallyClient.getMilestones(queryParams),
+    (milestone) => `rally://milestone/${milestone.ObjectID}`,
+    extra
+  );
+}
+
+/**
+ * Helper function to handle risks with any query parameters
+ */
+async function handleRisks(uri: any, rallyClient: RallyClient, extra?: any) {
+  return handleQueryResource(
+    uri,
+    'risks',
+    (queryParams) => rallyClient.getRisks(queryParams),
+    (risk) => `rally://risk/${risk.ObjectID}`,
+    extra
+  );
+}
+
+/**
+ * Helper function to handle iterations with any query parameters
+ */
+async function handleIterations(uri: any, rallyClient: RallyClient, extra?: any) {
+  return handleQueryResource(
+    uri,
+    'iterations',
+    (queryParams) => rallyClient.getIterations(queryParams),
+    (iteration) => `rally://iteration/${iteration.ObjectID}`,
+    extra
+  );
+}
+
+/**
+ * Helper function to handle releases with any query parameters
+ */
+async function handleReleases(uri: any, rallyClient: RallyClient, extra?: any) {
+  return handleQueryResource(
+    uri,
+    'releases',
+    (queryParams) => rallyClient.getReleases(queryParams),
+    (release) => `rally://release/${release.ObjectID}`,
+    extra
+  );
+}
+
+/**
+ * Helper function to handle users with any query parameters
+ */
+async function handleUsers(uri: any, rallyClient: RallyClient, extra?: any) {
+  return handleQueryResource(
+    uri,
+    'users',
+    (queryParams) => rallyClient.getUsers(queryParams),
+    (user) => `rally://user/${user.ObjectID}`,
+    extra
+  );
+}
+
+/**
+ * Register a list resource under its URI template and again with a query string after it.
+ * A template variable stops at a comma and a literal path never matches a trailing query,
+ * so without the second template a URI such as rally://story/1/tasks?fetch=Name,State is not found.
+ * @param server The MCP server
+ * @param name The resource name; the query form is registered as `${name}-query`
+ * @param uriTemplate The URI template without a query string
+ * @param callback Reads the resource; query parameters come from the URI itself
+ */
+function registerListResource(
+  server: McpServer,
+  name: string,
+  uriTemplate: string,
+  callback: ReadResourceTemplateCallback
+) {
+  server.resource(name, new ResourceTemplate(uriTemplate, { list: undefined }), callback);
+  server.resource(`${name}-query`, new ResourceTemplate(`${uriTemplate}?{+query}`, { list: undefined }), callback);
+}
+
 /**
  * Register resource handlers with the MCP server
  */
@@ -80,21 +277,21 @@ export function registerResources(server: McpServer, rallyClient: RallyClient):
   server.resource(
     'stories',
     'rally://stories',
-    async (uri) => handleStories(uri, rallyClient)
+    async (uri, extra) => handleStories(uri, rallyClient, extra)
   );
 
   // Register handler specifically for stories with pageSize parameter
   server.resource(
     'stories-pagesize',
     'rally://stories?pageSize=5',
-    async (uri) => handleStories(uri, rallyClient)
+    async (uri, extra) => handleStories(uri, rallyClient, extra)
   );
 
   // Register handler specifically for stories with any query parameters
   server.resource(
     'stories-query',
-    new ResourceTemplate('rally://stories{?}', { list: undefined }),
-    async (uri) => handleStories(uri, rallyClient)
+    new ResourceTemplate('rally://stories?{+query}', { list: undefined }),
+    async (uri, params, extra) => handleStories(uri, rallyClient, extra)
   );
 
   // Register story resource - handles individual stories by ID
@@ -136,5 +333,425 @@ export function registerResources(server: McpServer, rallyClient: RallyClient):
     }
   );
 
+  // Register artifact resource - any artifact by FormattedID (US1234, DE42, F7...) or ObjectID
+  server.resource(
+    'artifact',
+    new ResourceTemplate('rally://artifact/{id}', { list: undefined }),
+    async (uri, params) => {
+      const id = params.id.toString();
+      return handleItemResource(`rally://artifact/${id}`, 'artifact', id, () => rallyClient.findArtifact(id));
+    }
+  );
+
+  // Register dependencies resource - the Predecessor/Successor graph around a story or portfolio item
+  server.resource(
+    'dependencies',
+    new ResourceTemplate('rally://dependencies/{id}', { list: undefined }),
+    async (uri) => {
+      // The template variable would also capture ?depth=N, so both come from the parsed URI
+      const { pathname, searchParams } = new URL(uri.toString());
+      const id = decodeURIComponent(pathname.slice(1));
+      const depth = parseInt(searchParams.get('depth') || '', 10);
+      return handleItemResource(
+        `rally://dependencies/${id}`,
+        'dependencies',
+        id,
+        () => rallyClient.traceDependencies(id, depth > 0 ? depth : undefined)
+      );
+    }
+  );
+
+  // Register story tasks resource - the task breakdown of a story
+  registerListResource(
+    server,
+    'story-tasks',
+    'rally://story/{id}/tasks',
+    async (uri, params, extra) => handleQueryResource(
+      uri,
+      'tasks',
+      (queryParams) => rallyClient.getTasks(params.id.toString(), queryParams),
+      (task) => `rally://task/${task.ObjectID}`,
+      extra
+    )
+  );
+
+  // Register story relationships resource - every artifact linked to a story, with its details
+  server.resource(
+    'story-relationships',
+    new ResourceTemplate('rally://story/{id}/relationships', { list: undefined }),
+    async (uri, params) => {
+      const id = params.id.toString();
+      return handleItemResource(
+        `rally://story/${id}/relationships`,
+        'relationships',
+        id,
+        () => rallyClient.getRelationships(id)
+      );
+    }
+  );
+
+  // Register task resource - handles individual tasks by ID
+  server.resource(
+    'task',
+    new ResourceTemplate('rally://task/{id}', { list: undefined }),
+    async (uri, params) => {
+      const id = params.id.toString();
+      return handleItemResource(`rally://task/${id}`, 'task', id, () => rallyClient.getTask(id));
+    }
+  );
+
+  // Register story discussion resource - the ConversationPosts on a story, oldest first
+  registerListResource(
+    server,
+    'story-discussion',
+    'rally://story/{id}/discussion',
+    async (uri, params, extra) => {
+      const id = params.id.toString();
+      return handleQueryResource(
+        uri,
+        'discussion posts',
+        (queryParams) => rallyClient.getDiscussion('HierarchicalRequirement', id, queryParams),
+        (post) => `rally://story/${id}/discussion#${post.PostNumber}`,
+        extra
+      );
+    }
+  );
+
+  // Register attachment resource - returns the attachment content as a blob
+  server.resource(
+    'attachment',
+    new ResourceTemplate('rally://attachment/{id}', { list: undefined }),
+    async (uri, params) => {
+      const id = params.id.toString();
+      try {
+        console.log(`Fetching Rally attachment with ID: ${id}`);
+        const attachment = await rallyClient.getAttachment(id);
+        
+        return {
+          contents: [
+            {
+              uri: `rally://attachment/${id}`,
+              mimeType: attachment.ContentType || 'application/octet-stream',
+              blob: attachment.base64Content
+            }
+          ],
+          _meta: {
+            name: attachment.Name,
+            size: attachment.Size
+          }
+        };
+      } catch (error) {
+        console.error(`Error fetching attachment:`, error);
+        return {
+          contents: [],
+          _meta: {
+            error: `Failed to fetch attachment: ${(error as Error).message}`
+          }
+        };
+      }
+    }
+  );
+
+  // Register timesheet resource - one user's time entries for a week
+  server.resource(
+    'timesheet',
+    new ResourceTemplate('rally://timesheet/{user}/{weekStart}', { list: undefined }),
+    async (uri, params) => {
+      const user = decodeURIComponent(params.user.toString());
+      const weekStart = params.weekStart.toString();
+      return handleItemResource(
+        `rally://timesheet/${params.user}/${weekStart}`,
+        'timesheet',
+        `${user}/${weekStart}`,
+        () => rallyClient.getTimesheet(user, weekStart)
+      );
+    }
+  );
+
+  // Register schema resource - the fields of an artifact type with their types and allowed values
+  server.resource(
+    'schema',
+    new ResourceTemplate('rally://schema/{type}', { list: undefined }),
+    async (uri, params) => {
+      const type = params.type.toString();
+      return handleItemResource(`rally://schema/${type}`, 'schema', type, () => rallyClient.getSchema(type));
+    }
+  );
+
+  // Register portfolio item schema resource - type paths contain a slash
+  server.resource(
+    'portfolioitem-schema',
+    new ResourceTemplate('rally://schema/portfolioitem/{type}', { list: undefined }),
+    async (uri, params) => {
+      const type = `portfolioitem/${params.type.toString()}`;
+      return handleItemResource(`rally://schema/${type}`, 'schema', type, () => rallyClient.getSchema(type));
+    }
+  );
+
+  // Register portfolio item types resource - the workspace's portfolio hierarchy
+  server.resource(
+    'portfolioitem-types',
+    'rally://portfolioitem-types',
+    async (uri) => {
+      try {
+        const types = await rallyClient.getPortfolioItemTypes();
+        return {
+          contents: [
+            {
+              uri: 'rally://portfolioitem-types',
+              text: JSON.stringify(types, null, 2)
+            }
+          ]
+        };
+      } catch (error) {
+        console.error(`Error fetching portfolio item types:`, error);
+        return {
+          contents: [],
+          _meta: {
+            error: `Failed to fetch portfolio item types: ${(error as Error).message}`
+          }
+        };
+      }
+    }
+  );
+
+  // Register portfolio items resource - lists items of one type, with any query parameters
+  registerListResource(
+    server,
+    'portfolioitems',
+    'rally://portfolioitems/{type}',
+    async (uri, params, extra) => {
+      // Without a comma in it, the query string is captured by {type}, so the type comes from the parsed URI
+      const type = decodeURIComponent(new URL(uri.toString()).pathname.slice(1));
+      return handleQueryResource(
+        uri,
+        `${type} items`,
+        (queryParams) => rallyClient.getPortfolioItems(type, queryParams),
+        (item) => `rally://portfolioitem/${type}/${item.ObjectID}`,
+        extra
+      );
+    }
+  );
+
+  // Register portfolio item resource - handles individual portfolio items by type and ID
+  server.resource(
+    'portfolioitem',
+    new ResourceTemplate('rally://portfolioitem/{type}/{id}', { list: undefined }),
+    async (uri, params) => {
+      const type = params.type.toString();
+      const id = params.id.toString();
+      return handleItemResource(
+        `rally://portfolioitem/${type}/${id}`,
+        type,
+        id,
+        () => rallyClient.getPortfolioItem(type, id)
+      );
+    }
+  );
+
+  // Register portfolio item stories resource - the user stories under a feature
+  registerListResource(
+    server,
+    'portfolioitem-stories',
+    'rally://portfolioitem/{type}/{id}/stories',
+    async (uri, params, extra) => handleQueryResource(
+      uri,
+      'stories',
+      (queryParams) => rallyClient.getPortfolioItemStories(params.type.toString(), params.id.toString(), queryParams),
+      (story) => `rally://story/${story.ObjectID}`,
+      extra
+    )
+  );
+
+  // Register handlers for iterations with and without query parameters
+  server.resource(
+    'iterations',
+    'rally://iterations',
+    async (uri, extra) => handleIterations(uri, rallyClient, extra)
+  );
+
+  server.resource(
+    'iterations-query',
+    new ResourceTemplate('rally://iterations?{+query}', { list: undefined }),
+    async (uri, params, extra) => handleIterations(uri, rallyClient, extra)
+  );
+
+  // Register iteration resource - handles individual iterations by ID
+  server.resource(
+    'iteration',
+    new ResourceTemplate('rally://iteration/{id}', { list: undefined }),
+    async (uri, params) => {
+      const id = params.id.toString();
+      return handleItemResource(`rally://iteration/${id}`, 'iteration', id, () => rallyClient.getIteration(id));
+    }
+  );
+
+  // Register handlers for releases with and without query parameters
+  server.resource(
+    'releases',
+    'rally://releases',
+    async (uri, extra) => handleReleases(uri, rallyClient, extra)
+  );
+
+  server.resource(
+    'releases-query',
+    new ResourceTemplate('rally://releases?{+query}', { list: undefined }),
+    async (uri, params, extra) => handleReleases(uri, rallyClient, extra)
+  );
+
+  // Register release resource - handles individual releases by ID
+  server.resource(
+    'release',
+    new ResourceTemplate('rally://release/{id}', { list: undefined }),
+    async (uri, params) => {
+      const id = params.id.toString();
+      return handleItemResource(`rally://release/${id}`, 'release', id, () => rallyClient.getRelease(id));
+    }
+  );
+
+  // Register workspaces resource - the workspaces this API key can access
+  server.resource(
+    'workspaces',
+    'rally://workspaces',
+    async (uri, extra) => handleQueryResource(
+      uri,
+      'workspaces',
+      (queryParams) => rallyClient.getWorkspaces(queryParams),
+      (workspace) => `rally://workspace/${workspace.ObjectID}/projects`,
+      extra
+    )
+  );
+
+  server.resource(
+    'workspaces-query',
+    new ResourceTemplate('rally://workspaces?{+query}', { list: undefined }),
+    async (uri, params, extra) => handleQueryResource(
+      uri,
+      'workspaces',
+      (queryParams) => rallyClient.getWorkspaces(queryParams),
+      (workspace) => `rally://workspace/${workspace.ObjectID}/projects`,
+      extra
+    )
+  );
+
+  // Register workspace projects resource - every project of a workspace with its Parent
+  registerListResource(
+    server,
+    'workspace-projects',
+    'rally://workspace/{id}/projects',
+    async (uri, params, extra) => handleQueryResource(
+      uri,
+      'projects',
+      (queryParams) => rallyClient.getWorkspaceProjects(params.id.toString(), queryParams),
+      (project) => `rally://project/${project.ObjectID}`,
+      extra
+    )
+  );
+
+  // Register project resource - a project with its children and team members
+  server.resource(
+    'project',
+    new ResourceTemplate('rally://project/{id}', { list: undefined }),
+    async (uri, params) => {
+      const id = params.id.toString();
+      return handleItemResource(`rally://project/${id}`, 'project', id, () => rallyClient.getProject(id));
+    }
+  );
+
+  // Register handlers for users with and without query parameters
+  server.resource(
+    'users',
+    'rally://users',
+    async (uri, extra) => handleUsers(uri, rallyClient, extra)
+  );
+
+  server.resource(
+    'users-query',
+    new ResourceTemplate('rally://users?{+query}', { list: undefined }),
+    async (uri, params, extra) => handleUsers(uri, rallyClient, extra)
+  );
+
+  // Register user resource - handles individual users by ID
+  server.resource(
+    'user',
+    new ResourceTemplate('rally://user/{id}', { list: undefined }),
+    async (uri, params) => {
+      const id = params.id.toString();
+      return handleItemResource(`rally://user/${id}`, 'user', id, () => rallyClient.getUser(id));
+    }
+  );
+
+  // Register handler for defects without query parameters
+  server.resource(
+    'defects',
+    'rally://defects',
+    async (uri, extra) => handleDefects(uri, rallyClient, extra)
+  );
+
+  // Register handler for defects with any query parameters
+  server.resource(
+    'defects-query',
+    new ResourceTemplate('rally://defects?{+query}', { list: undefined }),
+    async (uri, params, extra) => handleDefects(uri, rallyClient, extra)
+  );
+
+  // Register defect resource - handles individual defects by ID
+  server.resource(
+    'defect',
+    new ResourceTemplate('rally://defect/{id}', { list: undefined }),
+    async (uri, params) => {
+      const id = params.id.toString();
+      return handleItemResource(`rally://defect/${id}`, 'defect', id, () => rallyClient.getDefect(id));
+    }
+  );
+
+  // Register milestones resource - lists milestones ordered by TargetDate
+  server.resource(
+    'milestones',
+    'rally://milestones',
+    async (uri, extra) => handleMilestones(uri, rallyClient, extra)
+  );
+
+  // Register handler for milestones with any query parameters
+  server.resource(
+    'milestones-query',
+    new ResourceTemplate('rally://milestones?{+query}', { list: undefined }),
+    async (uri, params, extra) => handleMilestones(uri, rallyClient, extra)
+  );
+
+  // Register milestone resource - the milestone with its artifacts and TargetDate slippage
+  server.resource(
+    'milestone',
+    new ResourceTemplate('rally://milestone/{id}', { list: undefined }),
+    async (uri, params) => {
+      const id = params.id.toString();
+      return handleItemResource(`rally://milestone/${id}`, 'milestone', id, () => rallyClient.getMilestone(id));
+    }
+  );
+
+  // Register risks resource
+  server.resource(
+    'risks',
+    'rally://risks',
+    async (uri, extra) => handleRisks(uri, rallyClient, extra)
+  );
+
+  // Register handler for risks with any query parameters
+  server.resource(
+    'risks-query',
+    new ResourceTemplate('rally://risks?{+query}', { list: undefined }),
+    async (uri, params, extra) => handleRisks(uri, rallyClient, extra)
+  );
+
+  // Register risk resource - handles individual risks by ID
+  server.resource(
+    'risk',
+    new ResourceTemplate('rally://risk/{id}', { list: undefined }),
+    async (uri, params) => {
+      const id = params.id.toString();
+      return handleItemResource(`rally://risk/${id}`, 'risk', id, () => rallyClient.getRisk(id));
+    }
+  );
+
   console.log('Resource handlers registered');
 } 
\ No newline at end of file
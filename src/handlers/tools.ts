@@ -1,6 +1,77 @@
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { z } from 'zod';
+import * as fs from 'fs';
+import * as path from 'path';
 import { RallyClient, RelationshipType } from '../rally/client';
+import { QueryFilter } from '../rally/query';
+
+/**
+ * MIME types for common attachment extensions; anything else is sent as binary
+ */
+const ATTACHMENT_MIME_TYPES: Record<string, string> = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml',
+  '.pdf': 'application/pdf',
+  '.txt': 'text/plain',
+  '.log': 'text/plain',
+  '.csv': 'text/csv',
+  '.json': 'application/json',
+  '.xml': 'application/xml',
+  '.html': 'text/html',
+  '.zip': 'application/zip'
+};
+
+/**
+ * Convert plain text to Rally rich text, escaping HTML and keeping line breaks
+ */
+function toRichText(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\r?\n/g, '<br />');
+}
+
+/**
+ * A search condition, or an and/or group of conditions, for searchArtifacts
+ */
+const queryValueSchema = z.union([z.string(), z.number(), z.boolean(), z.null()]);
+const queryFilterSchema: z.ZodType<QueryFilter> = z.lazy(() => z.union([
+  z.object({
+    field: z.string().min(1, "Filter field is required"),
+    operator: z.string().min(1, "Filter operator is required"),
+    value: z.union([queryValueSchema, z.array(queryValueSchema)]),
+  }),
+  z.object({ and: z.array(queryFilterSchema).min(1) }),
+  z.object({ or: z.array(queryFilterSchema).min(1) }),
+]));
+
+/**
+ * Describe an artifact by FormattedID and ObjectID when Rally returned both, else by the given ID
+ */
+function artifactLabel(id: string, result: any): string {
+  const artifact = result && result.OperationResult ? result.OperationResult.Object : result;
+  return artifact && artifact.FormattedID && artifact.ObjectID
+    ? `${artifact.FormattedID} (ObjectID ${artifact.ObjectID})`
+    : id;
+}
+
+/**
+ * Validate custom (c_) fields against the type's schema and merge them into the Rally data
+ */
+async function addCustomFields(
+  rallyClient: RallyClient,
+  type: string,
+  data: Record<string, any>,
+  customFields?: Record<string, any>
+): Promise<void> {
+  if (customFields && Object.keys(customFields).length > 0) {
+    Object.assign(data, await rallyClient.validateCustomFields(type, customFields));
+  }
+}
 
 /**
  * Register tool handlers with the MCP server
@@ -16,8 +87,12 @@ export function registerTools(server: McpServer, rallyClient: RallyClient): void
       state: z.string().optional(),
       estimate: z.number().optional(),
       priority: z.string().optional(),
+      iteration: z.string().optional(),
+      release: z.string().optional(),
+      owner: z.string().optional(),
+      customFields: z.record(z.any()).optional(),
     },
-    async ({ name, description, projectId, state, estimate, priority }, context) => {
+    async ({ name, description, projectId, state, estimate, priority, iteration, release, owner, customFields }, context) => {
       // In the createStory handler
       try {
         // Access the progress update function
@@ -47,12 +122,25 @@ export function registerTools(server: McpServer, rallyClient: RallyClient): void
         if (priority) {
           storyData.Priority = priority;
         }
+        if (iteration) {
+          storyData.Iteration = { _ref: await rallyClient.resolveTimeboxRef('Iteration', iteration) };
+        }
+        if (release) {
+          storyData.Release = { _ref: await rallyClient.resolveTimeboxRef('Release', release) };
+        }
+        if (owner) {
+          // Rally client resolves names, emails and usernames to user refs
+          storyData.Owner = owner;
+        }
       
         // Send progress update before API call
         if (sendProgressUpdate) {
           sendProgressUpdate('createStory', 50, 'Sending request to Rally API');
         }
       
+        // Custom (c_) fields are checked against the workspace schema
+        await addCustomFields(rallyClient, 'story', storyData, customFields);
+
         // Create the story in Rally
         const result = await rallyClient.createStory(storyData);
       
@@ -66,7 +154,7 @@ export function registerTools(server: McpServer, rallyClient: RallyClient): void
           content: [
             { 
               type: 'text', 
-              text: `Successfully created story "${name}" with ID ${(result as any).FormattedID}` 
+              text: `Successfully created story "${name}" with ID ${(result as any).FormattedID} (ObjectID ${(result as any).ObjectID})` 
             }
           ]
         };
@@ -94,8 +182,12 @@ export function registerTools(server: McpServer, rallyClient: RallyClient): void
       state: z.string().optional(),
       estimate: z.number().optional(),
       priority: z.string().optional(),
+      iteration: z.string().optional(),
+      release: z.string().optional(),
+      owner: z.string().optional(),
+      customFields: z.record(z.any()).optional(),
     },
-    async ({ id, name, description, state, estimate, priority }, context) => {
+    async ({ id, name, description, state, estimate, priority, iteration, release, owner, customFields }, context) => {
       try {
         // Access the progress update function
         const sendProgressUpdate = (server as any).sendProgressUpdate;
@@ -113,6 +205,23 @@ export function registerTools(server: McpServer, rallyClient: RallyClient): void
         if (state !== undefined) updateData.ScheduleState = state;
         if (estimate !== undefined) updateData.PlanEstimate = estimate;
         if (priority !== undefined) updateData.Priority = priority;
+        if (iteration !== undefined) {
+          // An empty string unschedules the story from its iteration
+          updateData.Iteration = iteration
+            ? { _ref: await rallyClient.resolveTimeboxRef('Iteration', iteration) }
+            : null;
+        }
+        if (release !== undefined) {
+          updateData.Release = release
+            ? { _ref: await rallyClient.resolveTimeboxRef('Release', release) }
+            : null;
+        }
+        if (owner !== undefined) {
+          // An empty string clears the owner
+          updateData.Owner = owner || null;
+        }
+
+        await addCustomFields(rallyClient, 'story', updateData, customFields);
 
         // Check if any data was provided to update
         if (Object.keys(updateData).length === 0) {
@@ -147,7 +256,7 @@ export function registerTools(server: McpServer, rallyClient: RallyClient): void
           content: [
             { 
               type: 'text', 
-              text: `Successfully updated story ${id}` 
+              text: `Successfully updated story ${artifactLabel(id, result)}` 
             }
           ]
         };
@@ -198,54 +307,152 @@ export function registerTools(server: McpServer, rallyClient: RallyClient): void
     }
   );
 
-  // Create Relationship Tool
+  // Create Defect Tool
   server.tool(
-    'createRelationship',
+    'createDefect',
     {
-      sourceId: z.string().min(1, "Source ID is required"),
-      targetId: z.string().min(1, "Target ID is required"),
-      relationshipType: z.enum([
-        'Predecessor', 
-        'Successor', 
-        'Parent', 
-        'Child', 
-        'Blocker', 
-        'Blocked',
-        'Duplicate',
-        'Duplicated'
-      ], { 
-        errorMap: () => ({ 
-          message: "Relationship type must be one of: Predecessor, Successor, Parent, Child, Blocker, Blocked, Duplicate, Duplicated" 
-        })
-      })
+      name: z.string().min(1, "Defect name is required"),
+      description: z.string().optional(),
+      projectId: z.string().optional(),
+      severity: z.string().optional(),
+      priority: z.string().optional(),
+      state: z.string().optional(),
+      environment: z.string().optional(),
+      foundInBuild: z.string().optional(),
+      fixedInBuild: z.string().optional(),
+      requirementId: z.string().optional(),
+      owner: z.string().optional(),
+      customFields: z.record(z.any()).optional(),
     },
-    async ({ sourceId, targetId, relationshipType }) => {
+    async ({ name, description, projectId, severity, priority, state, environment, foundInBuild, fixedInBuild, requirementId, owner, customFields }) => {
       try {
-        // Validate that sourceId and targetId are not the same
-        if (sourceId === targetId) {
+        // Prepare data for Rally API
+        const defectData: any = {
+          Name: name,
+          Description: description,
+        };
+      
+        // Add optional fields if provided
+        if (projectId) {
+          defectData.Project = { _ref: `/project/${projectId}` };
+        }
+        if (severity) {
+          defectData.Severity = severity;
+        }
+        if (priority) {
+          defectData.Priority = priority;
+        }
+        if (state) {
+          defectData.State = state;
+        }
+        if (environment) {
+          defectData.Environment = environment;
+        }
+        if (foundInBuild) {
+          defectData.FoundInBuild = foundInBuild;
+        }
+        if (fixedInBuild) {
+          defectData.FixedInBuild = fixedInBuild;
+        }
+        if (requirementId) {
+          defectData.Requirement = { _ref: `/HierarchicalRequirement/${requirementId}` };
+        }
+        if (owner) {
+          // Rally client resolves names, emails and usernames to user refs
+          defectData.Owner = owner;
+        }
+      
+        // Custom (c_) fields are checked against the workspace schema
+        await addCustomFields(rallyClient, 'defect', defectData, customFields);
+
+        // Create the defect in Rally
+        const result = await rallyClient.createDefect(defectData);
+      
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Successfully created defect "${name}" with ID ${(result as any).FormattedID} (ObjectID ${(result as any).ObjectID})` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error creating defect: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Update Defect Tool
+  server.tool(
+    'updateDefect',
+    {
+      id: z.string().min(1, "Defect ID is required"),
+      name: z.string().optional(),
+      description: z.string().optional(),
+      severity: z.string().optional(),
+      priority: z.string().optional(),
+      state: z.string().optional(),
+      environment: z.string().optional(),
+      foundInBuild: z.string().optional(),
+      fixedInBuild: z.string().optional(),
+      requirementId: z.string().optional(),
+      owner: z.string().optional(),
+      customFields: z.record(z.any()).optional(),
+    },
+    async ({ id, name, description, severity, priority, state, environment, foundInBuild, fixedInBuild, requirementId, owner, customFields }) => {
+      try {
+        // Create update data object with only the fields that are provided
+        const updateData: any = {};
+        
+        if (name !== undefined) updateData.Name = name;
+        if (description !== undefined) updateData.Description = description;
+        if (severity !== undefined) updateData.Severity = severity;
+        if (priority !== undefined) updateData.Priority = priority;
+        if (state !== undefined) updateData.State = state;
+        if (environment !== undefined) updateData.Environment = environment;
+        if (foundInBuild !== undefined) updateData.FoundInBuild = foundInBuild;
+        if (fixedInBuild !== undefined) updateData.FixedInBuild = fixedInBuild;
+        if (requirementId !== undefined) {
+          // An empty string unlinks the defect from its story
+          updateData.Requirement = requirementId
+            ? { _ref: `/HierarchicalRequirement/${requirementId}` }
+            : null;
+        }
+        if (owner !== undefined) {
+          // An empty string clears the owner
+          updateData.Owner = owner || null;
+        }
+
+        await addCustomFields(rallyClient, 'defect', updateData, customFields);
+
+        // Check if any data was provided to update
+        if (Object.keys(updateData).length === 0) {
           return {
             content: [
               { 
                 type: 'text', 
-                text: 'Source and target cannot be the same artifact.' 
+                text: 'No fields provided for update. Defect was not modified.' 
               }
             ],
             isError: true
           };
         }
 
-        // Create the relationship
-        await rallyClient.createRelationship(
-          sourceId, 
-          targetId, 
-          relationshipType as RelationshipType
-        );
+        const result = await rallyClient.updateDefect(id, updateData);
 
         return {
           content: [
             { 
               type: 'text', 
-              text: `Successfully created ${relationshipType} relationship from ${sourceId} to ${targetId}` 
+              text: `Successfully updated defect ${artifactLabel(id, result)}` 
             }
           ]
         };
@@ -254,7 +461,7 @@ export function registerTools(server: McpServer, rallyClient: RallyClient): void
           content: [
             { 
               type: 'text', 
-              text: `Error creating relationship: ${(error as Error).message}` 
+              text: `Error updating defect: ${(error as Error).message}` 
             }
           ],
           isError: true
@@ -263,41 +470,22 @@ export function registerTools(server: McpServer, rallyClient: RallyClient): void
     }
   );
 
-  // Remove Relationship Tool
+  // Delete Defect Tool
   server.tool(
-    'removeRelationship',
+    'deleteDefect',
     {
-      sourceId: z.string().min(1, "Source ID is required"),
-      targetId: z.string().min(1, "Target ID is required"),
-      relationshipType: z.enum([
-        'Predecessor', 
-        'Successor', 
-        'Parent', 
-        'Child', 
-        'Blocker', 
-        'Blocked',
-        'Duplicate',
-        'Duplicated'
-      ], { 
-        errorMap: () => ({ 
-          message: "Relationship type must be one of: Predecessor, Successor, Parent, Child, Blocker, Blocked, Duplicate, Duplicated" 
-        })
-      })
+      id: z.string().min(1, "Defect ID is required"),
     },
-    async ({ sourceId, targetId, relationshipType }) => {
+    async ({ id }) => {
       try {
-        // Remove the relationship
-        await rallyClient.removeRelationship(
-          sourceId, 
-          targetId, 
-          relationshipType as RelationshipType
-        );
+        // Delete the defect
+        await rallyClient.deleteDefect(id);
 
         return {
           content: [
             { 
               type: 'text', 
-              text: `Successfully removed ${relationshipType} relationship from ${sourceId} to ${targetId}` 
+              text: `Successfully deleted defect ${id}` 
             }
           ]
         };
@@ -306,7 +494,7 @@ export function registerTools(server: McpServer, rallyClient: RallyClient): void
           content: [
             { 
               type: 'text', 
-              text: `Error removing relationship: ${(error as Error).message}` 
+              text: `Error deleting defect: ${(error as Error).message}` 
             }
           ],
           isError: true
@@ -315,55 +503,2321 @@ export function registerTools(server: McpServer, rallyClient: RallyClient): void
     }
   );
 
-  // Get Relationships Tool
+  // Create Task Tool
   server.tool(
-    'getRelationships',
+    'createTask',
     {
-      artifactId: z.string().min(1, "Artifact ID is required")
+      storyId: z.string().min(1, "Story ID is required"),
+      name: z.string().min(1, "Task name is required"),
+      description: z.string().optional(),
+      state: z.string().optional(),
+      estimate: z.number().optional(),
+      toDo: z.number().optional(),
+      actuals: z.number().optional(),
+      owner: z.string().optional(),
+      customFields: z.record(z.any()).optional(),
     },
-    async ({ artifactId }) => {
+    async ({ storyId, name, description, state, estimate, toDo, actuals, owner, customFields }) => {
       try {
-        // Get the relationships
-        const result = await rallyClient.getRelationships(artifactId);
-        
-        // Format the result for display
-        const artifact = result.HierarchicalRequirement || {};
-        const relationships: Record<string, any> = {};
-        
-        // Extract each relationship type
-        if (artifact.Predecessors) {
-          relationships.Predecessors = artifact.Predecessors._tagsNameArray || [];
+        // Prepare data for Rally API
+        const taskData: any = {
+          Name: name,
+          WorkProduct: { _ref: `/HierarchicalRequirement/${storyId}` },
+        };
+      
+        // Add optional fields if provided
+        if (description) {
+          taskData.Description = description;
         }
-        
-        if (artifact.Successors) {
-          relationships.Successors = artifact.Successors._tagsNameArray || [];
+        if (state) {
+          taskData.State = state;
         }
-        
-        if (artifact.Children) {
-          relationships.Children = artifact.Children._tagsNameArray || [];
+        if (estimate !== undefined) {
+          taskData.Estimate = estimate;
         }
-        
-        if (artifact.Parent) {
-          relationships.Parent = artifact.Parent._refObjectName;
+        if (toDo !== undefined) {
+          taskData.ToDo = toDo;
         }
-        
-        if (artifact.Blocked) {
-          relationships.Blocked = artifact.Blocked._tagsNameArray || [];
+        if (actuals !== undefined) {
+          taskData.Actuals = actuals;
         }
+        if (owner) {
+          // Rally client resolves names, emails and usernames to user refs
+          taskData.Owner = owner;
+        }
+      
+        // Custom (c_) fields are checked against the workspace schema
+        await addCustomFields(rallyClient, 'task', taskData, customFields);
+
+        // Create the task in Rally
+        const result = await rallyClient.createTask(taskData);
+      
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Successfully created task "${name}" with ID ${(result as any).FormattedID} (ObjectID ${(result as any).ObjectID}) under story ${storyId}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error creating task: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Update Task Tool
+  server.tool(
+    'updateTask',
+    {
+      id: z.string().min(1, "Task ID is required"),
+      name: z.string().optional(),
+      description: z.string().optional(),
+      state: z.string().optional(),
+      estimate: z.number().optional(),
+      toDo: z.number().optional(),
+      actuals: z.number().optional(),
+      owner: z.string().optional(),
+      customFields: z.record(z.any()).optional(),
+    },
+    async ({ id, name, description, state, estimate, toDo, actuals, owner, customFields }) => {
+      try {
+        // Create update data object with only the fields that are provided
+        const updateData: any = {};
         
-        if (artifact.Blocker) {
-          relationships.Blocker = artifact.Blocker._tagsNameArray || [];
+        if (name !== undefined) updateData.Name = name;
+        if (description !== undefined) updateData.Description = description;
+        if (state !== undefined) updateData.State = state;
+        if (estimate !== undefined) updateData.Estimate = estimate;
+        if (toDo !== undefined) updateData.ToDo = toDo;
+        if (actuals !== undefined) updateData.Actuals = actuals;
+        if (owner !== undefined) {
+          // An empty string clears the owner
+          updateData.Owner = owner || null;
+        }
+
+        await addCustomFields(rallyClient, 'task', updateData, customFields);
+
+        // Check if any data was provided to update
+        if (Object.keys(updateData).length === 0) {
+          return {
+            content: [
+              { 
+                type: 'text', 
+                text: 'No fields provided for update. Task was not modified.' 
+              }
+            ],
+            isError: true
+          };
         }
+
+        const result = await rallyClient.updateTask(id, updateData);
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Successfully updated task ${artifactLabel(id, result)}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error updating task: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // List Tasks Tool
+  server.tool(
+    'listTasks',
+    {
+      storyId: z.string().min(1, "Story ID is required"),
+    },
+    async ({ storyId }) => {
+      try {
+        const result = await rallyClient.getTasks(storyId);
+        const tasks = (result.QueryResult || result).Results || [];
         
-        if (artifact.Duplicates) {
-          relationships.Duplicates = artifact.Duplicates._tagsNameArray || [];
+        // Summarize each task with the fields that matter for planning
+        const summary = tasks.map((task: any) => ({
+          FormattedID: task.FormattedID,
+          ObjectID: task.ObjectID,
+          Name: task.Name,
+          State: task.State,
+          Estimate: task.Estimate,
+          ToDo: task.ToDo,
+          Actuals: task.Actuals,
+          Owner: task.Owner ? task.Owner._refObjectName : null
+        }));
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Tasks for story ${storyId}:\n${JSON.stringify(summary, null, 2)}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error listing tasks: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Delete Task Tool
+  server.tool(
+    'deleteTask',
+    {
+      id: z.string().min(1, "Task ID is required"),
+    },
+    async ({ id }) => {
+      try {
+        // Delete the task
+        await rallyClient.deleteTask(id);
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Successfully deleted task ${id}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error deleting task: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // List Portfolio Item Types Tool
+  server.tool(
+    'listPortfolioItemTypes',
+    {},
+    async () => {
+      try {
+        const types = await rallyClient.getPortfolioItemTypes();
+        
+        // Lowest level (e.g. Feature) first, as ordered by Rally
+        const summary = (types || []).map((type: any) => ({
+          Name: type.Name,
+          TypePath: type.TypePath,
+          Ordinal: type.Ordinal
+        }));
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Portfolio item types:\n${JSON.stringify(summary, null, 2)}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error listing portfolio item types: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Create Portfolio Item Tool
+  server.tool(
+    'createPortfolioItem',
+    {
+      type: z.string().min(1, "Portfolio item type is required"),
+      name: z.string().min(1, "Portfolio item name is required"),
+      description: z.string().optional(),
+      projectId: z.string().optional(),
+      parentId: z.string().optional(),
+      parentType: z.string().optional(),
+      plannedStartDate: z.string().optional(),
+      plannedEndDate: z.string().optional(),
+      customFields: z.record(z.any()).optional(),
+    },
+    async ({ type, name, description, projectId, parentId, parentType, plannedStartDate, plannedEndDate, customFields }) => {
+      try {
+        if (parentId && !parentType) {
+          return {
+            content: [
+              { 
+                type: 'text', 
+                text: 'parentType is required when parentId is provided (e.g. "Epic" for a Feature).' 
+              }
+            ],
+            isError: true
+          };
+        }
+
+        // Prepare data for Rally API
+        const itemData: any = {
+          Name: name,
+          Description: description,
+        };
+      
+        // Add optional fields if provided
+        if (projectId) {
+          itemData.Project = { _ref: `/project/${projectId}` };
+        }
+        if (parentId && parentType) {
+          itemData.Parent = { _ref: `/${rallyClient.portfolioItemPath(parentType)}/${parentId}` };
+        }
+        if (plannedStartDate) {
+          itemData.PlannedStartDate = plannedStartDate;
+        }
+        if (plannedEndDate) {
+          itemData.PlannedEndDate = plannedEndDate;
+        }
+      
+        // Custom (c_) fields are checked against the workspace schema
+        await addCustomFields(rallyClient, `portfolioitem/${type}`, itemData, customFields);
+
+        const result = await rallyClient.createPortfolioItem(type, itemData);
+      
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Successfully created ${type} "${name}" with ID ${(result as any).FormattedID} (ObjectID ${(result as any).ObjectID})` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error creating portfolio item: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Update Portfolio Item Tool
+  server.tool(
+    'updatePortfolioItem',
+    {
+      type: z.string().min(1, "Portfolio item type is required"),
+      id: z.string().min(1, "Portfolio item ID is required"),
+      name: z.string().optional(),
+      description: z.string().optional(),
+      parentId: z.string().optional(),
+      parentType: z.string().optional(),
+      plannedStartDate: z.string().optional(),
+      plannedEndDate: z.string().optional(),
+      customFields: z.record(z.any()).optional(),
+    },
+    async ({ type, id, name, description, parentId, parentType, plannedStartDate, plannedEndDate, customFields }) => {
+      try {
+        // Create update data object with only the fields that are provided
+        const updateData: any = {};
+        
+        if (name !== undefined) updateData.Name = name;
+        if (description !== undefined) updateData.Description = description;
+        if (plannedStartDate !== undefined) updateData.PlannedStartDate = plannedStartDate;
+        if (plannedEndDate !== undefined) updateData.PlannedEndDate = plannedEndDate;
+        if (parentId !== undefined) {
+          if (parentId && !parentType) {
+            return {
+              content: [
+                { 
+                  type: 'text', 
+                  text: 'parentType is required when parentId is provided (e.g. "Epic" for a Feature).' 
+                }
+              ],
+              isError: true
+            };
+          }
+          // An empty string detaches the item from its parent
+          updateData.Parent = parentId && parentType
+            ? { _ref: `/${rallyClient.portfolioItemPath(parentType)}/${parentId}` }
+            : null;
+        }
+
+        await addCustomFields(rallyClient, `portfolioitem/${type}`, updateData, customFields);
+
+        // Check if any data was provided to update
+        if (Object.keys(updateData).length === 0) {
+          return {
+            content: [
+              { 
+                type: 'text', 
+                text: 'No fields provided for update. Portfolio item was not modified.' 
+              }
+            ],
+            isError: true
+          };
+        }
+
+        const result = await rallyClient.updatePortfolioItem(type, id, updateData);
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Successfully updated ${type} ${artifactLabel(id, result)}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error updating portfolio item: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Delete Portfolio Item Tool
+  server.tool(
+    'deletePortfolioItem',
+    {
+      type: z.string().min(1, "Portfolio item type is required"),
+      id: z.string().min(1, "Portfolio item ID is required"),
+    },
+    async ({ type, id }) => {
+      try {
+        await rallyClient.deletePortfolioItem(type, id);
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Successfully deleted ${type} ${id}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error deleting portfolio item: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Assign Portfolio Item Tool
+  server.tool(
+    'assignPortfolioItem',
+    {
+      storyId: z.string().min(1, "Story ID is required"),
+      portfolioItemId: z.string(),
+      portfolioItemType: z.string().default('Feature'),
+    },
+    async ({ storyId, portfolioItemId, portfolioItemType }) => {
+      try {
+        // An empty portfolioItemId removes the story from its portfolio item
+        await rallyClient.setStoryPortfolioItem(storyId, portfolioItemType, portfolioItemId || null);
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: portfolioItemId
+                ? `Successfully assigned story ${storyId} to ${portfolioItemType} ${portfolioItemId}`
+                : `Successfully removed story ${storyId} from its portfolio item`
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error assigning portfolio item: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // List Portfolio Item Stories Tool
+  server.tool(
+    'listPortfolioItemStories',
+    {
+      id: z.string().min(1, "Portfolio item ID is required"),
+      type: z.string().default('Feature'),
+    },
+    async ({ id, type }) => {
+      try {
+        const result = await rallyClient.getPortfolioItemStories(type, id);
+        const stories = (result.QueryResult || result).Results || [];
+        
+        const summary = stories.map((story: any) => ({
+          FormattedID: story.FormattedID,
+          ObjectID: story.ObjectID,
+          Name: story.Name,
+          ScheduleState: story.ScheduleState,
+          PlanEstimate: story.PlanEstimate,
+          Owner: story.Owner ? story.Owner._refObjectName : null
+        }));
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `User stories for ${type} ${id}:\n${JSON.stringify(summary, null, 2)}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error listing portfolio item stories: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Schedule Artifact Tool
+  server.tool(
+    'scheduleArtifact',
+    {
+      artifactId: z.string().min(1, "Artifact ID is required"),
+      artifactType: z.enum(['story', 'defect']).default('story'),
+      iteration: z.string().optional(),
+      release: z.string().optional(),
+    },
+    async ({ artifactId, artifactType, iteration, release }) => {
+      try {
+        if (iteration === undefined && release === undefined) {
+          return {
+            content: [
+              { 
+                type: 'text', 
+                text: 'Provide an iteration and/or release (name or ObjectID, or an empty string to unschedule).' 
+              }
+            ],
+            isError: true
+          };
+        }
+
+        // Empty strings move the artifact out of its iteration or release
+        await rallyClient.scheduleArtifact(
+          artifactType === 'defect' ? 'Defect' : 'HierarchicalRequirement',
+          artifactId,
+          {
+            iteration: iteration === undefined ? undefined : iteration || null,
+            release: release === undefined ? undefined : release || null
+          }
+        );
+
+        const changes: string[] = [];
+        if (iteration !== undefined) {
+          changes.push(iteration ? `iteration "${iteration}"` : 'no iteration');
+        }
+        if (release !== undefined) {
+          changes.push(release ? `release "${release}"` : 'no release');
+        }
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Successfully scheduled ${artifactType} ${artifactId} into ${changes.join(' and ')}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error scheduling artifact: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Create Test Case Tool
+  server.tool(
+    'createTestCase',
+    {
+      name: z.string().min(1, "Test case name is required"),
+      storyId: z.string().optional(),
+      description: z.string().optional(),
+      objective: z.string().optional(),
+      preConditions: z.string().optional(),
+      type: z.string().optional(),
+      method: z.string().optional(),
+      priority: z.string().optional(),
+      testFolderId: z.string().optional(),
+      projectId: z.string().optional(),
+      steps: z.array(z.object({
+        input: z.string().min(1, "Step input is required"),
+        expectedResult: z.string().optional(),
+      })).optional(),
+      customFields: z.record(z.any()).optional(),
+    },
+    async ({ name, storyId, description, objective, preConditions, type, method, priority, testFolderId, projectId, steps, customFields }) => {
+      try {
+        // Prepare data for Rally API
+        const testCaseData: any = {
+          Name: name,
+        };
+      
+        // Add optional fields if provided
+        if (storyId) {
+          // Linking the WorkProduct adds the test case to the story's TestCases collection
+          testCaseData.WorkProduct = { _ref: `/HierarchicalRequirement/${storyId}` };
+        }
+        if (description) testCaseData.Description = description;
+        if (objective) testCaseData.Objective = objective;
+        if (preConditions) testCaseData.PreConditions = preConditions;
+        if (type) testCaseData.Type = type;
+        if (method) testCaseData.Method = method;
+        if (priority) testCaseData.Priority = priority;
+        if (testFolderId) {
+          testCaseData.TestFolder = { _ref: `/testfolder/${testFolderId}` };
+        }
+        if (projectId) {
+          testCaseData.Project = { _ref: `/project/${projectId}` };
+        }
+      
+        // Custom (c_) fields are checked against the workspace schema
+        await addCustomFields(rallyClient, 'testcase', testCaseData, customFields);
+
+        const result = await rallyClient.createTestCase(testCaseData);
+        
+        // Steps are separate TestCaseStep objects, created in order after the test case
+        const testCaseId = String((result as any).ObjectID);
+        for (const [index, step] of (steps || []).entries()) {
+          await rallyClient.createTestCaseStep(testCaseId, {
+            Input: step.input,
+            ExpectedResult: step.expectedResult,
+            StepIndex: index + 1
+          });
+        }
+      
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Successfully created test case "${name}" with ID ${(result as any).FormattedID} (ObjectID ${(result as any).ObjectID})` +
+                (steps && steps.length > 0 ? ` and ${steps.length} steps` : '')
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error creating test case: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Update Test Case Tool
+  server.tool(
+    'updateTestCase',
+    {
+      id: z.string().min(1, "Test case ID is required"),
+      name: z.string().optional(),
+      storyId: z.string().optional(),
+      description: z.string().optional(),
+      objective: z.string().optional(),
+      preConditions: z.string().optional(),
+      type: z.string().optional(),
+      method: z.string().optional(),
+      priority: z.string().optional(),
+      testFolderId: z.string().optional(),
+      customFields: z.record(z.any()).optional(),
+    },
+    async ({ id, name, storyId, description, objective, preConditions, type, method, priority, testFolderId, customFields }) => {
+      try {
+        // Create update data object with only the fields that are provided
+        const updateData: any = {};
+        
+        if (name !== undefined) updateData.Name = name;
+        if (description !== undefined) updateData.Description = description;
+        if (objective !== undefined) updateData.Objective = objective;
+        if (preConditions !== undefined) updateData.PreConditions = preConditions;
+        if (type !== undefined) updateData.Type = type;
+        if (method !== undefined) updateData.Method = method;
+        if (priority !== undefined) updateData.Priority = priority;
+        if (storyId !== undefined) {
+          updateData.WorkProduct = storyId ? { _ref: `/HierarchicalRequirement/${storyId}` } : null;
+        }
+        if (testFolderId !== undefined) {
+          updateData.TestFolder = testFolderId ? { _ref: `/testfolder/${testFolderId}` } : null;
+        }
+
+        await addCustomFields(rallyClient, 'testcase', updateData, customFields);
+
+        // Check if any data was provided to update
+        if (Object.keys(updateData).length === 0) {
+          return {
+            content: [
+              { 
+                type: 'text', 
+                text: 'No fields provided for update. Test case was not modified.' 
+              }
+            ],
+            isError: true
+          };
+        }
+
+        const result = await rallyClient.updateTestCase(id, updateData);
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Successfully updated test case ${artifactLabel(id, result)}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error updating test case: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Delete Test Case Tool
+  server.tool(
+    'deleteTestCase',
+    {
+      id: z.string().min(1, "Test case ID is required"),
+    },
+    async ({ id }) => {
+      try {
+        await rallyClient.deleteTestCase(id);
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Successfully deleted test case ${id}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error deleting test case: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // List Test Cases Tool
+  server.tool(
+    'listTestCases',
+    {
+      storyId: z.string().min(1, "Story ID is required"),
+    },
+    async ({ storyId }) => {
+      try {
+        const result = await rallyClient.getStoryTestCases(storyId);
+        const testCases = (result.QueryResult || result).Results || [];
+        
+        const summary = testCases.map((testCase: any) => ({
+          FormattedID: testCase.FormattedID,
+          ObjectID: testCase.ObjectID,
+          Name: testCase.Name,
+          Type: testCase.Type,
+          Priority: testCase.Priority,
+          LastVerdict: testCase.LastVerdict,
+          LastBuild: testCase.LastBuild
+        }));
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Test cases for story ${storyId}:\n${JSON.stringify(summary, null, 2)}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error listing test cases: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Create Test Set Tool
+  server.tool(
+    'createTestSet',
+    {
+      name: z.string().min(1, "Test set name is required"),
+      description: z.string().optional(),
+      projectId: z.string().optional(),
+      iteration: z.string().optional(),
+      release: z.string().optional(),
+      testCaseIds: z.array(z.string()).optional(),
+    },
+    async ({ name, description, projectId, iteration, release, testCaseIds }) => {
+      try {
+        const testSetData: any = {
+          Name: name,
+        };
+        
+        if (description) testSetData.Description = description;
+        if (projectId) {
+          testSetData.Project = { _ref: `/project/${projectId}` };
+        }
+        if (iteration) {
+          testSetData.Iteration = { _ref: await rallyClient.resolveTimeboxRef('Iteration', iteration) };
+        }
+        if (release) {
+          testSetData.Release = { _ref: await rallyClient.resolveTimeboxRef('Release', release) };
+        }
+        
+        const result = await rallyClient.createTestSet(testSetData);
+        
+        const testSetId = String((result as any).ObjectID);
+        for (const testCaseId of testCaseIds || []) {
+          await rallyClient.addTestCaseToTestSet(testSetId, testCaseId);
+        }
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Successfully created test set "${name}" with ID ${(result as any).FormattedID} (ObjectID ${(result as any).ObjectID})` +
+                (testCaseIds && testCaseIds.length > 0 ? ` containing ${testCaseIds.length} test cases` : '')
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error creating test set: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Create Test Folder Tool
+  server.tool(
+    'createTestFolder',
+    {
+      name: z.string().min(1, "Test folder name is required"),
+      parentId: z.string().optional(),
+      projectId: z.string().optional(),
+    },
+    async ({ name, parentId, projectId }) => {
+      try {
+        const testFolderData: any = {
+          Name: name,
+        };
+        
+        if (parentId) {
+          testFolderData.Parent = { _ref: `/testfolder/${parentId}` };
+        }
+        if (projectId) {
+          testFolderData.Project = { _ref: `/project/${projectId}` };
+        }
+        
+        const result = await rallyClient.createTestFolder(testFolderData);
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Successfully created test folder "${name}" with ID ${(result as any).FormattedID} (ObjectID ${(result as any).ObjectID})` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error creating test folder: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Record Test Result Tool
+  server.tool(
+    'recordTestResult',
+    {
+      testCaseId: z.string().min(1, "Test case ID is required"),
+      verdict: z.enum(['Pass', 'Fail', 'Blocked', 'Error', 'Inconclusive'], { 
+        errorMap: () => ({ 
+          message: "Verdict must be one of: Pass, Fail, Blocked, Error, Inconclusive" 
+        })
+      }),
+      build: z.string().min(1, "Build is required"),
+      date: z.string().optional(),
+      notes: z.string().optional(),
+      duration: z.number().optional(),
+      testSetId: z.string().optional(),
+    },
+    async ({ testCaseId, verdict, build, date, notes, duration, testSetId }) => {
+      try {
+        const resultData: any = {
+          TestCase: { _ref: `/testcase/${testCaseId}` },
+          Verdict: verdict,
+          Build: build,
+          Date: date || new Date().toISOString(),
+        };
+        
+        if (notes) resultData.Notes = notes;
+        if (duration !== undefined) resultData.Duration = duration;
+        if (testSetId) {
+          resultData.TestSet = { _ref: `/testset/${testSetId}` };
+        }
+        
+        await rallyClient.createTestCaseResult(resultData);
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Successfully recorded ${verdict} for test case ${testCaseId} on build ${build}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error recording test result: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // List Test Results Tool
+  server.tool(
+    'listTestResults',
+    {
+      testCaseId: z.string().min(1, "Test case ID is required"),
+    },
+    async ({ testCaseId }) => {
+      try {
+        const result = await rallyClient.getTestCaseResults(testCaseId);
+        const results = (result.QueryResult || result).Results || [];
+        
+        const summary = results.map((testResult: any) => ({
+          Verdict: testResult.Verdict,
+          Build: testResult.Build,
+          Date: testResult.Date,
+          Notes: testResult.Notes,
+          Tester: testResult.Tester ? testResult.Tester._refObjectName : null
+        }));
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Results for test case ${testCaseId}:\n${JSON.stringify(summary, null, 2)}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error listing test results: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Find User Tool
+  server.tool(
+    'findUser',
+    {
+      query: z.string().min(1, "Search text is required"),
+    },
+    async ({ query }) => {
+      try {
+        const users = await rallyClient.findUsers(query);
+        
+        const summary = users.map((user: any) => ({
+          ObjectID: user.ObjectID,
+          UserName: user.UserName,
+          DisplayName: user.DisplayName,
+          EmailAddress: user.EmailAddress,
+          Disabled: user.Disabled
+        }));
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: summary.length > 0
+                ? `Users matching "${query}":\n${JSON.stringify(summary, null, 2)}`
+                : `No users found matching "${query}"`
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error finding user: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // List Tags Tool
+  server.tool(
+    'listTags',
+    {
+      includeArchived: z.boolean().default(false),
+    },
+    async ({ includeArchived }) => {
+      try {
+        const result = await rallyClient.getTags(includeArchived ? {} : { query: '(Archived = false)' });
+        const tags = (result.QueryResult || result).Results || [];
+        
+        const summary = tags.map((tag: any) => ({
+          ObjectID: tag.ObjectID,
+          Name: tag.Name,
+          Archived: tag.Archived
+        }));
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Tags:\n${JSON.stringify(summary, null, 2)}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error listing tags: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Create Tag Tool
+  server.tool(
+    'createTag',
+    {
+      name: z.string().min(1, "Tag name is required"),
+    },
+    async ({ name }) => {
+      try {
+        const result = await rallyClient.createTag(name);
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Successfully created tag "${name}" with ID ${(result as any).ObjectID}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error creating tag: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Archive Tag Tool
+  server.tool(
+    'archiveTag',
+    {
+      tag: z.string().min(1, "Tag name or ID is required"),
+    },
+    async ({ tag }) => {
+      try {
+        await rallyClient.archiveTag(tag);
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Successfully archived tag "${tag}"` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error archiving tag: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Add Tags Tool
+  server.tool(
+    'addTags',
+    {
+      artifactId: z.string().min(1, "Artifact ID is required"),
+      artifactType: z.string().default('story'),
+      tags: z.array(z.string().min(1)).min(1, "At least one tag is required"),
+      createMissing: z.boolean().default(false),
+    },
+    async ({ artifactId, artifactType, tags, createMissing }) => {
+      try {
+        await rallyClient.addTags(artifactType, artifactId, tags, createMissing);
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Successfully added tags ${tags.join(', ')} to ${artifactType} ${artifactId}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error adding tags: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Remove Tags Tool
+  server.tool(
+    'removeTags',
+    {
+      artifactId: z.string().min(1, "Artifact ID is required"),
+      artifactType: z.string().default('story'),
+      tags: z.array(z.string().min(1)).min(1, "At least one tag is required"),
+    },
+    async ({ artifactId, artifactType, tags }) => {
+      try {
+        await rallyClient.removeTags(artifactType, artifactId, tags);
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Successfully removed tags ${tags.join(', ')} from ${artifactType} ${artifactId}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error removing tags: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Add Comment Tool
+  server.tool(
+    'addComment',
+    {
+      artifactId: z.string().min(1, "Artifact ID is required"),
+      artifactType: z.string().default('story'),
+      text: z.string().min(1, "Comment text is required"),
+      format: z.enum(['text', 'html']).default('text'),
+    },
+    async ({ artifactId, artifactType, text, format }) => {
+      try {
+        const richText = format === 'html' ? text : toRichText(text);
+        const result = await rallyClient.addComment(artifactType, artifactId, richText);
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Successfully added comment #${(result as any).PostNumber} to ${artifactType} ${artifactId}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error adding comment: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Attach File Tool
+  server.tool(
+    'attachFile',
+    {
+      artifactId: z.string().min(1, "Artifact ID is required"),
+      artifactType: z.string().default('story'),
+      fileName: z.string().optional(),
+      filePath: z.string().optional(),
+      contentBase64: z.string().optional(),
+      contentType: z.string().optional(),
+      description: z.string().optional(),
+    },
+    async ({ artifactId, artifactType, fileName, filePath, contentBase64, contentType, description }) => {
+      try {
+        // Exactly one content source must be given
+        if (!filePath === !contentBase64) {
+          return {
+            content: [
+              { 
+                type: 'text', 
+                text: 'Provide either filePath or contentBase64, but not both.' 
+              }
+            ],
+            isError: true
+          };
+        }
+        
+        const name = fileName || (filePath ? path.basename(filePath) : '');
+        if (!name) {
+          return {
+            content: [
+              { 
+                type: 'text', 
+                text: 'fileName is required when attaching base64 content.' 
+              }
+            ],
+            isError: true
+          };
+        }
+        
+        const base64Content = filePath
+          ? (await fs.promises.readFile(filePath)).toString('base64')
+          : contentBase64 as string;
+        const mimeType = contentType ||
+          ATTACHMENT_MIME_TYPES[path.extname(name).toLowerCase()] ||
+          'application/octet-stream';
+        
+        const result = await rallyClient.attachFile(artifactType, artifactId, {
+          name,
+          contentType: mimeType,
+          base64Content,
+          description
+        });
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Successfully attached "${name}" to ${artifactType} ${artifactId} as rally://attachment/${(result as any).ObjectID}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error attaching file: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Log Time Tool
+  server.tool(
+    'logTime',
+    {
+      artifactId: z.string().min(1, "Artifact ID is required"),
+      artifactType: z.enum(['task', 'story', 'defect']).default('task'),
+      user: z.string().min(1, "User is required"),
+      entries: z.array(z.object({
+        date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Date must be in YYYY-MM-DD format"),
+        hours: z.number().min(0).max(24),
+      })).min(1, "At least one time entry is required"),
+    },
+    async ({ artifactId, artifactType, user, entries }) => {
+      try {
+        const saved = await rallyClient.logTime(user, artifactType, artifactId, entries);
+        const totalHours = saved.reduce((total, entry) => total + entry.Hours, 0);
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Logged ${totalHours} hours for ${user} against ${artifactType} ${artifactId}:\n${JSON.stringify(saved, null, 2)}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error logging time: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Get Timesheet Tool
+  server.tool(
+    'getTimesheet',
+    {
+      user: z.string().min(1, "User is required"),
+      weekStart: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Week start must be in YYYY-MM-DD format"),
+    },
+    async ({ user, weekStart }) => {
+      try {
+        const timesheet = await rallyClient.getTimesheet(user, weekStart);
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Timesheet of ${user} for the week of ${timesheet.WeekStartDate} (${timesheet.TotalHours} hours):\n${JSON.stringify(timesheet.Items, null, 2)}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error fetching timesheet: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Create Milestone Tool
+  server.tool(
+    'createMilestone',
+    {
+      name: z.string().min(1, "Milestone name is required"),
+      targetDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Target date must be in YYYY-MM-DD format").optional(),
+      notes: z.string().optional(),
+      displayColor: z.string().optional(),
+      projectId: z.string().optional(),
+    },
+    async ({ name, targetDate, notes, displayColor, projectId }) => {
+      try {
+        // Prepare data for Rally API
+        const milestoneData: any = {
+          Name: name,
+        };
+
+        // Add optional fields if provided
+        if (targetDate) {
+          milestoneData.TargetDate = targetDate;
+        }
+        if (notes) {
+          milestoneData.Notes = notes;
+        }
+        if (displayColor) {
+          milestoneData.DisplayColor = displayColor;
+        }
+        if (projectId) {
+          milestoneData.TargetProject = { _ref: `/project/${projectId}` };
+        }
+
+        const result = await rallyClient.createMilestone(milestoneData);
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Successfully created milestone "${name}" with ID ${(result as any).FormattedID} (ObjectID ${(result as any).ObjectID})` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error creating milestone: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Update Milestone Tool
+  server.tool(
+    'updateMilestone',
+    {
+      id: z.string().min(1, "Milestone ID is required"),
+      name: z.string().optional(),
+      targetDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "Target date must be in YYYY-MM-DD format").optional(),
+      notes: z.string().optional(),
+      displayColor: z.string().optional(),
+    },
+    async ({ id, name, targetDate, notes, displayColor }) => {
+      try {
+        // Create update data object with only the fields that are provided
+        const updateData: any = {};
+
+        if (name !== undefined) updateData.Name = name;
+        if (targetDate !== undefined) updateData.TargetDate = targetDate;
+        if (notes !== undefined) updateData.Notes = notes;
+        if (displayColor !== undefined) updateData.DisplayColor = displayColor;
+
+        // Check if any data was provided to update
+        if (Object.keys(updateData).length === 0) {
+          return {
+            content: [
+              { 
+                type: 'text', 
+                text: 'No fields provided for update. Milestone was not modified.' 
+              }
+            ],
+            isError: true
+          };
+        }
+
+        const result = await rallyClient.updateMilestone(id, updateData);
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Successfully updated milestone ${artifactLabel(id, result)}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error updating milestone: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Delete Milestone Tool
+  server.tool(
+    'deleteMilestone',
+    {
+      id: z.string().min(1, "Milestone ID is required"),
+    },
+    async ({ id }) => {
+      try {
+        await rallyClient.deleteMilestone(id);
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Successfully deleted milestone ${id}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error deleting milestone: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Link Milestone Tool
+  server.tool(
+    'linkMilestone',
+    {
+      milestoneId: z.string().min(1, "Milestone ID is required"),
+      artifactId: z.string().min(1, "Artifact ID is required"),
+      artifactType: z.string().default('story'),
+      unlink: z.boolean().default(false),
+    },
+    async ({ milestoneId, artifactId, artifactType, unlink }) => {
+      try {
+        await rallyClient.linkMilestone(unlink ? 'remove' : 'add', artifactType, artifactId, milestoneId);
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: unlink
+                ? `Successfully removed ${artifactType} ${artifactId} from milestone ${milestoneId}`
+                : `Successfully added ${artifactType} ${artifactId} to milestone ${milestoneId}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error linking milestone: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Create Risk Tool
+  server.tool(
+    'createRisk',
+    {
+      name: z.string().min(1, "Risk name is required"),
+      description: z.string().optional(),
+      projectId: z.string().optional(),
+      owner: z.string().optional(),
+      state: z.string().optional(),
+      probability: z.string().optional(),
+      impact: z.string().optional(),
+      customFields: z.record(z.any()).optional(),
+    },
+    async ({ name, description, projectId, owner, state, probability, impact, customFields }) => {
+      try {
+        // Prepare data for Rally API
+        const riskData: any = {
+          Name: name,
+          Description: description,
+        };
+
+        // Add optional fields if provided
+        if (projectId) {
+          riskData.Project = { _ref: `/project/${projectId}` };
+        }
+        if (owner) {
+          // Rally client resolves names, emails and usernames to user refs
+          riskData.Owner = owner;
+        }
+        if (state) {
+          riskData.State = state;
+        }
+        if (probability) {
+          riskData.Probability = probability;
+        }
+        if (impact) {
+          riskData.Impact = impact;
+        }
+
+        // Custom (c_) fields are checked against the workspace schema
+        await addCustomFields(rallyClient, 'risk', riskData, customFields);
+
+        const result = await rallyClient.createRisk(riskData);
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Successfully created risk "${name}" with ID ${(result as any).FormattedID} (ObjectID ${(result as any).ObjectID})` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error creating risk: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Update Risk Tool
+  server.tool(
+    'updateRisk',
+    {
+      id: z.string().min(1, "Risk ID is required"),
+      name: z.string().optional(),
+      description: z.string().optional(),
+      owner: z.string().optional(),
+      state: z.string().optional(),
+      probability: z.string().optional(),
+      impact: z.string().optional(),
+      customFields: z.record(z.any()).optional(),
+    },
+    async ({ id, name, description, owner, state, probability, impact, customFields }) => {
+      try {
+        // Create update data object with only the fields that are provided
+        const updateData: any = {};
+
+        if (name !== undefined) updateData.Name = name;
+        if (description !== undefined) updateData.Description = description;
+        if (state !== undefined) updateData.State = state;
+        if (probability !== undefined) updateData.Probability = probability;
+        if (impact !== undefined) updateData.Impact = impact;
+        if (owner !== undefined) {
+          // An empty string clears the owner
+          updateData.Owner = owner || null;
+        }
+
+        await addCustomFields(rallyClient, 'risk', updateData, customFields);
+
+        // Check if any data was provided to update
+        if (Object.keys(updateData).length === 0) {
+          return {
+            content: [
+              { 
+                type: 'text', 
+                text: 'No fields provided for update. Risk was not modified.' 
+              }
+            ],
+            isError: true
+          };
+        }
+
+        const result = await rallyClient.updateRisk(id, updateData);
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Successfully updated risk ${artifactLabel(id, result)}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error updating risk: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Delete Risk Tool
+  server.tool(
+    'deleteRisk',
+    {
+      id: z.string().min(1, "Risk ID is required"),
+    },
+    async ({ id }) => {
+      try {
+        await rallyClient.deleteRisk(id);
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Successfully deleted risk ${id}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error deleting risk: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Get Artifact Tool
+  server.tool(
+    'getArtifact',
+    {
+      type: z.string().min(1, "Artifact type is required"),
+      id: z.string().min(1, "Artifact ID is required"),
+      fetch: z.string().optional(),
+    },
+    async ({ type, id, fetch }) => {
+      try {
+        const artifact = await rallyClient.getArtifact(type, id, fetch);
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: JSON.stringify(artifact, null, 2) 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error fetching artifact: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Query Artifacts Tool
+  server.tool(
+    'queryArtifacts',
+    {
+      type: z.string().min(1, "Artifact type is required"),
+      query: z.string().optional(),
+      fetch: z.string().optional(),
+      order: z.string().optional(),
+      pageSize: z.number().int().min(1).max(2000).optional(),
+      start: z.number().int().min(1).optional(),
+    },
+    async ({ type, query, fetch, order, pageSize, start }) => {
+      try {
+        // Only pass the query parameters that were provided
+        const queryParams: Record<string, string> = {};
+        if (query) queryParams.query = query;
+        if (fetch) queryParams.fetch = fetch;
+        if (order) queryParams.order = order;
+        if (pageSize !== undefined) queryParams.pagesize = pageSize.toString();
+        if (start !== undefined) queryParams.start = start.toString();
+
+        const result = await rallyClient.queryArtifacts(type, queryParams);
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: JSON.stringify(result.QueryResult || result, null, 2) 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error querying artifacts: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Search Artifacts Tool
+  server.tool(
+    'searchArtifacts',
+    {
+      type: z.string().default('story'),
+      filter: queryFilterSchema,
+      fetch: z.string().optional(),
+      order: z.string().optional(),
+      pageSize: z.number().int().min(1).max(2000).optional(),
+      start: z.number().int().min(1).optional(),
+    },
+    async ({ type, filter, fetch, order, pageSize, start }) => {
+      try {
+        // Only pass the query parameters that were provided
+        const queryParams: Record<string, string> = {};
+        if (fetch) queryParams.fetch = fetch;
+        if (order) queryParams.order = order;
+        if (pageSize !== undefined) queryParams.pagesize = pageSize.toString();
+        if (start !== undefined) queryParams.start = start.toString();
+
+        const { query, result } = await rallyClient.searchArtifacts(type, filter, queryParams);
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Query: ${query}\n${JSON.stringify(result.QueryResult || result, null, 2)}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error searching artifacts: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Search Text Tool
+  server.tool(
+    'searchText',
+    {
+      text: z.string().min(1),
+      types: z.array(z.enum(['story', 'defect', 'task', 'feature', 'testcase'])).optional(),
+      limit: z.number().int().min(1).max(200).optional(),
+    },
+    async ({ text, types, limit }) => {
+      try {
+        const result = await rallyClient.searchText(text, { types, limit });
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Found ${result.TotalHits} artifacts matching "${text}"\n${JSON.stringify(result, null, 2)}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error searching text: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Create Artifact Tool
+  server.tool(
+    'createArtifact',
+    {
+      type: z.string().min(1, "Artifact type is required"),
+      fields: z.record(z.any()),
+    },
+    async ({ type, fields }) => {
+      try {
+        // Rally client validates the fields against the type's attribute definitions
+        const result: any = await rallyClient.createArtifact(type, fields);
+        const label = result.FormattedID ? `${result.FormattedID} ` : '';
+
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Successfully created ${type} ${label}(ObjectID ${result.ObjectID})`
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error creating artifact: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Update Artifact Tool
+  server.tool(
+    'updateArtifact',
+    {
+      type: z.string().min(1, "Artifact type is required"),
+      id: z.string().min(1, "Artifact ID is required"),
+      fields: z.record(z.any()),
+    },
+    async ({ type, id, fields }) => {
+      try {
+        // Check if any data was provided to update
+        if (Object.keys(fields).length === 0) {
+          return {
+            content: [
+              { 
+                type: 'text', 
+                text: 'No fields provided for update. Artifact was not modified.' 
+              }
+            ],
+            isError: true
+          };
+        }
+
+        const result = await rallyClient.updateArtifact(type, id, fields);
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Successfully updated ${type} ${artifactLabel(id, result)}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error updating artifact: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Delete Artifact Tool
+  server.tool(
+    'deleteArtifact',
+    {
+      type: z.string().min(1, "Artifact type is required"),
+      id: z.string().min(1, "Artifact ID is required"),
+    },
+    async ({ type, id }) => {
+      try {
+        await rallyClient.deleteArtifact(type, id);
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Successfully deleted ${type} ${id}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error deleting artifact: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Create Relationship Tool
+  server.tool(
+    'createRelationship',
+    {
+      sourceId: z.string().min(1, "Source ID is required"),
+      targetId: z.string().min(1, "Target ID is required"),
+      relationshipType: z.enum([
+        'Predecessor', 
+        'Successor', 
+        'Parent', 
+        'Child', 
+        'Blocker', 
+        'Blocked',
+        'Duplicate',
+        'Duplicated'
+      ], { 
+        errorMap: () => ({ 
+          message: "Relationship type must be one of: Predecessor, Successor, Parent, Child, Blocker, Blocked, Duplicate, Duplicated" 
+        })
+      })
+    },
+    async ({ sourceId, targetId, relationshipType }) => {
+      try {
+        // Validate that sourceId and targetId are not the same
+        if (sourceId === targetId) {
+          return {
+            content: [
+              { 
+                type: 'text', 
+                text: 'Source and target cannot be the same artifact.' 
+              }
+            ],
+            isError: true
+          };
+        }
+
+        // Create the relationship; loops are refused and existing links skipped with a warning
+        const result = await rallyClient.createRelationship(
+          sourceId, 
+          targetId, 
+          relationshipType as RelationshipType
+        );
+        const warnings: string[] = (result && result.Warnings) || [];
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: [
+                result && result.Skipped
+                  ? `No ${relationshipType} relationship created from ${sourceId} to ${targetId}`
+                  : `Successfully created ${relationshipType} relationship from ${sourceId} to ${targetId}`,
+                ...warnings.map((warning) => `Warning: ${warning}`)
+              ].join('\n')
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error creating relationship: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Remove Relationship Tool
+  server.tool(
+    'removeRelationship',
+    {
+      sourceId: z.string().min(1, "Source ID is required"),
+      targetId: z.string().min(1, "Target ID is required"),
+      relationshipType: z.enum([
+        'Predecessor', 
+        'Successor', 
+        'Parent', 
+        'Child', 
+        'Blocker', 
+        'Blocked',
+        'Duplicate',
+        'Duplicated'
+      ], { 
+        errorMap: () => ({ 
+          message: "Relationship type must be one of: Predecessor, Successor, Parent, Child, Blocker, Blocked, Duplicate, Duplicated" 
+        })
+      })
+    },
+    async ({ sourceId, targetId, relationshipType }) => {
+      try {
+        // Remove the relationship
+        await rallyClient.removeRelationship(
+          sourceId, 
+          targetId, 
+          relationshipType as RelationshipType
+        );
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Successfully removed ${relationshipType} relationship from ${sourceId} to ${targetId}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error removing relationship: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Trace Dependencies Tool
+  server.tool(
+    'traceDependencies',
+    {
+      artifactId: z.string().min(1, "Artifact ID is required"),
+      depth: z.number().int().min(1).max(10).default(3),
+    },
+    async ({ artifactId, depth }) => {
+      try {
+        const graph = await rallyClient.traceDependencies(artifactId, depth);
+
+        const summary = [
+          `Dependencies of ${graph.Root}: ${graph.Nodes.length} artifacts, ${graph.Edges.length} dependencies`,
+          graph.CriticalPath.length > 0
+            ? `Critical path: ${graph.CriticalPath.join(' -> ')} (${graph.CriticalPathEstimate} points)`
+            : 'Critical path: none',
+          ...graph.Cycles.map((cycle) => `Warning: dependency loop ${cycle.join(' -> ')}`),
+          ...graph.Misscheduled.map((conflict) =>
+            `Warning: ${conflict.Successor} ends ${conflict.SuccessorEnds}, before its predecessor ${conflict.Predecessor} ends ${conflict.PredecessorEnds}`),
+          ...graph.TruncatedBy.map((reason) => ({
+            depth: `Not every dependency was followed; a depth above ${depth} shows more`,
+            nodes: 'Not every dependency was followed; the graph stopped at its 250-artifact limit',
+            collection: 'Not every dependency was followed; some artifacts have more than 1000 predecessors or successors'
+          })[reason])
+        ];
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `${summary.join('\n')}\n${JSON.stringify(graph, null, 2)}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error tracing dependencies: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Audit Dependencies Tool
+  server.tool(
+    'auditDependencies',
+    {
+      project: z.string().optional(),
+      release: z.string().optional(),
+      type: z.enum(['story', 'feature']).default('story'),
+    },
+    async ({ project, release, type }) => {
+      try {
+        const audit = await rallyClient.auditDependencies({ project, release, type });
+
+        const summary = [
+          `Audited ${audit.Artifacts} ${type === 'story' ? 'stories' : 'features'}${release ? ` in release ${release}` : ''}: ` +
+            `${audit.Dependencies} dependencies, ${audit.Cycles.length} loops, ${audit.Misscheduled.length} mis-scheduled`,
+          ...audit.Cycles.map((cycle) => `Loop: ${cycle.join(' -> ')}`),
+          ...audit.Misscheduled.map((conflict) =>
+            `Mis-scheduled: ${conflict.Successor} ends ${conflict.SuccessorEnds}, before its predecessor ${conflict.Predecessor} ends ${conflict.PredecessorEnds}`),
+          ...(audit.Truncated ? ['Only the first 2000 artifacts were audited'] : [])
+        ];
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `${summary.join('\n')}\n${JSON.stringify(audit, null, 2)}` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error auditing dependencies: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Export Dependency Graph Tool
+  server.tool(
+    'exportDependencyGraph',
+    {
+      artifactId: z.string().optional(),
+      iteration: z.string().optional(),
+      release: z.string().optional(),
+      depth: z.number().int().min(1).max(10).optional(),
+      format: z.enum(['mermaid', 'dot']).default('mermaid'),
+    },
+    async ({ artifactId, iteration, release, depth, format }) => {
+      try {
+        const exported = await rallyClient.exportDependencyGraph({ artifactId, iteration, release, depth }, format);
+
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `${exported.Title}: ${exported.Nodes} artifacts, ${exported.Edges} dependencies` +
+                `${exported.Truncated ? ' (not every dependency was followed)' : ''}\n\n` +
+                `\`\`\`${format}\n${exported.Graph}\n\`\`\`` 
+            }
+          ]
+        };
+      } catch (error) {
+        return {
+          content: [
+            { 
+              type: 'text', 
+              text: `Error exporting dependency graph: ${(error as Error).message}` 
+            }
+          ],
+          isError: true
+        };
+      }
+    }
+  );
+
+  // Get Relationships Tool
+  server.tool(
+    'getRelationships',
+    {
+      artifactId: z.string().min(1, "Artifact ID is required")
+    },
+    async ({ artifactId }) => {
+      try {
+        // Get the relationships
+        const result = await rallyClient.getRelationships(artifactId);
+        
+        // One line per relationship kind the artifact has, then the full details
+        const kinds = ['Predecessors', 'Successors', 'Parent', 'Children', 'Blockers', 'Blocked', 'Duplicates'];
+        const summary = result
+          ? kinds
+            .filter((kind) => Array.isArray(result[kind]) && result[kind].length > 0)
+            .map((kind) => `${kind}: ${result[kind].map((related: any) => related.FormattedID).join(', ')}`)
+          : [];
+        if (summary.length === 0) {
+          summary.push('No relationships');
+        }
+        if (result && result.Truncated) {
+          summary.push('Some lists were cut short at 1000 artifacts');
         }
 
         return {
           content: [
             { 
               type: 'text', 
-              text: `Relationships for ${artifactId}:\n${JSON.stringify(relationships, null, 2)}` 
+              text: `Relationships for ${artifactId}:\n${summary.join('\n')}\n${JSON.stringify(result, null, 2)}` 
             }
           ]
         };
@@ -554,6 +554,15 @@ async function main() {
     validationPromise.then(result => {
       if (result.valid) {
         logger.info('Rally API validation completed successfully');
+        
+        // Discover custom fields so the first create or update does not pay for it
+        rallyClient.loadCustomFields()
+          .then(customFields => {
+            for (const [typePath, fields] of Object.entries(customFields)) {
+              logger.info(`Custom fields of ${typePath}: ${fields.join(', ') || 'none'}`);
+            }
+          })
+          .catch(err => logger.warn(`Custom field discovery failed: ${err.message}`));
       } else {
         logger.warn(`WARNING: Rally API credentials issue detected - ${result.error}`);
         logger.warn('The server is running, but Rally API calls may fail');
@@ -1,5 +1,17 @@
 import axios, { AxiosInstance } from 'axios';
 import { Config } from '../config';
+import { buildQuery, QueryFilter } from './query';
+import {
+  DependencyEdge,
+  DependencyNode,
+  findCriticalPath,
+  DependencyGraphFormat,
+  findCycles,
+  findScheduleConflicts,
+  renderDot,
+  renderMermaid
+} from './dependencies';
+import { fetchAllPages } from './pagination';
 
 export interface RallyStory {
   ObjectID: number;
@@ -10,9 +22,39 @@ export interface RallyStory {
   [key: string]: any; // Allow additional Rally fields
 }
 
-export interface RallyCreateResponse {
+export interface RallyDefect {
+  ObjectID: number;
+  FormattedID: string;
+  Name: string;
+  Description?: string;
+  Severity?: string;
+  Priority?: string;
+  State?: string;
+  Environment?: string;
+  FoundInBuild?: string;
+  FixedInBuild?: string;
+  Requirement?: { _ref: string };
+  Project?: { _ref: string };
+  [key: string]: any; // Allow additional Rally fields
+}
+
+export interface RallyTask {
+  ObjectID: number;
+  FormattedID: string;
+  Name: string;
+  Description?: string;
+  State?: string;
+  Estimate?: number;
+  ToDo?: number;
+  Actuals?: number;
+  Owner?: { _ref: string } | string | null; // A string is resolved by name, email or username
+  WorkProduct?: { _ref: string };
+  [key: string]: any; // Allow additional Rally fields
+}
+
+export interface RallyCreateResponse<T = RallyStory> {
   CreateResult: {
-    Object: RallyStory;
+    Object: T;
   };
 }
 
@@ -26,12 +68,246 @@ export type RelationshipType =
   | 'Duplicate'
   | 'Duplicated';
 
+/**
+ * Friendly artifact type names mapped to their WSAPI type paths
+ */
+const ARTIFACT_TYPE_ALIASES: Record<string, string> = {
+  story: 'HierarchicalRequirement',
+  userstory: 'HierarchicalRequirement',
+  hierarchicalrequirement: 'HierarchicalRequirement',
+  defect: 'Defect',
+  task: 'Task',
+  testcase: 'TestCase',
+  testset: 'TestSet',
+  defectsuite: 'DefectSuite',
+  risk: 'Risk',
+  feature: 'PortfolioItem/Feature',
+  epic: 'PortfolioItem/Epic',
+  initiative: 'PortfolioItem/Initiative',
+  theme: 'PortfolioItem/Theme'
+};
+
+/**
+ * Default FormattedID prefixes mapped to their WSAPI type paths. Unknown prefixes, such as
+ * those of custom portfolio item levels, are looked up through the Artifact endpoint.
+ */
+const FORMATTED_ID_PREFIXES: Record<string, string> = {
+  US: 'HierarchicalRequirement',
+  DE: 'Defect',
+  TA: 'Task',
+  TC: 'TestCase',
+  TS: 'TestSet',
+  DS: 'DefectSuite',
+  TF: 'TestFolder',
+  F: 'PortfolioItem/Feature',
+  E: 'PortfolioItem/Epic',
+  I: 'PortfolioItem/Initiative',
+  T: 'PortfolioItem/Theme',
+  MI: 'Milestone',
+  RI: 'Risk'
+};
+
+/**
+ * Required attributes a create may leave out: Workspace and Project come from the configuration,
+ * and Rally starts the state fields at their first value. Required booleans default to false.
+ */
+const DEFAULTED_REQUIRED_FIELDS = new Set(['Workspace', 'Project', 'ScheduleState', 'State', 'FlowState']);
+
+/**
+ * The kinds of artifact a relationship can join
+ */
+type RelationshipFamily = 'story' | 'defect' | 'task' | 'testcase' | 'portfolioitem';
+
+/**
+ * Where Rally records one relationship between a source and a target artifact.
+ * The relationship reads "target is <type> of source"; `side` says which of the two is updated.
+ * Rally has no artifact-to-artifact blocking link, so blocks are written as Blocked
+ * with a BlockedReason naming the blocker.
+ */
+interface RelationshipRule {
+  source: RelationshipFamily[];
+  target: RelationshipFamily[];
+  side: 'source' | 'target';
+  field: string;
+  kind: 'single' | 'collection' | 'blocker';
+}
+
+const RELATIONSHIP_RULES: Record<RelationshipType, RelationshipRule[]> = {
+  Predecessor: [
+    { source: ['story'], target: ['story'], side: 'source', field: 'Predecessors', kind: 'collection' },
+    { source: ['portfolioitem'], target: ['portfolioitem'], side: 'source', field: 'Predecessors', kind: 'collection' }
+  ],
+  Successor: [
+    { source: ['story'], target: ['story'], side: 'source', field: 'Successors', kind: 'collection' },
+    { source: ['portfolioitem'], target: ['portfolioitem'], side: 'source', field: 'Successors', kind: 'collection' }
+  ],
+  Parent: [
+    { source: ['story'], target: ['story'], side: 'source', field: 'Parent', kind: 'single' },
+    { source: ['story'], target: ['portfolioitem'], side: 'source', field: 'PortfolioItem', kind: 'single' },
+    { source: ['portfolioitem'], target: ['portfolioitem'], side: 'source', field: 'Parent', kind: 'single' },
+    { source: ['defect'], target: ['story'], side: 'source', field: 'Requirement', kind: 'single' },
+    { source: ['task'], target: ['story', 'defect'], side: 'source', field: 'WorkProduct', kind: 'single' },
+    { source: ['testcase'], target: ['story', 'defect', 'portfolioitem'], side: 'source', field: 'WorkProduct', kind: 'single' }
+  ],
+  Child: [
+    { source: ['story'], target: ['story'], side: 'source', field: 'Children', kind: 'collection' },
+    { source: ['portfolioitem'], target: ['portfolioitem'], side: 'source', field: 'Children', kind: 'collection' },
+    { source: ['portfolioitem'], target: ['story'], side: 'target', field: 'PortfolioItem', kind: 'single' },
+    { source: ['story'], target: ['defect'], side: 'target', field: 'Requirement', kind: 'single' },
+    { source: ['story', 'defect'], target: ['task'], side: 'target', field: 'WorkProduct', kind: 'single' },
+    { source: ['story', 'defect', 'portfolioitem'], target: ['testcase'], side: 'target', field: 'WorkProduct', kind: 'single' }
+  ],
+  Blocker: [
+    {
+      source: ['story', 'defect', 'task'],
+      target: ['story', 'defect', 'task', 'testcase', 'portfolioitem'],
+      side: 'source',
+      field: 'Blocked',
+      kind: 'blocker'
+    }
+  ],
+  Blocked: [
+    {
+      source: ['story', 'defect', 'task', 'testcase', 'portfolioitem'],
+      target: ['story', 'defect', 'task'],
+      side: 'target',
+      field: 'Blocked',
+      kind: 'blocker'
+    }
+  ],
+  Duplicate: [
+    { source: ['defect'], target: ['defect'], side: 'source', field: 'Duplicates', kind: 'collection' }
+  ],
+  Duplicated: [
+    { source: ['defect'], target: ['defect'], side: 'target', field: 'Duplicates', kind: 'collection' }
+  ]
+};
+
+/**
+ * Where each kind of relationship is read from, per family. Kinds are named by what the related
+ * artifacts are to the one being read, matching the relationship types of createRelationship.
+ * Blockers and Blocked come from BlockedReason, the way createRelationship records blocks.
+ */
+const RELATIONSHIP_READS: Record<RelationshipFamily, Record<string, string[]>> = {
+  story: {
+    Predecessors: ['Predecessors'],
+    Successors: ['Successors'],
+    Parent: ['Parent', 'PortfolioItem'],
+    Children: ['Children', 'Defects', 'Tasks', 'TestCases']
+  },
+  portfolioitem: {
+    Predecessors: ['Predecessors'],
+    Successors: ['Successors'],
+    Parent: ['Parent'],
+    Children: ['Children', 'UserStories']
+  },
+  defect: {
+    Parent: ['Requirement'],
+    Children: ['Tasks', 'TestCases'],
+    Duplicates: ['Duplicates']
+  },
+  task: {
+    Parent: ['WorkProduct']
+  },
+  testcase: {
+    Parent: ['WorkProduct']
+  }
+};
+
+/**
+ * Fields read for every related artifact
+ */
+const RELATED_FETCH = 'ObjectID,FormattedID,Name,ScheduleState,State,Owner,Project';
+
+/**
+ * The relationship family of a WSAPI type path, or undefined for types that take no relationships
+ */
+function relationshipFamily(typePath: string): RelationshipFamily | undefined {
+  const type = typePath.toLowerCase();
+  if (type.startsWith('portfolioitem')) {
+    return 'portfolioitem';
+  }
+  return ({
+    hierarchicalrequirement: 'story',
+    defect: 'defect',
+    task: 'task',
+    testcase: 'testcase'
+  } as Record<string, RelationshipFamily>)[type];
+}
+
+/**
+ * Fields read for every artifact of a dependency graph. Nested objects take the fields that
+ * apply to them, so Iteration comes with its dates and Project with its name.
+ */
+const DEPENDENCY_FETCH = 'ObjectID,FormattedID,Name,ScheduleState,State,PlanEstimate,Project,Iteration,Release,' +
+  'StartDate,EndDate,ReleaseStartDate,ReleaseDate,PlannedEndDate,Predecessors,Successors';
+
+/**
+ * How many artifacts a dependency walk collects before it stops
+ */
+const MAX_DEPENDENCY_NODES = 250;
+
+/**
+ * Artifact types searched by searchText, keyed by the type name reported on each hit
+ */
+const SEARCH_TEXT_TYPES: Record<string, string> = {
+  story: 'HierarchicalRequirement',
+  defect: 'Defect',
+  task: 'Task',
+  feature: 'PortfolioItem/Feature',
+  testcase: 'TestCase'
+};
+
+/**
+ * How much a match in each field counts towards a searchText hit's score
+ */
+const SEARCH_TEXT_WEIGHTS: Record<string, number> = {
+  Name: 10,
+  Description: 3,
+  Notes: 2,
+  Discussion: 1
+};
+
+/**
+ * Reduce Rally rich text to plain text for matching and snippets
+ */
+function plainText(html: string): string {
+  return html
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Find the allowed value a user-supplied drop-down value stands for. Matching ignores case,
+ * spaces and punctuation, so "in progress" matches "In-Progress".
+ * @returns The allowed value, or undefined when nothing matches
+ */
+function matchAllowedValue(allowed: string[], value: string): string | undefined {
+  if (allowed.includes(value)) {
+    return value;
+  }
+  const normalize = (text: string) => text.toLowerCase().replace(/[^a-z0-9]/g, '');
+  const wanted = normalize(value);
+  return allowed.find((candidate) => normalize(candidate) === wanted);
+}
+
 export class RallyClient {
   private client: AxiosInstance;
   private workspace: string;
   private workspaceRef?: string;
   private project?: string;
   private workspaceIsNumeric: boolean;
+  private portfolioItemTypes?: any[];
+  private typeDefinitions = new Map<string, any>();
+  private allowedValues = new Map<string, string[]>();
+  private formattedIds = new Map<string, { ObjectID: string; FormattedID: string; TypePath: string }>();
   
   constructor(config: Config) {
     this.client = axios.create({
@@ -246,6 +522,7 @@ export class RallyClient {
   }
   
   async getStory(id: string) {
+    id = await this.resolveObjectId(id, 'HierarchicalRequirement');
     try {
       // Check if we need to initialize
       if (!this.workspaceRef) {
@@ -279,6 +556,13 @@ export class RallyClient {
         await this.validateCredentials();
       }
       
+      // Accept owners given by name, email or username
+      data = await this.resolveOwner(data);
+      data = await this.resolveArtifactRefs(data);
+      
+      // Match drop-down values to Rally's spelling, rejecting unknown values
+      data = await this.resolveAllowedValues('HierarchicalRequirement', data, ['ScheduleState', 'Priority']);
+      
       const response = await this.client.post<RallyCreateResponse>('/HierarchicalRequirement/create', {
         HierarchicalRequirement: {
           ...data,
@@ -296,12 +580,20 @@ export class RallyClient {
   }
   
   async updateStory(id: string, data: Partial<RallyStory>) {
+    id = await this.resolveObjectId(id, 'HierarchicalRequirement');
     try {
       // Check if we need to initialize
       if (!this.workspaceRef) {
         await this.validateCredentials();
       }
       
+      // Accept owners given by name, email or username
+      data = await this.resolveOwner(data);
+      data = await this.resolveArtifactRefs(data);
+      
+      // Match drop-down values to Rally's spelling, rejecting unknown values
+      data = await this.resolveAllowedValues('HierarchicalRequirement', data, ['ScheduleState', 'Priority']);
+      
       const response = await this.client.post(`/HierarchicalRequirement/${id}`, {
         HierarchicalRequirement: data
       });
@@ -315,6 +607,7 @@ export class RallyClient {
   }
   
   async deleteStory(id: string) {
+    id = await this.resolveObjectId(id, 'HierarchicalRequirement');
     try {
       // Check if we need to initialize
       if (!this.workspaceRef) {
@@ -331,195 +624,3550 @@ export class RallyClient {
     }
   }
 
-  /**
-   * Get relationships for an artifact
-   * @param artifactId The ID of the artifact to get relationships for
-   * @returns Promise resolving to the relationships data
-   */
-  async getRelationships(artifactId: string) {
+  // Defects
+  async getDefects(queryParams: Record<string, string> = {}) {
     try {
       // Check if we need to initialize
       if (!this.workspaceRef) {
         await this.validateCredentials();
       }
       
-      const response = await this.client.get(`/HierarchicalRequirement/${artifactId}`, {
+      const response = await this.client.get('/Defect', {
         params: {
-          fetch: 'Predecessors,Successors,Children,Parent,Blocked,Blocker,Duplicates',
-          workspace: this.workspaceRef
+          workspace: this.workspaceRef,
+          project: this.project ? `/project/${this.project}` : undefined,
+          ...queryParams
+        }
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch defects: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+  
+  async getDefect(id: string) {
+    id = await this.resolveObjectId(id, 'Defect');
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.get(`/Defect/${id}`, {
+        params: {
+          workspace: this.workspaceRef,
+          project: this.project ? `/project/${this.project}` : undefined
+        }
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch defect ${id}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+  
+  async createDefect(data: { 
+    Name: string;
+    Description?: string;
+    Project?: { _ref: string };
+    [key: string]: any;
+  }) {
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      // Accept owners given by name, email or username
+      data = await this.resolveOwner(data);
+      data = await this.resolveArtifactRefs(data);
+      
+      // Match drop-down values to Rally's spelling, rejecting unknown values
+      data = await this.resolveAllowedValues('Defect', data, ['ScheduleState', 'State', 'Priority', 'Severity']);
+      
+      const response = await this.client.post<RallyCreateResponse<RallyDefect>>('/Defect/create', {
+        Defect: {
+          ...data,
+          Workspace: { _ref: this.workspaceRef },
+          Project: data.Project || (this.project ? { _ref: `/project/${this.project}` } : undefined)
         }
       });
+      return response.data.CreateResult.Object;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to create defect: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+  
+  async updateDefect(id: string, data: Partial<RallyDefect>) {
+    id = await this.resolveObjectId(id, 'Defect');
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      // Accept owners given by name, email or username
+      data = await this.resolveOwner(data);
+      data = await this.resolveArtifactRefs(data);
+      
+      // Match drop-down values to Rally's spelling, rejecting unknown values
+      data = await this.resolveAllowedValues('Defect', data, ['ScheduleState', 'State', 'Priority', 'Severity']);
+      
+      const response = await this.client.post(`/Defect/${id}`, {
+        Defect: data
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to update defect ${id}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+  
+  async deleteDefect(id: string) {
+    id = await this.resolveObjectId(id, 'Defect');
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
       
+      const response = await this.client.delete(`/Defect/${id}`);
       return response.data;
     } catch (error) {
       if (axios.isAxiosError(error)) {
-        throw new Error(`Failed to get relationships for ${artifactId}: ${error.message}`);
+        throw new Error(`Failed to delete defect ${id}: ${error.message}`);
       }
       throw error;
     }
   }
 
+  // Tasks
   /**
-   * Create a relationship between two artifacts
-   * @param sourceId The ID of the source artifact
-   * @param targetId The ID of the target artifact
-   * @param relationshipType The type of relationship to create
-   * @returns Promise resolving to the created relationship
+   * Get the tasks that break down a user story
+   * @param storyId The ObjectID of the story (the tasks' WorkProduct)
+   * @param queryParams Additional Rally query parameters
+   * @returns Promise resolving to the Tasks collection of the story
    */
-  async createRelationship(sourceId: string, targetId: string, relationshipType: RelationshipType) {
+  async getTasks(storyId: string, queryParams: Record<string, string> = {}) {
+    storyId = await this.resolveObjectId(storyId, 'HierarchicalRequirement');
     try {
       // Check if we need to initialize
       if (!this.workspaceRef) {
         await this.validateCredentials();
       }
       
-      // Determine which collection to update based on relationship type
-      let collectionName: string;
-      let artifactType = 'HierarchicalRequirement'; // Default to UserStory
-
-      // Map relationship type to the appropriate collection
-      switch (relationshipType) {
-        case 'Predecessor':
-          collectionName = 'Predecessors';
-          break;
-        case 'Successor':
-          collectionName = 'Successors';
-          break;
-        case 'Parent':
-          collectionName = 'Parent';
-          break;
-        case 'Child':
-          collectionName = 'Children';
-          break;
-        case 'Blocker':
-          collectionName = 'Blockers';
-          break;
-        case 'Blocked':
-          collectionName = 'Blocked';
-          break;
-        case 'Duplicate':
-          collectionName = 'Duplicates';
-          break;
-        case 'Duplicated':
-          collectionName = 'Duplicated';
-          break;
-        default:
-          throw new Error(`Unsupported relationship type: ${relationshipType}`);
+      const response = await this.client.get(`/HierarchicalRequirement/${storyId}/Tasks`, {
+        params: {
+          fetch: 'ObjectID,FormattedID,Name,State,Estimate,ToDo,Actuals,Owner,TaskIndex',
+          workspace: this.workspaceRef,
+          ...queryParams
+        }
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch tasks for story ${storyId}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+  
+  async getTask(id: string) {
+    id = await this.resolveObjectId(id, 'Task');
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
       }
-
-      // Check if we're adding a single item or to a collection
-      const isSingleReference = ['Parent'].includes(collectionName);
       
-      let updateData: any;
-      if (isSingleReference) {
-        // For single references like Parent
-        updateData = {
-          [artifactType]: {
-            [collectionName]: { _ref: `/${artifactType}/${targetId}` }
-          }
-        };
-      } else {
-        // For collection references like Predecessors
-        updateData = {
-          [artifactType]: {
-            [`${collectionName}`]: {
-              _type: 'add',
-              _ref: `/${artifactType}/${targetId}`
-            }
-          }
-        };
+      const response = await this.client.get(`/Task/${id}`, {
+        params: {
+          workspace: this.workspaceRef
+        }
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch task ${id}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+  
+  async createTask(data: { 
+    Name: string;
+    WorkProduct: { _ref: string };
+    [key: string]: any;
+  }) {
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      // Accept owners given by name, email or username
+      data = await this.resolveOwner(data);
+      data = await this.resolveArtifactRefs(data);
+      
+      // Tasks inherit their project from the WorkProduct, so none is set here
+      const response = await this.client.post<RallyCreateResponse<RallyTask>>('/Task/create', {
+        Task: {
+          ...data,
+          Workspace: { _ref: this.workspaceRef }
+        }
+      });
+      return response.data.CreateResult.Object;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to create task: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+  
+  async updateTask(id: string, data: Partial<RallyTask>) {
+    id = await this.resolveObjectId(id, 'Task');
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
       }
       
-      const response = await this.client.post(`/${artifactType}/${sourceId}`, updateData);
+      // Accept owners given by name, email or username
+      data = await this.resolveOwner(data);
+      data = await this.resolveArtifactRefs(data);
       
+      const response = await this.client.post(`/Task/${id}`, {
+        Task: data
+      });
       return response.data;
     } catch (error) {
       if (axios.isAxiosError(error)) {
-        throw new Error(`Failed to create relationship: ${error.message}`);
+        throw new Error(`Failed to update task ${id}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+  
+  async deleteTask(id: string) {
+    id = await this.resolveObjectId(id, 'Task');
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.delete(`/Task/${id}`);
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to delete task ${id}: ${error.message}`);
       }
       throw error;
     }
   }
 
+  // Portfolio Items (Features, Epics, Initiatives, ...)
   /**
-   * Remove a relationship between two artifacts
-   * @param sourceId The ID of the source artifact
-   * @param targetId The ID of the target artifact
-   * @param relationshipType The type of relationship to remove
-   * @returns Promise resolving to the operation result
+   * Normalize a portfolio item type such as "feature" or "PortfolioItem/Feature"
+   * to the WSAPI path "PortfolioItem/Feature"
+   * @param type The portfolio item type name or type path
+   * @returns The portfolio item type path
    */
-  async removeRelationship(sourceId: string, targetId: string, relationshipType: RelationshipType) {
+  portfolioItemPath(type: string): string {
+    const name = type.replace(/^\/?portfolioitem\//i, '');
+    return `PortfolioItem/${name.charAt(0).toUpperCase()}${name.slice(1)}`;
+  }
+
+  /**
+   * Get the portfolio item types defined in the workspace, lowest level first
+   * @returns Promise resolving to the portfolio item TypeDefinitions
+   */
+  async getPortfolioItemTypes() {
     try {
       // Check if we need to initialize
       if (!this.workspaceRef) {
         await this.validateCredentials();
       }
       
-      // Determine which collection to update based on relationship type
-      let collectionName: string;
-      let artifactType = 'HierarchicalRequirement'; // Default to UserStory
-
-      // Map relationship type to the appropriate collection
-      switch (relationshipType) {
-        case 'Predecessor':
-          collectionName = 'Predecessors';
-          break;
-        case 'Successor':
-          collectionName = 'Successors';
-          break;
-        case 'Parent':
-          collectionName = 'Parent';
-          break;
-        case 'Child':
-          collectionName = 'Children';
-          break;
-        case 'Blocker':
-          collectionName = 'Blockers';
-          break;
-        case 'Blocked':
-          collectionName = 'Blocked';
-          break;
-        case 'Duplicate':
-          collectionName = 'Duplicates';
-          break;
-        case 'Duplicated':
-          collectionName = 'Duplicated';
-          break;
-        default:
-          throw new Error(`Unsupported relationship type: ${relationshipType}`);
+      // The portfolio hierarchy rarely changes, so it is only read once
+      if (!this.portfolioItemTypes) {
+        const response = await this.client.get('/TypeDefinition', {
+          params: {
+            workspace: this.workspaceRef,
+            query: '(Parent.Name = "Portfolio Item")',
+            fetch: 'Name,ElementName,TypePath,Ordinal',
+            order: 'Ordinal'
+          }
+        });
+        this.portfolioItemTypes = response.data.QueryResult.Results;
+      }
+      return this.portfolioItemTypes;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch portfolio item types: ${error.message}`);
       }
+      throw error;
+    }
+  }
 
-      // Check if we're removing a single item or from a collection
-      const isSingleReference = ['Parent'].includes(collectionName);
-      
-      let updateData: any;
-      if (isSingleReference) {
-        // For single references like Parent, set to null to remove
-        updateData = {
-          [artifactType]: {
-            [collectionName]: null
-          }
-        };
-      } else {
-        // For collection references like Predecessors
-        updateData = {
-          [artifactType]: {
-            [`${collectionName}`]: {
-              _type: 'remove',
-              _ref: `/${artifactType}/${targetId}`
-            }
-          }
-        };
+  async getPortfolioItems(type: string, queryParams: Record<string, string> = {}) {
+    const typePath = this.portfolioItemPath(type);
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
       }
       
-      const response = await this.client.post(`/${artifactType}/${sourceId}`, updateData);
-      
+      const response = await this.client.get(`/${typePath}`, {
+        params: {
+          workspace: this.workspaceRef,
+          project: this.project ? `/project/${this.project}` : undefined,
+          ...queryParams
+        }
+      });
       return response.data;
     } catch (error) {
       if (axios.isAxiosError(error)) {
-        throw new Error(`Failed to remove relationship: ${error.message}`);
+        throw new Error(`Failed to fetch ${typePath} items: ${error.message}`);
       }
       throw error;
     }
   }
+
+  async getPortfolioItem(type: string, id: string) {
+    id = await this.resolveObjectId(id, this.portfolioItemPath(type));
+    const typePath = this.portfolioItemPath(type);
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.get(`/${typePath}/${id}`, {
+        params: {
+          workspace: this.workspaceRef
+        }
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch ${typePath} ${id}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  async createPortfolioItem(type: string, data: { 
+    Name: string;
+    Description?: string;
+    Project?: { _ref: string };
+    [key: string]: any;
+  }) {
+    const typePath = this.portfolioItemPath(type);
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      // Accept artifact refs given by FormattedID
+      data = await this.resolveArtifactRefs(data);
+      
+      const response = await this.client.post<RallyCreateResponse>(`/${typePath}/create`, {
+        [typePath]: {
+          ...data,
+          Workspace: { _ref: this.workspaceRef },
+          Project: data.Project || (this.project ? { _ref: `/project/${this.project}` } : undefined)
+        }
+      });
+      return response.data.CreateResult.Object;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to create ${typePath}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  async updatePortfolioItem(type: string, id: string, data: Record<string, any>) {
+    id = await this.resolveObjectId(id, this.portfolioItemPath(type));
+    const typePath = this.portfolioItemPath(type);
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      // Accept artifact refs given by FormattedID
+      data = await this.resolveArtifactRefs(data);
+      
+      const response = await this.client.post(`/${typePath}/${id}`, {
+        [typePath]: data
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to update ${typePath} ${id}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  async deletePortfolioItem(type: string, id: string) {
+    id = await this.resolveObjectId(id, this.portfolioItemPath(type));
+    const typePath = this.portfolioItemPath(type);
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.delete(`/${typePath}/${id}`);
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to delete ${typePath} ${id}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the user stories directly under a lowest-level portfolio item (e.g. a Feature)
+   * @param type The portfolio item type
+   * @param id The ObjectID of the portfolio item
+   * @param queryParams Additional Rally query parameters
+   * @returns Promise resolving to the UserStories collection
+   */
+  async getPortfolioItemStories(type: string, id: string, queryParams: Record<string, string> = {}) {
+    id = await this.resolveObjectId(id, this.portfolioItemPath(type));
+    const typePath = this.portfolioItemPath(type);
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.get(`/${typePath}/${id}/UserStories`, {
+        params: {
+          fetch: 'ObjectID,FormattedID,Name,ScheduleState,PlanEstimate,Owner,Iteration,Release',
+          workspace: this.workspaceRef,
+          ...queryParams
+        }
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch user stories of ${typePath} ${id}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Assign a user story to a portfolio item, or clear its assignment
+   * @param storyId The ObjectID of the story
+   * @param type The portfolio item type (usually Feature)
+   * @param portfolioItemId The ObjectID of the portfolio item, or null to clear it
+   * @returns Promise resolving to the update result
+   */
+  async setStoryPortfolioItem(storyId: string, type: string, portfolioItemId: string | null) {
+    const portfolioItem = portfolioItemId
+      ? { _ref: `/${this.portfolioItemPath(type)}/${portfolioItemId}` }
+      : null;
+    return this.updateStory(storyId, { PortfolioItem: portfolioItem });
+  }
+
+  // Iterations and Releases
+  async getIterations(queryParams: Record<string, string> = {}) {
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.get('/Iteration', {
+        params: {
+          fetch: 'ObjectID,Name,StartDate,EndDate,State,PlannedVelocity,Project',
+          order: 'StartDate DESC',
+          workspace: this.workspaceRef,
+          project: this.project ? `/project/${this.project}` : undefined,
+          ...queryParams
+        }
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch iterations: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  async getIteration(id: string) {
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.get(`/Iteration/${id}`, {
+        params: {
+          workspace: this.workspaceRef
+        }
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch iteration ${id}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  async getReleases(queryParams: Record<string, string> = {}) {
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      // Releases name their dates ReleaseStartDate and ReleaseDate
+      const response = await this.client.get('/Release', {
+        params: {
+          fetch: 'ObjectID,Name,ReleaseStartDate,ReleaseDate,State,PlannedVelocity,Project',
+          order: 'ReleaseDate DESC',
+          workspace: this.workspaceRef,
+          project: this.project ? `/project/${this.project}` : undefined,
+          ...queryParams
+        }
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch releases: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  async getRelease(id: string) {
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.get(`/Release/${id}`, {
+        params: {
+          workspace: this.workspaceRef
+        }
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch release ${id}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve an iteration or release given by name or ObjectID to its ref
+   * @param kind Whether to look up an Iteration or a Release
+   * @param nameOrId The timebox name (e.g. "Sprint 42") or its ObjectID
+   * @returns Promise resolving to the timebox ref, e.g. "/iteration/12345"
+   */
+  async resolveTimeboxRef(kind: 'Iteration' | 'Release', nameOrId: string): Promise<string> {
+    if (/^\d+$/.test(nameOrId)) {
+      return `/${kind.toLowerCase()}/${nameOrId}`;
+    }
+    
+    const params = { query: `(Name = "${nameOrId.replace(/"/g, '\\"')}")`, pagesize: '1' };
+    const data = kind === 'Iteration'
+      ? await this.getIterations(params)
+      : await this.getReleases(params);
+    const results = data.QueryResult ? data.QueryResult.Results : data.Results;
+    
+    if (!results || results.length === 0) {
+      throw new Error(`${kind} "${nameOrId}" not found`);
+    }
+    return `/${kind.toLowerCase()}/${results[0].ObjectID}`;
+  }
+
+  /**
+   * Move a story or defect into or out of an iteration and/or release
+   * @param artifactType The WSAPI type of the artifact
+   * @param id The ObjectID of the artifact
+   * @param schedule Iteration and release names or ObjectIDs; null removes the artifact from it
+   * @returns Promise resolving to the update result
+   */
+  async scheduleArtifact(
+    artifactType: 'HierarchicalRequirement' | 'Defect',
+    id: string,
+    schedule: { iteration?: string | null; release?: string | null }
+  ) {
+    const updateData: Record<string, any> = {};
+    
+    if (schedule.iteration !== undefined) {
+      updateData.Iteration = schedule.iteration
+        ? { _ref: await this.resolveTimeboxRef('Iteration', schedule.iteration) }
+        : null;
+    }
+    if (schedule.release !== undefined) {
+      updateData.Release = schedule.release
+        ? { _ref: await this.resolveTimeboxRef('Release', schedule.release) }
+        : null;
+    }
+    
+    // A FormattedID such as DE42 decides the type on its own
+    const artifact = await this.resolveArtifact(id, artifactType);
+    return (artifact.TypePath || artifactType) === 'Defect'
+      ? this.updateDefect(artifact.ObjectID, updateData)
+      : this.updateStory(artifact.ObjectID, updateData);
+  }
+
+  // Test Cases, Test Sets, Test Folders and Test Case Results
+  async getTestCases(queryParams: Record<string, string> = {}) {
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.get('/TestCase', {
+        params: {
+          workspace: this.workspaceRef,
+          project: this.project ? `/project/${this.project}` : undefined,
+          ...queryParams
+        }
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch test cases: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  async getTestCase(id: string) {
+    id = await this.resolveObjectId(id, 'TestCase');
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.get(`/TestCase/${id}`, {
+        params: {
+          workspace: this.workspaceRef
+        }
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch test case ${id}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the test cases attached to a user story
+   * @param storyId The ObjectID of the story (the test cases' WorkProduct)
+   * @returns Promise resolving to the TestCases collection of the story
+   */
+  async getStoryTestCases(storyId: string) {
+    storyId = await this.resolveObjectId(storyId, 'HierarchicalRequirement');
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.get(`/HierarchicalRequirement/${storyId}/TestCases`, {
+        params: {
+          fetch: 'ObjectID,FormattedID,Name,Type,Method,Priority,LastVerdict,LastBuild,LastRun',
+          workspace: this.workspaceRef
+        }
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch test cases for story ${storyId}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  async createTestCase(data: { 
+    Name: string;
+    WorkProduct?: { _ref: string };
+    [key: string]: any;
+  }) {
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      // Accept artifact refs given by FormattedID
+      data = await this.resolveArtifactRefs(data);
+      
+      const response = await this.client.post<RallyCreateResponse>('/TestCase/create', {
+        TestCase: {
+          ...data,
+          Workspace: { _ref: this.workspaceRef },
+          Project: data.Project || (this.project ? { _ref: `/project/${this.project}` } : undefined)
+        }
+      });
+      return response.data.CreateResult.Object;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to create test case: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  async updateTestCase(id: string, data: Record<string, any>) {
+    id = await this.resolveObjectId(id, 'TestCase');
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      // Accept artifact refs given by FormattedID
+      data = await this.resolveArtifactRefs(data);
+      
+      const response = await this.client.post(`/TestCase/${id}`, {
+        TestCase: data
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to update test case ${id}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  async deleteTestCase(id: string) {
+    id = await this.resolveObjectId(id, 'TestCase');
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.delete(`/TestCase/${id}`);
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to delete test case ${id}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Add a step to a test case
+   * @param testCaseId The ObjectID of the test case
+   * @param step The step input, expected result and optional position
+   * @returns Promise resolving to the created TestCaseStep
+   */
+  async createTestCaseStep(testCaseId: string, step: { Input: string; ExpectedResult?: string; StepIndex?: number }) {
+    testCaseId = await this.resolveObjectId(testCaseId, 'TestCase');
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.post<RallyCreateResponse>('/TestCaseStep/create', {
+        TestCaseStep: {
+          ...step,
+          TestCase: { _ref: `/testcase/${testCaseId}` },
+          Workspace: { _ref: this.workspaceRef }
+        }
+      });
+      return response.data.CreateResult.Object;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to add step to test case ${testCaseId}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  async createTestSet(data: { 
+    Name: string;
+    [key: string]: any;
+  }) {
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      // Accept artifact refs given by FormattedID
+      data = await this.resolveArtifactRefs(data);
+      
+      const response = await this.client.post<RallyCreateResponse>('/TestSet/create', {
+        TestSet: {
+          ...data,
+          Workspace: { _ref: this.workspaceRef },
+          Project: data.Project || (this.project ? { _ref: `/project/${this.project}` } : undefined)
+        }
+      });
+      return response.data.CreateResult.Object;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to create test set: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Add a test case to a test set
+   * @param testSetId The ObjectID of the test set
+   * @param testCaseId The ObjectID of the test case
+   * @returns Promise resolving to the update result
+   */
+  async addTestCaseToTestSet(testSetId: string, testCaseId: string) {
+    testSetId = await this.resolveObjectId(testSetId, 'TestSet');
+    testCaseId = await this.resolveObjectId(testCaseId, 'TestCase');
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.post(`/TestSet/${testSetId}`, {
+        TestSet: {
+          TestCases: {
+            _type: 'add',
+            _ref: `/testcase/${testCaseId}`
+          }
+        }
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to add test case ${testCaseId} to test set ${testSetId}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  async createTestFolder(data: { 
+    Name: string;
+    [key: string]: any;
+  }) {
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      // Accept artifact refs given by FormattedID
+      data = await this.resolveArtifactRefs(data);
+      
+      const response = await this.client.post<RallyCreateResponse>('/TestFolder/create', {
+        TestFolder: {
+          ...data,
+          Workspace: { _ref: this.workspaceRef },
+          Project: data.Project || (this.project ? { _ref: `/project/${this.project}` } : undefined)
+        }
+      });
+      return response.data.CreateResult.Object;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to create test folder: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Record the outcome of running a test case against a build
+   * @param data The result, which must reference its TestCase and carry Verdict, Build and Date
+   * @returns Promise resolving to the created TestCaseResult
+   */
+  async createTestCaseResult(data: {
+    TestCase: { _ref: string };
+    Verdict: string;
+    Build: string;
+    Date: string;
+    [key: string]: any;
+  }) {
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      // Accept artifact refs given by FormattedID
+      data = await this.resolveArtifactRefs(data);
+      
+      const response = await this.client.post<RallyCreateResponse>('/TestCaseResult/create', {
+        TestCaseResult: {
+          ...data,
+          Workspace: { _ref: this.workspaceRef }
+        }
+      });
+      return response.data.CreateResult.Object;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to record test case result: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  async getTestCaseResults(testCaseId: string) {
+    testCaseId = await this.resolveObjectId(testCaseId, 'TestCase');
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.get(`/TestCase/${testCaseId}/Results`, {
+        params: {
+          fetch: 'ObjectID,Verdict,Build,Date,Notes,Duration,Tester,TestSet',
+          order: 'Date DESC',
+          workspace: this.workspaceRef
+        }
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch results for test case ${testCaseId}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  // Workspaces and Projects
+  async getWorkspaces(queryParams: Record<string, string> = {}) {
+    try {
+      const response = await this.client.get('/workspace', {
+        params: {
+          fetch: 'ObjectID,Name,Description,State',
+          ...queryParams
+        }
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch workspaces: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  async getWorkspaceProjects(workspaceId: string, queryParams: Record<string, string> = {}) {
+    try {
+      const response = await this.client.get(`/workspace/${workspaceId}/Projects`, {
+        params: {
+          fetch: 'ObjectID,Name,State,Owner,Parent,Children',
+          ...queryParams
+        }
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch projects of workspace ${workspaceId}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get a project together with its child projects and team members
+   * @param id The ObjectID of the project
+   * @returns Promise resolving to the project, with Children and TeamMembers expanded to lists;
+   * Truncated is set when either list has more than DEFAULT_MAX_RESULTS entries
+   */
+  async getProject(id: string) {
+    try {
+      // Collections come back 20 to a page, so walk them rather than showing the first page
+      const readCollection = (collection: string, fetch: string) => fetchAllPages(
+        async (queryParams) => (await this.client.get(`/project/${id}/${collection}`, {
+          params: { fetch, ...queryParams }
+        })).data
+      );
+      const [project, children, teamMembers] = await Promise.all([
+        this.client.get(`/project/${id}`, {
+          params: { fetch: 'ObjectID,Name,Description,State,Owner,Parent,Workspace' }
+        }),
+        readCollection('Children', 'ObjectID,Name,State,Owner'),
+        readCollection('TeamMembers', 'ObjectID,UserName,DisplayName,EmailAddress')
+      ]);
+      
+      return {
+        ...project.data.Project,
+        Children: children.QueryResult.Results,
+        TeamMembers: teamMembers.QueryResult.Results,
+        Truncated: children.QueryResult.Truncated || teamMembers.QueryResult.Truncated
+      };
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch project ${id}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  // Users
+  async getUsers(queryParams: Record<string, string> = {}) {
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.get('/user', {
+        params: {
+          fetch: 'ObjectID,UserName,DisplayName,FirstName,LastName,EmailAddress,Disabled',
+          workspace: this.workspaceRef,
+          ...queryParams
+        }
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch users: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  async getUser(id: string) {
+    try {
+      const response = await this.client.get(`/user/${id}`);
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch user ${id}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Search users by name, email address or username
+   * @param search Text contained in the user's UserName, EmailAddress, DisplayName or LastName
+   * @returns Promise resolving to the matching users
+   */
+  async findUsers(search: string): Promise<any[]> {
+    const value = search.replace(/"/g, '\\"');
+    const query = `(((UserName contains "${value}") OR (EmailAddress contains "${value}")) OR ` +
+      `((DisplayName contains "${value}") OR (LastName contains "${value}")))`;
+    const data = await this.getUsers({ query, pagesize: '50' });
+    return (data.QueryResult || data).Results || [];
+  }
+
+  /**
+   * Resolve a user given by ObjectID, ref, email address, username or display name to its ref
+   * @param user The user identifier
+   * @returns Promise resolving to the user ref, e.g. "/user/12345"
+   */
+  async resolveUserRef(user: string): Promise<string> {
+    if (/^\d+$/.test(user)) {
+      return `/user/${user}`;
+    }
+    if (/^\/user\/\d+$/i.test(user)) {
+      return user;
+    }
+    
+    const wanted = user.toLowerCase();
+    const exactMatches = (await this.findUsers(user)).filter((candidate: any) =>
+      [candidate.UserName, candidate.EmailAddress, candidate.DisplayName]
+        .some((value) => typeof value === 'string' && value.toLowerCase() === wanted));
+    
+    if (exactMatches.length === 0) {
+      throw new Error(`User "${user}" not found`);
+    }
+    if (exactMatches.length > 1) {
+      const candidates = exactMatches.map((candidate: any) => candidate.UserName).join(', ');
+      throw new Error(`User "${user}" is ambiguous, matching: ${candidates}`);
+    }
+    return `/user/${exactMatches[0].ObjectID}`;
+  }
+
+  /**
+   * Replace an Owner given as a string with a user ref
+   * @param data Artifact data that may carry an Owner
+   * @returns The data with Owner resolved, or the same data if there is nothing to resolve
+   */
+  private async resolveOwner<T extends Record<string, any>>(data: T): Promise<T> {
+    if (typeof data.Owner !== 'string' || !data.Owner) {
+      return data;
+    }
+    return { ...data, Owner: { _ref: await this.resolveUserRef(data.Owner) } };
+  }
+
+  /**
+   * Normalize an artifact type such as "story", "defect" or "portfolioitem/feature"
+   * to its WSAPI type path
+   * @param type The artifact type name, alias or type path
+   * @returns The WSAPI type path, e.g. "HierarchicalRequirement"
+   */
+  artifactTypePath(type: string): string {
+    const alias = ARTIFACT_TYPE_ALIASES[type.replace(/\s+/g, '').toLowerCase()];
+    if (alias) {
+      return alias;
+    }
+    if (/^\/?portfolioitem\//i.test(type)) {
+      return this.portfolioItemPath(type);
+    }
+    return type;
+  }
+
+  // FormattedIDs
+  /**
+   * Resolve an ObjectID or FormattedID (US1234, DE42, TA7, F12, TC3...) to the artifact's identifiers
+   * @param id The ObjectID or FormattedID
+   * @param defaultType Type to assume for a bare ObjectID; without it the type is looked up
+   * @returns Promise resolving to the ObjectID, and the FormattedID and type path when known
+   */
+  async resolveArtifact(id: string, defaultType?: string): Promise<{ ObjectID: string; FormattedID?: string; TypePath?: string }> {
+    const trimmed = id.trim();
+    if (/^\d+$/.test(trimmed) && defaultType) {
+      return { ObjectID: trimmed, TypePath: this.artifactTypePath(defaultType) };
+    }
+    
+    if (/^\d+$/.test(trimmed)) {
+      return this.resolveObjectIdType(trimmed);
+    }
+    
+    const match = /^([A-Za-z]+)(\d+)$/.exec(trimmed);
+    if (!match) {
+      throw new Error(`Invalid artifact ID "${id}", expected an ObjectID or a FormattedID such as US1234`);
+    }
+    const formattedId = trimmed.toUpperCase();
+    const cached = this.formattedIds.get(formattedId);
+    if (cached) {
+      return cached;
+    }
+    
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const params = {
+        query: `(FormattedID = "${formattedId}")`,
+        fetch: 'ObjectID,FormattedID',
+        workspace: this.workspaceRef
+      };
+      const knownType = FORMATTED_ID_PREFIXES[match[1].toUpperCase()];
+      let artifact: any;
+      if (knownType) {
+        const response = await this.client.get(`/${knownType}`, { params });
+        artifact = response.data.QueryResult.Results[0];
+      }
+      if (!artifact) {
+        // Workspaces can rename prefixes and add portfolio item levels
+        const response = await this.client.get('/artifact', { params });
+        artifact = response.data.QueryResult.Results[0];
+      }
+      if (!artifact) {
+        throw new Error(`Artifact ${formattedId} not found`);
+      }
+      
+      const resolved = {
+        ObjectID: String(artifact.ObjectID),
+        FormattedID: artifact.FormattedID,
+        TypePath: artifact._type || knownType
+      };
+      this.formattedIds.set(formattedId, resolved);
+      return resolved;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to resolve ${formattedId}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Look up the type of a bare ObjectID through the Artifact endpoint
+   */
+  private async resolveObjectIdType(objectId: string) {
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.get('/artifact', {
+        params: {
+          query: `(ObjectID = ${objectId})`,
+          fetch: 'ObjectID,FormattedID',
+          workspace: this.workspaceRef
+        }
+      });
+      const [artifact] = response.data.QueryResult.Results;
+      if (!artifact) {
+        throw new Error(`Artifact ${objectId} not found`);
+      }
+      return { ObjectID: objectId, FormattedID: artifact.FormattedID as string, TypePath: artifact._type as string };
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to resolve ${objectId}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve an ObjectID or FormattedID to the ObjectID of an artifact of the expected type
+   * @param id The ObjectID or FormattedID
+   * @param type The expected artifact type name, alias or type path
+   * @returns Promise resolving to the ObjectID
+   * @throws When the FormattedID belongs to another type
+   */
+  async resolveObjectId(id: string, type: string): Promise<string> {
+    if (/^\d+$/.test(id)) {
+      return id;
+    }
+    
+    const artifact = await this.resolveArtifact(id);
+    const typePath = this.artifactTypePath(type);
+    if (artifact.TypePath && artifact.TypePath.toLowerCase() !== typePath.toLowerCase()) {
+      throw new Error(`${artifact.FormattedID} is a ${artifact.TypePath}, not a ${typePath}`);
+    }
+    return artifact.ObjectID;
+  }
+
+  /**
+   * Locate an artifact given with a type and an ObjectID or FormattedID. The type of a
+   * FormattedID wins over the given type, so "DE42" is a defect even when "story" is passed.
+   * @returns Promise resolving to the type path and ObjectID
+   */
+  private async locateArtifact(artifactType: string, artifactId: string) {
+    const artifact = await this.resolveArtifact(artifactId, artifactType);
+    return {
+      typePath: artifact.TypePath || this.artifactTypePath(artifactType),
+      objectId: artifact.ObjectID
+    };
+  }
+
+  /**
+   * Replace FormattedIDs in artifact refs, e.g. { _ref: "/HierarchicalRequirement/US12" },
+   * with the ObjectID ref Rally expects
+   * @param data Artifact data whose top-level values may be refs
+   * @returns Promise resolving to the data with resolved refs
+   */
+  private async resolveArtifactRefs<T extends Record<string, any>>(data: T): Promise<T> {
+    const resolved: Record<string, any> = { ...data };
+    for (const [field, value] of Object.entries(data)) {
+      const ref = value && typeof value === 'object' && typeof value._ref === 'string' ? value._ref : undefined;
+      const match = ref && /^\/?(.+)\/([A-Za-z]+\d+)$/.exec(ref);
+      // Projects, users and other non-artifact refs are left alone
+      if (match && !/^(project|user|workspace|iteration|release)$/i.test(match[1])) {
+        const objectId = await this.resolveObjectId(match[2], match[1]);
+        resolved[field] = { _ref: `/${match[1]}/${objectId}` };
+      }
+    }
+    return resolved as T;
+  }
+
+  // Generic artifacts
+  /**
+   * Get the TypeDefinition of an artifact type with its attribute metadata, cached per type
+   * @param type The artifact type name, alias or type path, e.g. "defect" or "portfolioitem/feature"
+   * @returns Promise resolving to the type's TypePath, ElementName and Attributes
+   */
+  async getTypeDefinition(type: string) {
+    const typePath = this.artifactTypePath(type);
+    const cached = this.typeDefinitions.get(typePath.toLowerCase());
+    if (cached) {
+      return cached;
+    }
+    
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const typeResponse = await this.client.get('/TypeDefinition', {
+        params: {
+          query: `(TypePath = "${typePath}")`,
+          fetch: 'ObjectID,Name,TypePath,ElementName,Creatable,Updatable,Deletable',
+          workspace: this.workspaceRef
+        }
+      });
+      const [typeDef] = typeResponse.data.QueryResult.Results;
+      if (!typeDef) {
+        throw new Error(`Unknown artifact type "${type}"`);
+      }
+      
+      // Every page of attributes, so a custom field past the first page is still checked
+      const attributesResponse = await fetchAllPages(async (queryParams) => (await this.client.get(`/TypeDefinition/${typeDef.ObjectID}/Attributes`, {
+        params: {
+          fetch: 'ObjectID,Name,ElementName,AttributeType,SchemaType,Required,ReadOnly,Custom,Hidden,Constrained',
+          ...queryParams
+        }
+      })).data, { pagesize: '200' });
+      
+      const definition = {
+        ObjectID: typeDef.ObjectID,
+        Name: typeDef.Name,
+        TypePath: typeDef.TypePath,
+        ElementName: typeDef.ElementName,
+        Creatable: typeDef.Creatable,
+        Updatable: typeDef.Updatable,
+        Deletable: typeDef.Deletable,
+        Attributes: attributesResponse.QueryResult.Results.map((attribute: any) => ({
+          ObjectID: attribute.ObjectID,
+          Name: attribute.Name,
+          ElementName: attribute.ElementName,
+          AttributeType: attribute.AttributeType,
+          SchemaType: attribute.SchemaType,
+          Required: attribute.Required,
+          ReadOnly: attribute.ReadOnly,
+          Custom: attribute.Custom,
+          Hidden: attribute.Hidden,
+          Constrained: attribute.Constrained
+        }))
+      };
+      this.typeDefinitions.set(typePath.toLowerCase(), definition);
+      return definition;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch type definition of ${typePath}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check artifact fields against the type's attribute definitions. Field names may be given
+   * as ElementName or display name in any case and are returned as ElementNames.
+   * @param type The artifact type name, alias or type path
+   * @param fields The field values to write
+   * @param mode "create" also requires every required attribute Rally does not fill in itself
+   * @returns Promise resolving to the fields keyed by ElementName
+   * @throws When the type cannot be created or updated, or a field is unknown, read-only, invalid or missing
+   */
+  async validateArtifactFields(type: string, fields: Record<string, any>, mode: 'create' | 'update') {
+    const definition = await this.getTypeDefinition(type);
+    if (definition[mode === 'create' ? 'Creatable' : 'Updatable'] === false) {
+      throw new Error(`Rally does not allow ${mode === 'create' ? 'creating' : 'updating'} ${definition.TypePath} artifacts`);
+    }
+    const byName = new Map<string, any>();
+    for (const attribute of definition.Attributes) {
+      byName.set(attribute.ElementName.toLowerCase(), attribute);
+      byName.set(attribute.Name.replace(/\s+/g, '').toLowerCase(), attribute);
+    }
+    
+    const errors: string[] = [];
+    const validated: Record<string, any> = {};
+    for (const [field, value] of Object.entries(fields)) {
+      const attribute = byName.get(field.replace(/\s+/g, '').toLowerCase());
+      if (!attribute) {
+        errors.push(`unknown field "${field}"`);
+      } else if (attribute.ReadOnly) {
+        errors.push(`field "${attribute.ElementName}" is read-only`);
+      } else if (attribute.AttributeType === 'OBJECT' && typeof value === 'string' && value.startsWith('/')) {
+        // Refs may be given as plain strings
+        validated[attribute.ElementName] = { _ref: value };
+      } else {
+        const result = await this.normalizeFieldValue(type, attribute, value);
+        if (result.error) {
+          errors.push(result.error);
+        } else {
+          validated[attribute.ElementName] = result.value;
+        }
+      }
+    }
+    
+    if (mode === 'create') {
+      const missing = definition.Attributes
+        .filter((attribute: any) => attribute.Required && !attribute.ReadOnly &&
+          attribute.AttributeType !== 'BOOLEAN' && !DEFAULTED_REQUIRED_FIELDS.has(attribute.ElementName) &&
+          validated[attribute.ElementName] === undefined)
+        .map((attribute: any) => attribute.ElementName);
+      if (missing.length > 0) {
+        errors.push(`missing required field(s): ${missing.join(', ')}`);
+      }
+    }
+    
+    if (errors.length > 0) {
+      throw new Error(`Invalid ${definition.TypePath} fields: ${errors.join('; ')}`);
+    }
+    return validated;
+  }
+
+  /**
+   * Get the allowed values of a drop-down attribute, cached per type and attribute
+   * @param type The artifact type name, alias or type path
+   * @param attribute The attribute definition from getTypeDefinition
+   * @returns Promise resolving to the allowed string values
+   */
+  async getAllowedValues(type: string, attribute: any): Promise<string[]> {
+    const key = `${this.artifactTypePath(type)}.${attribute.ElementName}`.toLowerCase();
+    const cached = this.allowedValues.get(key);
+    if (cached) {
+      return cached;
+    }
+    
+    try {
+      // Every page, so a long drop-down does not reject its later values
+      const response = await fetchAllPages(async (queryParams) => (await this.client.get(`/AttributeDefinition/${attribute.ObjectID}/AllowedValues`, {
+        params: {
+          fetch: 'StringValue',
+          ...queryParams
+        }
+      })).data, { pagesize: '200' });
+      const values = response.QueryResult.Results
+        .map((value: any) => value.StringValue)
+        .filter((value: string) => value !== '' && value !== null && value !== undefined);
+      this.allowedValues.set(key, values);
+      return values;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch allowed values of ${attribute.ElementName}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Describe the writable and custom fields of a type, with the allowed values of drop-downs
+   * @param type The artifact type name, alias or type path
+   * @returns Promise resolving to the type path and its visible fields
+   */
+  async getSchema(type: string) {
+    const definition = await this.getTypeDefinition(type);
+    const visible = definition.Attributes.filter((attribute: any) => !attribute.Hidden);
+    const fields = await Promise.all(visible.map(async (attribute: any) => ({
+      Name: attribute.Name,
+      ElementName: attribute.ElementName,
+      Type: attribute.AttributeType,
+      SchemaType: attribute.SchemaType,
+      Required: attribute.Required,
+      ReadOnly: attribute.ReadOnly,
+      Custom: attribute.Custom,
+      AllowedValues: this.isDropDown(attribute) ? await this.getAllowedValues(type, attribute) : undefined
+    })));
+    
+    return {
+      TypePath: definition.TypePath,
+      ElementName: definition.ElementName,
+      Fields: fields
+    };
+  }
+
+  /**
+   * Load the type definitions of the common artifact types so custom fields are known up front
+   * @param types The artifact types to load
+   * @returns Promise resolving to the custom field ElementNames per type path
+   */
+  async loadCustomFields(types: string[] = ['story', 'defect', 'task', 'testcase', 'feature']) {
+    const customFields: Record<string, string[]> = {};
+    for (const type of types) {
+      const definition = await this.getTypeDefinition(type);
+      customFields[definition.TypePath] = definition.Attributes
+        .filter((attribute: any) => attribute.Custom)
+        .map((attribute: any) => attribute.ElementName);
+    }
+    return customFields;
+  }
+
+  /**
+   * Check custom field values against their attribute types and allowed values
+   * @param type The artifact type name, alias or type path
+   * @param customFields Values keyed by ElementName (c_Team), name without prefix or display name
+   * @returns Promise resolving to the values keyed by ElementName
+   */
+  async validateCustomFields(type: string, customFields: Record<string, any>) {
+    const definition = await this.getTypeDefinition(type);
+    const byName = new Map<string, any>();
+    for (const attribute of definition.Attributes.filter((candidate: any) => candidate.Custom)) {
+      byName.set(attribute.ElementName.toLowerCase(), attribute);
+      byName.set(attribute.ElementName.replace(/^c_/i, '').toLowerCase(), attribute);
+      byName.set(attribute.Name.replace(/\s+/g, '').toLowerCase(), attribute);
+    }
+    
+    const errors: string[] = [];
+    const validated: Record<string, any> = {};
+    for (const [field, value] of Object.entries(customFields)) {
+      const attribute = byName.get(field.replace(/\s+/g, '').toLowerCase());
+      if (!attribute) {
+        errors.push(`unknown custom field "${field}"`);
+        continue;
+      }
+      if (attribute.ReadOnly) {
+        errors.push(`custom field "${attribute.ElementName}" is read-only`);
+        continue;
+      }
+      
+      const result = await this.normalizeFieldValue(type, attribute, value);
+      if (result.error) {
+        errors.push(result.error);
+      } else {
+        validated[attribute.ElementName] = result.value;
+      }
+    }
+    
+    if (errors.length > 0) {
+      const known = Array.from(new Set(byName.values())).map((attribute: any) => attribute.ElementName);
+      throw new Error(`Invalid custom fields for ${definition.TypePath}: ${errors.join('; ')}` +
+        (errors.some((error) => error.startsWith('unknown')) ? ` (known custom fields: ${known.join(', ') || 'none'})` : ''));
+    }
+    return validated;
+  }
+
+  private isDropDown(attribute: any): boolean {
+    return Boolean(attribute.Constrained) && ['STRING', 'RATING', 'STATE'].includes(attribute.AttributeType);
+  }
+
+  /**
+   * Check one value against its attribute type. Drop-down values are matched case-insensitively
+   * and returned in the spelling Rally expects.
+   * @returns The value to send, or an error message when the value is invalid
+   */
+  private async normalizeFieldValue(
+    type: string,
+    attribute: any,
+    value: any
+  ): Promise<{ value?: any; error?: string }> {
+    const name = attribute.ElementName;
+    if (value === null || value === '') {
+      return attribute.Required ? { error: `field "${name}" is required` } : { value };
+    }
+    
+    const check = (valid: boolean, message: string) => (valid ? { value } : { error: `field "${name}" ${message}` });
+    switch (attribute.AttributeType) {
+      case 'BOOLEAN':
+        return check(typeof value === 'boolean', 'must be true or false');
+      case 'INTEGER':
+        return check(Number.isInteger(value), 'must be an integer');
+      case 'QUANTITY':
+      case 'DECIMAL':
+        return check(typeof value === 'number' && isFinite(value), 'must be a number');
+      case 'DATE':
+        return check(typeof value === 'string' && !isNaN(Date.parse(value)), 'must be an ISO date');
+      case 'OBJECT':
+      case 'COLLECTION':
+        // Refs, and owners given by name, are resolved when the artifact is written
+        return { value };
+      case 'WEB_LINK':
+        return check(typeof value === 'object' && typeof value.LinkID === 'string',
+          'must be an object with LinkID and DisplayString');
+      default:
+        break;
+    }
+    
+    if (typeof value !== 'string') {
+      return { error: `field "${name}" must be a string` };
+    }
+    if (this.isDropDown(attribute)) {
+      const allowed = await this.getAllowedValues(type, attribute);
+      const match = matchAllowedValue(allowed, value);
+      if (match === undefined) {
+        return { error: `"${value}" is not a valid ${name}. Valid values: ${allowed.join(', ')}` };
+      }
+      return { value: match };
+    }
+    return { value };
+  }
+
+  /**
+   * Replace drop-down values in artifact data with the allowed value they match
+   * @param type The artifact type name, alias or type path
+   * @param data Artifact data keyed by ElementName
+   * @param fields The drop-down fields to resolve, e.g. ["ScheduleState", "Priority"]
+   * @returns Promise resolving to the data with resolved values
+   * @throws When a value matches none of the allowed values
+   */
+  async resolveAllowedValues<T extends Record<string, any>>(type: string, data: T, fields: string[]): Promise<T> {
+    const present = fields.filter((field) => typeof data[field] === 'string' && data[field] !== '');
+    if (present.length === 0) {
+      return data;
+    }
+    
+    const definition = await this.getTypeDefinition(type);
+    const resolved: Record<string, any> = { ...data };
+    const errors: string[] = [];
+    for (const field of present) {
+      const attribute = definition.Attributes.find((candidate: any) => candidate.ElementName === field);
+      if (!attribute || !this.isDropDown(attribute)) {
+        continue;
+      }
+      const result = await this.normalizeFieldValue(type, attribute, data[field]);
+      if (result.error) {
+        errors.push(result.error);
+      } else {
+        resolved[field] = result.value;
+      }
+    }
+    
+    if (errors.length > 0) {
+      throw new Error(`Invalid ${definition.TypePath} values: ${errors.join('; ')}`);
+    }
+    return resolved as T;
+  }
+
+  /**
+   * Get any artifact by type and ObjectID
+   * @param type The artifact type name, alias or type path
+   * @param id The ObjectID of the artifact
+   * @param fetch Optional comma separated list of fields to return
+   * @returns Promise resolving to the artifact
+   */
+  async getArtifact(type: string, id: string, fetch?: string) {
+    const { typePath, objectId } = await this.locateArtifact(type, id);
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.get(`/${typePath}/${objectId}`, {
+        params: {
+          fetch,
+          workspace: this.workspaceRef
+        }
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch ${typePath} ${id}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get an artifact of any type by FormattedID, or by ObjectID alone
+   * @param id The FormattedID (e.g. "US1234") or ObjectID
+   * @returns Promise resolving to the artifact
+   */
+  async findArtifact(id: string) {
+    const artifact = await this.resolveArtifact(id);
+    return this.getArtifact(artifact.TypePath as string, artifact.ObjectID);
+  }
+
+  /**
+   * Query artifacts of any type, scoped to the configured workspace and project like getStories
+   * @param type The artifact type name, alias or type path
+   * @param queryParams Rally query parameters (query, fetch, order, pagesize, start)
+   * @returns Promise resolving to the query result
+   */
+  async queryArtifacts(type: string, queryParams: Record<string, string> = {}) {
+    const typePath = this.artifactTypePath(type);
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.get(`/${typePath}`, {
+        params: {
+          workspace: this.workspaceRef,
+          project: this.project ? `/project/${this.project}` : undefined,
+          ...queryParams
+        }
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to query ${typePath}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Query artifacts with a structured filter instead of a hand-written query string.
+   * The first segment of every field path is checked against the type's attributes.
+   * @param type The artifact type name, alias or type path
+   * @param filter A condition, or an and/or group of filters
+   * @param queryParams Other Rally query parameters (fetch, order, pagesize, start)
+   * @returns Promise resolving to the generated query string and the query result
+   */
+  async searchArtifacts(type: string, filter: QueryFilter, queryParams: Record<string, string> = {}) {
+    const definition = await this.getTypeDefinition(type);
+    const byName = new Map<string, string>();
+    for (const attribute of definition.Attributes) {
+      byName.set(attribute.ElementName.toLowerCase(), attribute.ElementName);
+      byName.set(attribute.Name.replace(/\s+/g, '').toLowerCase(), attribute.ElementName);
+    }
+    
+    const query = buildQuery(filter, (field) => {
+      // Paths such as Iteration.Name or Owner.UserName continue into the referenced type
+      const [head, ...rest] = field.trim().split('.');
+      const elementName = byName.get(head.replace(/\s+/g, '').toLowerCase());
+      if (!elementName) {
+        throw new Error(`Unknown field "${head}" on ${definition.TypePath}; rally://schema/${type} lists the fields`);
+      }
+      return [elementName, ...rest].join('.');
+    });
+    
+    const result = await this.queryArtifacts(definition.TypePath, { ...queryParams, query });
+    return { query, result };
+  }
+
+  /**
+   * Search the Name, Description, Notes and discussion of several artifact types for free text.
+   * Artifacts must mention every word of the text; hits are ranked by where the words appear,
+   * with Name counting most and discussion least.
+   * @param text The words to look for
+   * @param options The types to search (story, defect, task, feature, testcase; all by default)
+   * and the number of hits to return
+   * @returns Promise resolving to the ranked hits, and any types whose query failed
+   */
+  async searchText(text: string, options: { types?: string[]; limit?: number } = {}) {
+    const terms = Array.from(new Set(text.toLowerCase().split(/\s+/).filter(Boolean)));
+    if (terms.length === 0) {
+      throw new Error('Search text must contain at least one word');
+    }
+    const types = options.types && options.types.length > 0 ? options.types : Object.keys(SEARCH_TEXT_TYPES);
+    for (const type of types) {
+      if (!SEARCH_TEXT_TYPES[type]) {
+        throw new Error(`Cannot search ${type}. Searchable types: ${Object.keys(SEARCH_TEXT_TYPES).join(', ')}`);
+      }
+    }
+    const limit = options.limit || 25;
+    const pagesize = String(Math.min(Math.max(limit, 20), 200));
+    const fieldQuery = (fields: string[]) => buildQuery({
+      and: terms.map((term) => ({ or: fields.map((field) => ({ field, operator: 'contains', value: term })) }))
+    });
+    
+    // Checking if we need to initialize up front keeps the parallel queries from each doing it
+    if (!this.workspaceRef) {
+      await this.validateCredentials();
+    }
+    
+    const hits = new Map<string, any>();
+    const texts = new Map<string, Record<string, string>>();
+    const addHit = (type: string, artifact: any, field: string, value: string) => {
+      const key = `${SEARCH_TEXT_TYPES[type]}/${artifact.ObjectID}`;
+      if (!hits.has(key)) {
+        hits.set(key, {
+          Type: type,
+          FormattedID: artifact.FormattedID,
+          ObjectID: artifact.ObjectID,
+          Name: artifact.Name,
+          Uri: `rally://artifact/${artifact.FormattedID || artifact.ObjectID}`
+        });
+        texts.set(key, {});
+      }
+      const fields = texts.get(key)!;
+      fields[field] = fields[field] ? `${fields[field]} ${value}` : value;
+    };
+    
+    const queries = types.map(async (type) => {
+      const result = await this.queryArtifacts(SEARCH_TEXT_TYPES[type], {
+        query: fieldQuery(['Name', 'Description', 'Notes']),
+        fetch: 'ObjectID,FormattedID,Name,Description,Notes',
+        pagesize
+      });
+      for (const artifact of (result.QueryResult || result).Results || []) {
+        for (const field of ['Name', 'Description', 'Notes']) {
+          if (artifact[field]) {
+            addHit(type, artifact, field, plainText(String(artifact[field])));
+          }
+        }
+      }
+    });
+    
+    // Discussion posts point back at their artifact, which decides the hit's type
+    const typeOf = (artifact: any) => Object.keys(SEARCH_TEXT_TYPES).find((type) =>
+      SEARCH_TEXT_TYPES[type].toLowerCase() === String(artifact._type || '').toLowerCase());
+    queries.push((async () => {
+      try {
+        const response = await this.client.get('/ConversationPost', {
+          params: {
+            workspace: this.workspaceRef,
+            query: this.project
+              ? `(${fieldQuery(['Text'])} AND (Artifact.Project = /project/${this.project}))`
+              : fieldQuery(['Text']),
+            fetch: 'Text,Artifact,ObjectID,FormattedID,Name',
+            pagesize
+          }
+        });
+        for (const post of response.data.QueryResult.Results || []) {
+          const type = post.Artifact && typeOf(post.Artifact);
+          if (type && types.includes(type)) {
+            addHit(type, post.Artifact, 'Discussion', plainText(String(post.Text || '')));
+          }
+        }
+      } catch (error) {
+        if (axios.isAxiosError(error)) {
+          throw new Error(`Failed to search discussions: ${error.message}`);
+        }
+        throw error;
+      }
+    })());
+    
+    const outcomes = await Promise.allSettled(queries);
+    const errors = outcomes
+      .filter((outcome): outcome is PromiseRejectedResult => outcome.status === 'rejected')
+      .map((outcome) => (outcome.reason as Error).message);
+    if (errors.length === outcomes.length) {
+      throw new Error(`Search failed: ${errors.join('; ')}`);
+    }
+    
+    const phrase = terms.join(' ');
+    const ranked = Array.from(hits.entries()).map(([key, hit]) => {
+      const fields = texts.get(key)!;
+      let score = 0;
+      const matchedIn: string[] = [];
+      let snippet: string | undefined;
+      for (const field of Object.keys(SEARCH_TEXT_WEIGHTS)) {
+        const value = (fields[field] || '').toLowerCase();
+        const matches = terms.filter((term) => value.includes(term)).length;
+        if (matches === 0) {
+          continue;
+        }
+        // Every matched word counts, and the words appearing together as typed count once more
+        score += SEARCH_TEXT_WEIGHTS[field] * (matches + (terms.length > 1 && value.includes(phrase) ? 1 : 0));
+        matchedIn.push(field);
+        if (!snippet && field !== 'Name') {
+          const at = value.indexOf(terms.find((term) => value.includes(term))!);
+          const from = Math.max(at - 60, 0);
+          snippet = `${from > 0 ? '...' : ''}${fields[field].slice(from, at + 100).trim()}${at + 100 < value.length ? '...' : ''}`;
+        }
+      }
+      return { ...hit, Score: score, MatchedIn: matchedIn, ...(snippet && { Snippet: snippet }) };
+    });
+    ranked.sort((a, b) => b.Score - a.Score || String(a.FormattedID).localeCompare(String(b.FormattedID)));
+    
+    return {
+      Text: text,
+      Types: types,
+      TotalHits: ranked.length,
+      Hits: ranked.slice(0, limit),
+      ...(errors.length > 0 && { Errors: errors })
+    };
+  }
+
+  /**
+   * Create an artifact of any type after validating its fields against the TypeDefinition
+   * @param type The artifact type name, alias or type path
+   * @param fields The field values, keyed by ElementName or display name
+   * @returns Promise resolving to the created artifact
+   */
+  async createArtifact(type: string, fields: Record<string, any>) {
+    const definition = await this.getTypeDefinition(type);
+    const data = await this.resolveArtifactRefs(
+      await this.resolveOwner(await this.validateArtifactFields(type, fields, 'create'))
+    );
+    const hasProject = definition.Attributes.some((attribute: any) => attribute.ElementName === 'Project');
+    try {
+      const response = await this.client.post<RallyCreateResponse>(`/${definition.TypePath}/create`, {
+        [definition.ElementName]: {
+          ...data,
+          Workspace: { _ref: this.workspaceRef },
+          Project: hasProject
+            ? data.Project || (this.project ? { _ref: `/project/${this.project}` } : undefined)
+            : undefined
+        }
+      });
+      return response.data.CreateResult.Object;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to create ${definition.TypePath}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update an artifact of any type after validating its fields against the TypeDefinition
+   * @param type The artifact type name, alias or type path
+   * @param id The ObjectID of the artifact
+   * @param fields The field values, keyed by ElementName or display name
+   * @returns Promise resolving to the update result
+   */
+  async updateArtifact(type: string, id: string, fields: Record<string, any>) {
+    const { typePath, objectId } = await this.locateArtifact(type, id);
+    const definition = await this.getTypeDefinition(typePath);
+    const data = await this.resolveArtifactRefs(
+      await this.resolveOwner(await this.validateArtifactFields(typePath, fields, 'update'))
+    );
+    try {
+      const response = await this.client.post(`/${definition.TypePath}/${objectId}`, {
+        [definition.ElementName]: data
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to update ${definition.TypePath} ${id}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  async deleteArtifact(type: string, id: string) {
+    const { typePath, objectId } = await this.locateArtifact(type, id);
+    const definition = await this.getTypeDefinition(typePath);
+    if (definition.Deletable === false) {
+      throw new Error(`Rally does not allow deleting ${definition.TypePath} artifacts`);
+    }
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.delete(`/${typePath}/${objectId}`);
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to delete ${typePath} ${id}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  // Tags
+  async getTags(queryParams: Record<string, string> = {}) {
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.get('/Tag', {
+        params: {
+          fetch: 'ObjectID,Name,Archived',
+          order: 'Name',
+          workspace: this.workspaceRef,
+          ...queryParams
+        }
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch tags: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  async createTag(name: string) {
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.post<RallyCreateResponse>('/Tag/create', {
+        Tag: {
+          Name: name,
+          Workspace: { _ref: this.workspaceRef }
+        }
+      });
+      return response.data.CreateResult.Object;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to create tag "${name}": ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Archive a tag so it can no longer be applied, keeping it on existing artifacts
+   * @param tag The tag name or ObjectID
+   * @returns Promise resolving to the update result
+   */
+  async archiveTag(tag: string) {
+    const tagRef = await this.resolveTagRef(tag);
+    try {
+      const response = await this.client.post(tagRef, {
+        Tag: { Archived: true }
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to archive tag "${tag}": ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve a tag given by name or ObjectID to its ref
+   * @param tag The tag name or ObjectID
+   * @param createMissing Create the tag when no tag has that name
+   * @returns Promise resolving to the tag ref, e.g. "/tag/12345"
+   */
+  async resolveTagRef(tag: string, createMissing = false): Promise<string> {
+    if (/^\d+$/.test(tag)) {
+      return `/tag/${tag}`;
+    }
+    
+    const data = await this.getTags({ query: `(Name = "${tag.replace(/"/g, '\\"')}")` });
+    const results = (data.QueryResult || data).Results || [];
+    if (results.length > 0) {
+      return `/tag/${results[0].ObjectID}`;
+    }
+    if (!createMissing) {
+      throw new Error(`Tag "${tag}" not found`);
+    }
+    
+    const created = await this.createTag(tag);
+    return `/tag/${created.ObjectID}`;
+  }
+
+  /**
+   * Add tags to the Tags collection of any artifact
+   * @param artifactType The artifact type, e.g. "story", "defect" or "PortfolioItem/Feature"
+   * @param artifactId The ObjectID of the artifact
+   * @param tags Tag names or ObjectIDs
+   * @param createMissing Create tags that do not exist yet
+   * @returns Promise resolving to the result of the last update
+   */
+  async addTags(artifactType: string, artifactId: string, tags: string[], createMissing = false) {
+    return this.updateTags('add', artifactType, artifactId, tags, createMissing);
+  }
+
+  /**
+   * Remove tags from the Tags collection of any artifact
+   * @param artifactType The artifact type, e.g. "story", "defect" or "PortfolioItem/Feature"
+   * @param artifactId The ObjectID of the artifact
+   * @param tags Tag names or ObjectIDs
+   * @returns Promise resolving to the result of the last update
+   */
+  async removeTags(artifactType: string, artifactId: string, tags: string[]) {
+    return this.updateTags('remove', artifactType, artifactId, tags, false);
+  }
+
+  private async updateTags(
+    operation: 'add' | 'remove',
+    artifactType: string,
+    artifactId: string,
+    tags: string[],
+    createMissing: boolean
+  ) {
+    // Check if we need to initialize
+    if (!this.workspaceRef) {
+      await this.validateCredentials();
+    }
+    
+    const { typePath, objectId } = await this.locateArtifact(artifactType, artifactId);
+    let result: any;
+    
+    for (const tag of tags) {
+      const tagRef = await this.resolveTagRef(tag, createMissing);
+      try {
+        const response = await this.client.post(`/${typePath}/${objectId}`, {
+          [typePath]: {
+            Tags: {
+              _type: operation,
+              _ref: tagRef
+            }
+          }
+        });
+        result = response.data;
+      } catch (error) {
+        if (axios.isAxiosError(error)) {
+          throw new Error(`Failed to ${operation} tag "${tag}" on ${typePath} ${artifactId}: ${error.message}`);
+        }
+        throw error;
+      }
+    }
+    
+    return result;
+  }
+
+  // Discussions
+  /**
+   * Get the discussion thread (ConversationPosts) of an artifact, oldest post first
+   * @param artifactType The artifact type, e.g. "story" or "defect"
+   * @param artifactId The ObjectID of the artifact
+   * @param queryParams Additional Rally query parameters
+   * @returns Promise resolving to the Discussion collection
+   */
+  async getDiscussion(artifactType: string, artifactId: string, queryParams: Record<string, string> = {}) {
+    const { typePath, objectId } = await this.locateArtifact(artifactType, artifactId);
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.get(`/${typePath}/${objectId}/Discussion`, {
+        params: {
+          fetch: 'ObjectID,PostNumber,Text,User,CreationDate',
+          order: 'PostNumber',
+          workspace: this.workspaceRef,
+          ...queryParams
+        }
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch discussion of ${typePath} ${artifactId}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Post a comment to the discussion of an artifact
+   * @param artifactType The artifact type, e.g. "story" or "defect"
+   * @param artifactId The ObjectID of the artifact
+   * @param text The comment as Rally rich text (HTML)
+   * @returns Promise resolving to the created ConversationPost
+   */
+  async addComment(artifactType: string, artifactId: string, text: string) {
+    const { typePath, objectId } = await this.locateArtifact(artifactType, artifactId);
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.post<RallyCreateResponse>('/ConversationPost/create', {
+        ConversationPost: {
+          Artifact: { _ref: `/${typePath}/${objectId}` },
+          Text: text,
+          Workspace: { _ref: this.workspaceRef }
+        }
+      });
+      return response.data.CreateResult.Object;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to comment on ${typePath} ${artifactId}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  // Attachments
+  /**
+   * Upload a file and attach it to an artifact
+   * @param artifactType The artifact type, e.g. "story" or "defect"
+   * @param artifactId The ObjectID of the artifact
+   * @param file The file name, MIME type, base64 content and optional description
+   * @returns Promise resolving to the created Attachment
+   */
+  async attachFile(
+    artifactType: string,
+    artifactId: string,
+    file: { name: string; contentType: string; base64Content: string; description?: string }
+  ) {
+    const { typePath, objectId } = await this.locateArtifact(artifactType, artifactId);
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      // The bytes are stored as AttachmentContent first, then linked by an Attachment
+      const contentResponse = await this.client.post<RallyCreateResponse>('/AttachmentContent/create', {
+        AttachmentContent: {
+          Content: file.base64Content,
+          Workspace: { _ref: this.workspaceRef }
+        }
+      });
+      const attachmentContent = contentResponse.data.CreateResult.Object;
+      
+      const response = await this.client.post<RallyCreateResponse>('/Attachment/create', {
+        Attachment: {
+          Artifact: { _ref: `/${typePath}/${objectId}` },
+          Content: { _ref: `/attachmentcontent/${attachmentContent.ObjectID}` },
+          Name: file.name,
+          ContentType: file.contentType,
+          Size: Buffer.from(file.base64Content, 'base64').length,
+          Description: file.description,
+          Workspace: { _ref: this.workspaceRef }
+        }
+      });
+      return response.data.CreateResult.Object;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to attach ${file.name} to ${typePath} ${artifactId}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Download an attachment
+   * @param id The ObjectID of the Attachment
+   * @returns Promise resolving to the attachment name, MIME type, size and base64 content
+   */
+  async getAttachment(id: string) {
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const attachmentResponse = await this.client.get(`/Attachment/${id}`, {
+        params: {
+          fetch: 'ObjectID,Name,ContentType,Size,Content,Artifact'
+        }
+      });
+      const attachment = attachmentResponse.data.Attachment;
+      
+      const contentResponse = await this.client.get(attachment.Content._ref.replace(/^.*\/webservice\/v2\.0/, ''));
+      
+      return {
+        ObjectID: attachment.ObjectID,
+        Name: attachment.Name,
+        ContentType: attachment.ContentType,
+        Size: attachment.Size,
+        Artifact: attachment.Artifact,
+        base64Content: contentResponse.data.AttachmentContent.Content as string
+      };
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch attachment ${id}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  // Timesheets
+  /**
+   * Get the Sunday that starts the timesheet week containing a date
+   * @param date An ISO date, e.g. "2024-05-15"
+   * @returns The week start as an ISO date, e.g. "2024-05-12"
+   */
+  timesheetWeekStart(date: string): string {
+    const day = this.parseTimesheetDate(date);
+    day.setUTCDate(day.getUTCDate() - day.getUTCDay());
+    return day.toISOString().slice(0, 10);
+  }
+
+  private parseTimesheetDate(date: string): Date {
+    const day = new Date(`${date.slice(0, 10)}T00:00:00.000Z`);
+    if (!/^\d{4}-\d{2}-\d{2}/.test(date) || isNaN(day.getTime())) {
+      throw new Error(`Invalid date "${date}", expected YYYY-MM-DD`);
+    }
+    return day;
+  }
+
+  /**
+   * Get a user's timesheet for one week
+   * @param user The user's ObjectID, email address, username or display name
+   * @param weekStart Any date in the week, e.g. "2024-05-12"
+   * @returns Promise resolving to the week's time entry items with their daily hours
+   */
+  async getTimesheet(user: string, weekStart: string) {
+    const weekStartDate = this.timesheetWeekStart(weekStart);
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const userRef = await this.resolveUserRef(user);
+      const weekQuery = `(WeekStartDate = "${weekStartDate}T00:00:00.000Z")`;
+      const [itemsResponse, valuesResponse] = await Promise.all([
+        this.client.get('/TimeEntryItem', {
+          params: {
+            query: `((User = ${userRef}) AND ${weekQuery})`,
+            fetch: 'ObjectID,WeekStartDate,Task,WorkProduct,Project,FormattedID,Name',
+            pagesize: 200,
+            workspace: this.workspaceRef
+          }
+        }),
+        this.client.get('/TimeEntryValue', {
+          params: {
+            query: `((TimeEntryItem.User = ${userRef}) AND (TimeEntryItem.${weekQuery.slice(1)})`,
+            fetch: 'ObjectID,DateVal,Hours,TimeEntryItem',
+            order: 'DateVal',
+            pagesize: 2000,
+            workspace: this.workspaceRef
+          }
+        })
+      ]);
+      
+      const values: any[] = valuesResponse.data.QueryResult.Results;
+      const items = itemsResponse.data.QueryResult.Results.map((item: any) => {
+        const itemValues = values
+          .filter((value) => value.TimeEntryItem && value.TimeEntryItem.ObjectID === item.ObjectID)
+          .map((value) => ({ ObjectID: value.ObjectID, Date: value.DateVal.slice(0, 10), Hours: value.Hours }));
+        return {
+          ObjectID: item.ObjectID,
+          Task: item.Task || null,
+          WorkProduct: item.WorkProduct || null,
+          Project: item.Project || null,
+          Values: itemValues,
+          TotalHours: itemValues.reduce((total: number, value) => total + (value.Hours || 0), 0)
+        };
+      });
+      
+      return {
+        User: userRef,
+        WeekStartDate: weekStartDate,
+        Items: items,
+        TotalHours: items.reduce((total: number, item: any) => total + item.TotalHours, 0)
+      };
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch timesheet of ${user} for week of ${weekStartDate}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Log hours against a task or work product. Each entry sets the hours of its day,
+   * creating the week's time entry item when the artifact is not on the timesheet yet.
+   * @param user The user's ObjectID, email address, username or display name
+   * @param artifactType The artifact type, e.g. "task", "story" or "defect"
+   * @param artifactId The ObjectID of the artifact
+   * @param entries The days and hours to log, entries may span several weeks
+   * @returns Promise resolving to the saved time entry values
+   */
+  async logTime(
+    user: string,
+    artifactType: string,
+    artifactId: string,
+    entries: { date: string; hours: number }[]
+  ) {
+    const { typePath, objectId } = await this.locateArtifact(artifactType, artifactId);
+    const artifactRef = `/${typePath}/${objectId}`;
+    entries.forEach((entry) => this.parseTimesheetDate(entry.date));
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const userRef = await this.resolveUserRef(user);
+      const itemRefs = new Map<string, string>();
+      const saved = [];
+      
+      for (const entry of entries) {
+        const weekStartDate = this.timesheetWeekStart(entry.date);
+        let itemRef = itemRefs.get(weekStartDate);
+        if (!itemRef) {
+          itemRef = await this.findOrCreateTimeEntryItem(userRef, weekStartDate, typePath, artifactRef);
+          itemRefs.set(weekStartDate, itemRef);
+        }
+        
+        const dateVal = `${entry.date.slice(0, 10)}T00:00:00.000Z`;
+        const existing = await this.client.get('/TimeEntryValue', {
+          params: {
+            query: `((TimeEntryItem = ${itemRef}) AND (DateVal = "${dateVal}"))`,
+            fetch: 'ObjectID',
+            workspace: this.workspaceRef
+          }
+        });
+        const [value] = existing.data.QueryResult.Results;
+        
+        let objectId: number;
+        if (value) {
+          await this.client.post(`/TimeEntryValue/${value.ObjectID}`, {
+            TimeEntryValue: { Hours: entry.hours }
+          });
+          objectId = value.ObjectID;
+        } else {
+          const response = await this.client.post<RallyCreateResponse>('/TimeEntryValue/create', {
+            TimeEntryValue: {
+              TimeEntryItem: { _ref: itemRef },
+              DateVal: dateVal,
+              Hours: entry.hours
+            }
+          });
+          objectId = response.data.CreateResult.Object.ObjectID;
+        }
+        saved.push({ ObjectID: objectId, Date: entry.date.slice(0, 10), Hours: entry.hours, WeekStartDate: weekStartDate });
+      }
+      return saved;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to log time against ${typePath} ${artifactId}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  private async findOrCreateTimeEntryItem(
+    userRef: string,
+    weekStartDate: string,
+    typePath: string,
+    artifactRef: string
+  ): Promise<string> {
+    const isTask = typePath === 'Task';
+    const artifactQuery = isTask
+      ? `(Task = ${artifactRef})`
+      : `((WorkProduct = ${artifactRef}) AND (Task = null))`;
+    const weekStart = `${weekStartDate}T00:00:00.000Z`;
+    
+    const existing = await this.client.get('/TimeEntryItem', {
+      params: {
+        query: `(((User = ${userRef}) AND (WeekStartDate = "${weekStart}")) AND ${artifactQuery})`,
+        fetch: 'ObjectID',
+        workspace: this.workspaceRef
+      }
+    });
+    const [item] = existing.data.QueryResult.Results;
+    if (item) {
+      return `/timeentryitem/${item.ObjectID}`;
+    }
+    
+    const response = await this.client.post<RallyCreateResponse>('/TimeEntryItem/create', {
+      TimeEntryItem: {
+        User: { _ref: userRef },
+        WeekStartDate: weekStart,
+        [isTask ? 'Task' : 'WorkProduct']: { _ref: artifactRef },
+        Workspace: { _ref: this.workspaceRef }
+      }
+    });
+    return `/timeentryitem/${response.data.CreateResult.Object.ObjectID}`;
+  }
+
+  // Milestones
+  async getMilestones(queryParams: Record<string, string> = {}) {
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.get('/Milestone', {
+        params: {
+          fetch: 'ObjectID,FormattedID,Name,TargetDate,DisplayColor,Notes,TargetProject,Artifacts',
+          order: 'TargetDate',
+          workspace: this.workspaceRef,
+          ...queryParams
+        }
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch milestones: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get a milestone with its linked artifacts and how far each is scheduled past the TargetDate
+   * @param id The ObjectID of the milestone
+   * @returns Promise resolving to the milestone, its Artifacts and a Slippage summary; Truncated is set
+   * when the milestone has more than DEFAULT_MAX_RESULTS artifacts and the summary covers only those
+   */
+  async getMilestone(id: string) {
+    id = await this.resolveObjectId(id, 'Milestone');
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const [milestoneResponse, artifactsResponse] = await Promise.all([
+        this.client.get(`/Milestone/${id}`, {
+          params: {
+            fetch: 'ObjectID,FormattedID,Name,TargetDate,DisplayColor,Notes,TargetProject'
+          }
+        }),
+        // Every linked artifact counts towards the slippage, so walk all pages of the collection
+        fetchAllPages(async (queryParams) => (await this.client.get(`/Milestone/${id}/Artifacts`, {
+          params: {
+            fetch: 'ObjectID,FormattedID,Name,ScheduleState,State,AcceptedDate,ActualEndDate,' +
+              'PlannedEndDate,Iteration,EndDate,Release,ReleaseDate',
+            ...queryParams
+          }
+        })).data)
+      ]);
+      const milestone = milestoneResponse.data.Milestone;
+      const targetDate = milestone.TargetDate ? new Date(milestone.TargetDate) : null;
+      
+      const artifacts = artifactsResponse.QueryResult.Results.map((artifact: any) => {
+        const done = Boolean(artifact.AcceptedDate || artifact.ActualEndDate);
+        // Stories and defects finish with their iteration or release, portfolio items by their planned end
+        const plannedEnd = (artifact.Iteration && artifact.Iteration.EndDate) ||
+          (artifact.Release && artifact.Release.ReleaseDate) ||
+          artifact.PlannedEndDate || null;
+        const slipDays = targetDate && plannedEnd && !done
+          ? Math.max(0, Math.ceil((new Date(plannedEnd).getTime() - targetDate.getTime()) / 86400000))
+          : 0;
+        return {
+          ObjectID: artifact.ObjectID,
+          FormattedID: artifact.FormattedID,
+          Name: artifact.Name,
+          Type: artifact._type,
+          State: artifact.ScheduleState || (artifact.State && artifact.State.Name) || artifact.State || null,
+          Done: done,
+          PlannedEnd: plannedEnd,
+          SlipDays: slipDays
+        };
+      });
+      
+      const openArtifacts = artifacts.filter((artifact: any) => !artifact.Done);
+      const pastDue = Boolean(targetDate && targetDate.getTime() < Date.now() && openArtifacts.length > 0);
+      return {
+        ...milestone,
+        Artifacts: artifacts,
+        Slippage: {
+          PastDue: pastDue,
+          OpenArtifacts: openArtifacts.length,
+          SlippingArtifacts: artifacts.filter((artifact: any) => artifact.SlipDays > 0).length,
+          MaxSlipDays: artifacts.reduce((max: number, artifact: any) => Math.max(max, artifact.SlipDays), 0)
+        },
+        Truncated: artifactsResponse.QueryResult.Truncated
+      };
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch milestone ${id}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  async createMilestone(data: { 
+    Name: string;
+    TargetDate?: string;
+    [key: string]: any;
+  }) {
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.post<RallyCreateResponse>('/Milestone/create', {
+        Milestone: {
+          ...data,
+          Workspace: { _ref: this.workspaceRef },
+          TargetProject: data.TargetProject || (this.project ? { _ref: `/project/${this.project}` } : undefined)
+        }
+      });
+      return response.data.CreateResult.Object;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to create milestone: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  async updateMilestone(id: string, data: Record<string, any>) {
+    id = await this.resolveObjectId(id, 'Milestone');
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.post(`/Milestone/${id}`, {
+        Milestone: data
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to update milestone ${id}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  async deleteMilestone(id: string) {
+    id = await this.resolveObjectId(id, 'Milestone');
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.delete(`/Milestone/${id}`);
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to delete milestone ${id}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Add an artifact to, or remove it from, a milestone through the artifact's Milestones collection
+   * @param operation "add" to link, "remove" to unlink
+   * @param artifactType The artifact type, e.g. "story" or "feature"
+   * @param artifactId The ObjectID of the artifact
+   * @param milestoneId The ObjectID of the milestone
+   */
+  async linkMilestone(
+    operation: 'add' | 'remove',
+    artifactType: string,
+    artifactId: string,
+    milestoneId: string
+  ) {
+    const { typePath, objectId } = await this.locateArtifact(artifactType, artifactId);
+    milestoneId = await this.resolveObjectId(milestoneId, 'Milestone');
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.post(`/${typePath}/${objectId}`, {
+        [typePath]: {
+          Milestones: {
+            _type: operation,
+            _ref: `/milestone/${milestoneId}`
+          }
+        }
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to ${operation} milestone ${milestoneId} on ${typePath} ${artifactId}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  // Risks
+  async getRisks(queryParams: Record<string, string> = {}) {
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.get('/Risk', {
+        params: {
+          workspace: this.workspaceRef,
+          project: this.project ? `/project/${this.project}` : undefined,
+          ...queryParams
+        }
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch risks: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  async getRisk(id: string) {
+    id = await this.resolveObjectId(id, 'Risk');
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.get(`/Risk/${id}`, {
+        params: {
+          workspace: this.workspaceRef
+        }
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch risk ${id}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  async createRisk(data: { 
+    Name: string;
+    Description?: string;
+    Project?: { _ref: string };
+    [key: string]: any;
+  }) {
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      // Accept owners given by name, email or username
+      data = await this.resolveOwner(data);
+      data = await this.resolveArtifactRefs(data);
+      
+      const response = await this.client.post<RallyCreateResponse>('/Risk/create', {
+        Risk: {
+          ...data,
+          Workspace: { _ref: this.workspaceRef },
+          Project: data.Project || (this.project ? { _ref: `/project/${this.project}` } : undefined)
+        }
+      });
+      return response.data.CreateResult.Object;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to create risk: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  async updateRisk(id: string, data: Record<string, any>) {
+    id = await this.resolveObjectId(id, 'Risk');
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      // Accept owners given by name, email or username
+      data = await this.resolveOwner(data);
+      data = await this.resolveArtifactRefs(data);
+      
+      const response = await this.client.post(`/Risk/${id}`, {
+        Risk: data
+      });
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to update risk ${id}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  async deleteRisk(id: string) {
+    id = await this.resolveObjectId(id, 'Risk');
+    try {
+      // Check if we need to initialize
+      if (!this.workspaceRef) {
+        await this.validateCredentials();
+      }
+      
+      const response = await this.client.delete(`/Risk/${id}`);
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to delete risk ${id}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Summarize a related artifact read with RELATED_FETCH
+   */
+  private toRelatedArtifact(artifact: any) {
+    // Portfolio items have a State object where stories have a ScheduleState
+    const state = artifact.ScheduleState ||
+      (typeof artifact.State === 'string' ? artifact.State : artifact.State?._refObjectName || artifact.State?.Name);
+    return {
+      FormattedID: artifact.FormattedID,
+      ObjectID: artifact.ObjectID,
+      Type: artifact._type,
+      Name: artifact.Name || artifact._refObjectName,
+      State: state || null,
+      Owner: artifact.Owner ? artifact.Owner._refObjectName : null,
+      Project: artifact.Project ? artifact.Project._refObjectName : null
+    };
+  }
+
+  /**
+   * Get every relationship of an artifact of any type, each related artifact with its
+   * FormattedID, ObjectID, type, name, state, owner and project
+   * @param artifactId The ObjectID or FormattedID of the artifact
+   * @returns Promise resolving to the artifact and its Predecessors, Successors, Parent, Children,
+   * Blockers (artifacts blocking it), Blocked (artifacts it blocks) and Duplicates; every kind is a
+   * list, empty when the artifact has none or its type cannot have any. Truncated is set when a list
+   * has more than DEFAULT_MAX_RESULTS entries. Blocks are only recognized by the "Blocked by <FormattedID>"
+   * reason createRelationship writes, so a reason written by hand names no blocker.
+   */
+  async getRelationships(artifactId: string) {
+    const resolved = await this.resolveArtifact(artifactId);
+    const typePath = resolved.TypePath!;
+    const family = relationshipFamily(typePath);
+    if (!family) {
+      throw new Error(`${resolved.FormattedID || artifactId} is a ${typePath}, which has no relationships`);
+    }
+    const reads = RELATIONSHIP_READS[family];
+    const fields = Object.values(reads).flat();
+    const canBeBlocked = family === 'story' || family === 'defect' || family === 'task';
+    
+    try {
+      const response = await this.client.get(`/${typePath}/${resolved.ObjectID}`, {
+        params: {
+          fetch: `${RELATED_FETCH},${fields.join(',')}${canBeBlocked ? ',Blocked,BlockedReason' : ''}`,
+          workspace: this.workspaceRef
+        }
+      });
+      // Single reads are keyed by the type's element name
+      const artifact: any = Object.values(response.data)[0];
+      const formattedId = artifact.FormattedID || resolved.FormattedID;
+      let truncated = false;
+      const readAll = async (url: string, params: Record<string, string>) => {
+        const page = await fetchAllPages(async (queryParams) => (await this.client.get(url, {
+          params: { ...params, ...queryParams, workspace: this.workspaceRef! }
+        })).data);
+        truncated = truncated || page.QueryResult.Truncated;
+        return page.QueryResult.Results || [];
+      };
+      
+      const readField = async (field: string) => {
+        const value = artifact[field];
+        if (!value) {
+          return [];
+        }
+        if (typeof value.Count !== 'number') {
+          // A single reference such as Parent, read with the artifact
+          return [value];
+        }
+        if (value.Count === 0) {
+          return [];
+        }
+        return readAll(`/${typePath}/${resolved.ObjectID}/${field}`, { fetch: RELATED_FETCH });
+      };
+      
+      const relationships: Record<string, any[]> = {
+        Predecessors: [],
+        Successors: [],
+        Parent: [],
+        Children: [],
+        Blockers: [],
+        Blocked: [],
+        Duplicates: []
+      };
+      await Promise.all(Object.entries(reads).map(async ([kind, kindFields]) => {
+        const related = await Promise.all(kindFields.map(readField));
+        relationships[kind] = related.flat().map((item) => this.toRelatedArtifact(item));
+      }));
+      
+      // Blocks are recorded as a BlockedReason of "Blocked by <FormattedID>"
+      const blocker = canBeBlocked && artifact.Blocked && /^Blocked by (\S+)$/.exec(artifact.BlockedReason || '');
+      const [blockers, blocked] = await Promise.all([
+        blocker
+          ? this.resolveArtifact(blocker[1]).then(async (found) => {
+            const read = await this.client.get(`/${found.TypePath}/${found.ObjectID}`, {
+              params: { fetch: RELATED_FETCH, workspace: this.workspaceRef }
+            });
+            return [Object.values(read.data)[0]];
+          })
+          : Promise.resolve([]),
+        // Only blocks within the configured project are found, like any other query
+        Promise.all(['HierarchicalRequirement', 'Defect', 'Task'].map((blockedType) => readAll(`/${blockedType}`, {
+          query: `((Blocked = true) AND (BlockedReason = "Blocked by ${formattedId}"))`,
+          fetch: RELATED_FETCH,
+          ...(this.project && { project: `/project/${this.project}` })
+        }))).then((results) => results.flat())
+      ]);
+      relationships.Blockers = blockers.map((item) => this.toRelatedArtifact(item));
+      relationships.Blocked = blocked.map((item) => this.toRelatedArtifact(item));
+      
+      return {
+        Artifact: this.toRelatedArtifact({ ...artifact, _type: artifact._type || typePath }),
+        ...(canBeBlocked && artifact.Blocked && { BlockedReason: artifact.BlockedReason || '' }),
+        ...relationships,
+        Truncated: truncated
+      };
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to get relationships for ${artifactId}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Work out how Rally records a relationship between two artifacts of whatever types they are
+   * @param sourceId The ObjectID or FormattedID of the source artifact
+   * @param targetId The ObjectID or FormattedID of the target artifact
+   * @param relationshipType What the target is to the source
+   * @param operation Whether the relationship is being added or removed
+   * @returns The type path and ObjectID of the artifact to update, the update body, the rule
+   * that applies and the resolved artifacts
+   * @throws When Rally has no way to relate artifacts of these types like this
+   */
+  private async planRelationship(
+    sourceId: string,
+    targetId: string,
+    relationshipType: RelationshipType,
+    operation: 'add' | 'remove'
+  ) {
+    const rules = RELATIONSHIP_RULES[relationshipType];
+    if (!rules) {
+      throw new Error(`Unsupported relationship type: ${relationshipType}`);
+    }
+    const [source, target] = await Promise.all([this.resolveArtifact(sourceId), this.resolveArtifact(targetId)]);
+    const sourceType = source.TypePath || 'Artifact';
+    const targetType = target.TypePath || 'Artifact';
+    const sourceFamily = relationshipFamily(sourceType);
+    const targetFamily = relationshipFamily(targetType);
+    const rule = rules.find((candidate) =>
+      sourceFamily && targetFamily && candidate.source.includes(sourceFamily) && candidate.target.includes(targetFamily));
+    if (!rule) {
+      const allowed = rules.map((candidate) => `${candidate.target.join('/')} of ${candidate.source.join('/')}`);
+      throw new Error(`Rally cannot record ${target.FormattedID || targetId} (${targetType}) as ${relationshipType} of ` +
+        `${source.FormattedID || sourceId} (${sourceType}). A ${relationshipType} can be a ${allowed.join(', or a ')}`);
+    }
+    
+    if (operation === 'add' && sourceFamily === 'portfolioitem' && targetFamily === 'portfolioitem' &&
+        (rule.field === 'Parent' || rule.field === 'Children')) {
+      // A portfolio item sits directly under an item of the next level up, e.g. a Feature under an Initiative
+      const [child, parent] = relationshipType === 'Parent' ? [source, target] : [target, source];
+      const levels: any[] = (await this.getPortfolioItemTypes()) || [];
+      const level = (artifact: { TypePath?: string }) =>
+        levels.findIndex((type) => String(type.TypePath).toLowerCase() === String(artifact.TypePath).toLowerCase());
+      const childLevel = level(child);
+      if (childLevel >= 0 && level(parent) >= 0 && level(parent) !== childLevel + 1) {
+        const expected = levels[childLevel + 1];
+        throw new Error(`${target.FormattedID || targetId} (${targetType}) cannot be ${relationshipType} of ` +
+          `${source.FormattedID || sourceId} (${sourceType}): a ${child.TypePath} can only sit under ` +
+          `${expected ? `a ${expected.TypePath}` : 'nothing, it is the top portfolio level'}`);
+      }
+    }
+    
+    const [updated, other] = rule.side === 'source' ? [source, target] : [target, source];
+    const typePath = updated.TypePath!;
+    let fields: Record<string, any>;
+    if (rule.kind === 'blocker') {
+      // The blocked artifact carries the block; its reason names the blocker
+      fields = operation === 'add'
+        ? { Blocked: true, BlockedReason: `Blocked by ${other.FormattedID || other.ObjectID}` }
+        : { Blocked: false, BlockedReason: '' };
+    } else if (rule.kind === 'single') {
+      fields = { [rule.field]: operation === 'add' ? { _ref: `/${other.TypePath}/${other.ObjectID}` } : null };
+    } else {
+      fields = { [rule.field]: { _type: operation, _ref: `/${other.TypePath}/${other.ObjectID}` } };
+    }
+    // Update bodies are keyed by the type's element name, e.g. Feature for PortfolioItem/Feature
+    return {
+      typePath,
+      objectId: updated.ObjectID,
+      data: { [typePath.split('/').pop()!]: fields },
+      rule,
+      source,
+      target,
+      updated,
+      other
+    };
+  }
+
+  /**
+   * Check a relationship against what Rally already holds before writing it
+   * @param plan The relationship as worked out by planRelationship
+   * @param relationshipType What the target is to the source
+   * @returns Warnings about what the write changes, and whether the relationship is already there
+   * @throws When the relationship would close a dependency loop, make an artifact its own ancestor
+   * or replace a block recorded for another reason
+   */
+  private async checkRelationship(
+    plan: Awaited<ReturnType<RallyClient['planRelationship']>>,
+    relationshipType: RelationshipType
+  ) {
+    const { rule, source, target, updated, other } = plan;
+    const label = (artifact: { ObjectID: string; FormattedID?: string }) => artifact.FormattedID || artifact.ObjectID;
+    const refused = `${label(target)} cannot be ${relationshipType} of ${label(source)}`;
+    const warnings: string[] = [];
+
+    // IDs are resolved case-insensitively and by ObjectID, so US1, us1 and 101 can all be the same story
+    if (String(source.ObjectID) === String(target.ObjectID)) {
+      throw new Error(`${refused}: an artifact cannot be related to itself`);
+    }
+
+    if (rule.field === 'Predecessors' || rule.field === 'Successors') {
+      // The new dependency runs from -> to; a path back from to to from would close a loop
+      const [from, to] = rule.field === 'Predecessors' ? [other, updated] : [updated, other];
+      const path = await this.findDependencyPath(to, from);
+      if (path) {
+        throw new Error(`${refused}: it would close the dependency loop ${[label(from), ...path].join(' -> ')}`);
+      }
+    }
+    
+    if (rule.field === 'Children' || rule.field === 'Parent' || rule.field === 'PortfolioItem') {
+      const [child, parent] = rule.field === 'Children' ? [other, updated] : [updated, other];
+      const ancestors = await this.getAncestors(parent);
+      if (ancestors.some((ancestor) => String(ancestor.ObjectID) === String(child.ObjectID))) {
+        const chain = [label(parent), ...ancestors.map((ancestor) => ancestor.FormattedID || ancestor.ObjectID)];
+        throw new Error(`${refused}: ${label(child)} is already above ${label(parent)} ` +
+          `(${chain.join(' -> ')}), so it would become its own ancestor`);
+      }
+    }
+    
+    const current = await this.readRelationship(plan);
+    if (rule.kind === 'collection') {
+      return { warnings, exists: current.linked };
+    }
+    if (rule.kind === 'blocker') {
+      if (current.linked) {
+        return { warnings, exists: true };
+      }
+      if (current.blocked) {
+        // Overwriting the reason would lose a block set by another artifact or written by hand
+        throw new Error(`${refused}: ${label(updated)} is already blocked (${current.blockedReason || 'no reason given'}); ` +
+          'clear that block first');
+      }
+      return { warnings, exists: false };
+    }
+    if (current.linked) {
+      return { warnings, exists: true };
+    }
+    if (current.value) {
+      warnings.push(`${label(updated)}'s ${rule.field} was ${current.value.FormattedID || current.value._refObjectName}; ` +
+        `it is now ${label(other)}`);
+    }
+    return { warnings, exists: false };
+  }
+
+  /**
+   * Check that a relationship is there before removing it, so that clearing a single reference
+   * or a block cannot wipe out one that points somewhere else
+   * @param plan The relationship as worked out by planRelationship
+   * @param relationshipType What the target is to the source
+   * @throws When the field holding the relationship points at another artifact or block
+   */
+  private async checkRemoval(
+    plan: Awaited<ReturnType<RallyClient['planRelationship']>>,
+    relationshipType: RelationshipType
+  ) {
+    const { rule, source, target, updated } = plan;
+    if (rule.kind === 'collection') {
+      // Removing an artifact that is not in a collection leaves the collection alone
+      return;
+    }
+    const label = (artifact: { ObjectID: string; FormattedID?: string }) => artifact.FormattedID || artifact.ObjectID;
+    const current = await this.readRelationship(plan);
+    if (current.linked) {
+      return;
+    }
+    const holds = rule.kind === 'blocker'
+      ? (current.blocked ? `is blocked for another reason (${current.blockedReason || 'no reason given'})` : 'is not blocked')
+      : (current.value
+        ? `has ${current.value.FormattedID || current.value._refObjectName} as its ${rule.field}`
+        : `has no ${rule.field}`);
+    throw new Error(`${label(target)} is not ${relationshipType} of ${label(source)}: ${label(updated)} ${holds}; ` +
+      'nothing was changed');
+  }
+
+  /**
+   * Read the field that holds a relationship on the artifact it is recorded on
+   * @param plan The relationship as worked out by planRelationship
+   * @returns Whether the field already links to the other artifact, with the single reference
+   * or the block it currently holds
+   */
+  private async readRelationship(plan: Awaited<ReturnType<RallyClient['planRelationship']>>) {
+    const { rule, updated, other } = plan;
+    try {
+      if (rule.kind === 'collection') {
+        const response = await this.client.get(`/${updated.TypePath}/${updated.ObjectID}/${rule.field}`, {
+          params: {
+            query: `(ObjectID = ${other.ObjectID})`,
+            fetch: 'ObjectID',
+            workspace: this.workspaceRef
+          }
+        });
+        return { linked: (response.data.QueryResult.Results || []).length > 0 };
+      }
+      
+      const response = await this.client.get(`/${updated.TypePath}/${updated.ObjectID}`, {
+        params: {
+          fetch: `ObjectID,FormattedID,Name,${rule.kind === 'blocker' ? 'Blocked,BlockedReason' : rule.field}`,
+          workspace: this.workspaceRef
+        }
+      });
+      // Single reads are keyed by the type's element name
+      const current: any = Object.values(response.data)[0] || {};
+      if (rule.kind === 'blocker') {
+        // Blocks this server records name the blocker, exactly as planRelationship writes them
+        const reason = `Blocked by ${other.FormattedID || other.ObjectID}`;
+        return {
+          linked: Boolean(current.Blocked) && current.BlockedReason === reason,
+          blocked: Boolean(current.Blocked),
+          blockedReason: current.BlockedReason as string | undefined
+        };
+      }
+      const value = current[rule.field];
+      return {
+        linked: Boolean(value) && String(value.ObjectID || String(value._ref).split('/').pop()) === String(other.ObjectID),
+        value
+      };
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to read the ${rule.field} of ${updated.TypePath} ${updated.ObjectID}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Follow Successors from one artifact looking for another
+   * @returns The FormattedIDs from start to goal, or undefined when goal is not downstream of start
+   */
+  private async findDependencyPath(
+    start: { ObjectID: string; FormattedID?: string; TypePath?: string },
+    goal: { ObjectID: string }
+  ): Promise<string[] | undefined> {
+    const startId = start.FormattedID || start.ObjectID;
+    const previous = new Map<string, string | undefined>([[String(start.ObjectID), undefined]]);
+    const names = new Map<string, string>([[String(start.ObjectID), startId]]);
+    let frontier = [{ objectId: String(start.ObjectID), typePath: start.TypePath! }];
+    while (frontier.length > 0 && previous.size < MAX_DEPENDENCY_NODES) {
+      const reads = await Promise.all(frontier.map(async (artifact) => ({
+        artifact,
+        successors: (await this.getDependencyCollection(artifact.typePath, artifact.objectId, 'Successors')).related
+      })));
+      const next: typeof frontier = [];
+      for (const { artifact, successors } of reads) {
+        for (const successor of successors) {
+          const objectId = String(successor.ObjectID);
+          if (previous.has(objectId)) {
+            continue;
+          }
+          previous.set(objectId, artifact.objectId);
+          names.set(objectId, successor.FormattedID || objectId);
+          if (objectId === String(goal.ObjectID)) {
+            const path: string[] = [];
+            for (let id: string | undefined = objectId; id; id = previous.get(id)) {
+              path.unshift(names.get(id)!);
+            }
+            return path;
+          }
+          next.push({ objectId, typePath: successor._type || artifact.typePath });
+        }
+      }
+      frontier = next;
+    }
+    return undefined;
+  }
+
+  /**
+   * List the parents of a story or portfolio item, nearest first: a story's Parent stories,
+   * then its PortfolioItem and that item's Parents
+   */
+  private async getAncestors(artifact: { ObjectID: string; TypePath?: string }) {
+    const ancestors: { ObjectID: string; FormattedID?: string }[] = [];
+    let current: { ObjectID: string; TypePath?: string } | undefined = artifact;
+    // Rally keeps hierarchies shallow; the limit only guards against a loop already in the data
+    while (current && ancestors.length < 50) {
+      const family = relationshipFamily(current.TypePath || '');
+      if (family !== 'story' && family !== 'portfolioitem') {
+        break;
+      }
+      try {
+        const response = await this.client.get(`/${current.TypePath}/${current.ObjectID}`, {
+          params: {
+            fetch: `ObjectID,FormattedID,Parent${family === 'story' ? ',PortfolioItem' : ''}`,
+            workspace: this.workspaceRef
+          }
+        });
+        const read: any = Object.values(response.data)[0] || {};
+        const parent = read.Parent || read.PortfolioItem;
+        if (!parent) {
+          break;
+        }
+        current = {
+          ObjectID: String(parent.ObjectID || String(parent._ref).split('/').pop()),
+          TypePath: parent._type || (read.Parent ? current.TypePath : 'PortfolioItem')
+        };
+        if (ancestors.some((ancestor) => ancestor.ObjectID === current!.ObjectID)) {
+          break;
+        }
+        ancestors.push({ ObjectID: current.ObjectID, FormattedID: parent.FormattedID });
+      } catch (error) {
+        if (axios.isAxiosError(error)) {
+          throw new Error(`Failed to read the parent of ${current.TypePath} ${current.ObjectID}: ${error.message}`);
+        }
+        throw error;
+      }
+    }
+    return ancestors;
+  }
+
+  /**
+   * Create a relationship between two artifacts of any supported types, e.g. a defect blocking a story
+   * or a story under a feature. Relationships that would close a dependency loop or make an artifact
+   * its own ancestor are refused; one that already exists is left alone.
+   * @param sourceId The ObjectID or FormattedID of the source artifact
+   * @param targetId The ObjectID or FormattedID of the target artifact
+   * @param relationshipType What the target is to the source, e.g. Predecessor when the target must finish first
+   * @returns Promise resolving to the update result, with Warnings about anything the update replaced;
+   * Skipped when the relationship already existed
+   */
+  async createRelationship(sourceId: string, targetId: string, relationshipType: RelationshipType) {
+    const plan = await this.planRelationship(sourceId, targetId, relationshipType, 'add');
+    const { warnings, exists } = await this.checkRelationship(plan, relationshipType);
+    if (exists) {
+      return {
+        Skipped: true,
+        Warnings: [`${plan.target.FormattedID || targetId} is already ${relationshipType} of ` +
+          `${plan.source.FormattedID || sourceId}; nothing was changed`]
+      };
+    }
+    try {
+      const response = await this.client.post(`/${plan.typePath}/${plan.objectId}`, plan.data);
+      
+      return warnings.length > 0 ? { ...response.data, Warnings: warnings } : response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to create relationship: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a relationship between two artifacts. A single reference or a block is only cleared
+   * when it points at the target.
+   * @param sourceId The ObjectID or FormattedID of the source artifact
+   * @param targetId The ObjectID or FormattedID of the target artifact
+   * @param relationshipType The type of relationship to remove
+   * @returns Promise resolving to the operation result
+   */
+  async removeRelationship(sourceId: string, targetId: string, relationshipType: RelationshipType) {
+    const plan = await this.planRelationship(sourceId, targetId, relationshipType, 'remove');
+    await this.checkRemoval(plan, relationshipType);
+    try {
+      const response = await this.client.post(`/${plan.typePath}/${plan.objectId}`, plan.data);
+      
+      return response.data;
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to remove relationship: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Turn a Rally artifact read with DEPENDENCY_FETCH into a dependency graph node
+   */
+  private toDependencyNode(artifact: any, depth: number): DependencyNode {
+    // Portfolio items have a State object where stories have a ScheduleState
+    const state = artifact.ScheduleState ||
+      (typeof artifact.State === 'string' ? artifact.State : artifact.State?._refObjectName || artifact.State?.Name);
+    return {
+      FormattedID: artifact.FormattedID,
+      ObjectID: artifact.ObjectID,
+      Type: artifact._type,
+      Name: artifact.Name || artifact._refObjectName,
+      ...(state && { State: state }),
+      ...(artifact.Project && { Project: artifact.Project._refObjectName || artifact.Project.Name }),
+      ...(artifact.Iteration && {
+        Iteration: {
+          Name: artifact.Iteration._refObjectName || artifact.Iteration.Name,
+          StartDate: artifact.Iteration.StartDate,
+          EndDate: artifact.Iteration.EndDate
+        }
+      }),
+      ...(artifact.Release && {
+        Release: {
+          Name: artifact.Release._refObjectName || artifact.Release.Name,
+          ReleaseStartDate: artifact.Release.ReleaseStartDate,
+          ReleaseDate: artifact.Release.ReleaseDate
+        }
+      }),
+      ...(artifact.PlannedEndDate && { PlannedEndDate: artifact.PlannedEndDate }),
+      ...(typeof artifact.PlanEstimate === 'number' && { PlanEstimate: artifact.PlanEstimate }),
+      Depth: depth
+    };
+  }
+
+  /**
+   * Read the Predecessors or Successors of an artifact with the fields of a dependency graph node
+   * @returns The related artifacts, every page of them up to DEFAULT_MAX_RESULTS, and whether there were more
+   */
+  private async getDependencyCollection(typePath: string, objectId: string | number, collection: 'Predecessors' | 'Successors') {
+    try {
+      const response = await fetchAllPages(async (queryParams) => (await this.client.get(`/${typePath}/${objectId}/${collection}`, {
+        params: {
+          fetch: DEPENDENCY_FETCH,
+          workspace: this.workspaceRef,
+          ...queryParams
+        }
+      })).data);
+      return {
+        related: (response.QueryResult.Results || []) as any[],
+        truncated: Boolean(response.QueryResult.Truncated)
+      };
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch ${collection} of ${typePath} ${objectId}: ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Walk the Predecessors and Successors of an artifact across projects: predecessors of its
+   * predecessors upstream, successors of its successors downstream
+   * @param id The ObjectID or FormattedID of a story or portfolio item
+   * @param depth How many dependencies to follow away from the artifact (defaults to 3)
+   * @returns Promise resolving to the graph's nodes and edges, its critical path and any
+   * successors due before their predecessors; TruncatedBy says why a truncated graph stops short
+   */
+  async traceDependencies(id: string, depth = 3) {
+    const root = await this.resolveArtifact(id);
+    const family = relationshipFamily(root.TypePath || '');
+    if (family !== 'story' && family !== 'portfolioitem') {
+      throw new Error(`${root.FormattedID || id} is a ${root.TypePath}; only stories and portfolio items have Predecessors and Successors`);
+    }
+    
+    let rootArtifact: any;
+    try {
+      const response = await this.client.get(`/${root.TypePath}/${root.ObjectID}`, {
+        params: {
+          fetch: DEPENDENCY_FETCH,
+          workspace: this.workspaceRef
+        }
+      });
+      // Single reads are keyed by the type's element name
+      rootArtifact = Object.values(response.data)[0];
+    } catch (error) {
+      if (axios.isAxiosError(error)) {
+        throw new Error(`Failed to fetch ${root.TypePath} ${id}: ${error.message}`);
+      }
+      throw error;
+    }
+    
+    const nodes = new Map<string, DependencyNode>();
+    const edges = new Map<string, DependencyEdge>();
+    nodes.set(rootArtifact.FormattedID, this.toDependencyNode({ ...rootArtifact, _type: rootArtifact._type || root.TypePath }, 0));
+    let frontier: { artifact: any; directions: Array<'Predecessors' | 'Successors'> }[] = [
+      { artifact: rootArtifact, directions: ['Predecessors', 'Successors'] }
+    ];
+    // Why the graph stops short: the depth, the node limit, or a collection too long to read
+    const truncatedBy = new Set<'depth' | 'nodes' | 'collection'>();
+    
+    for (let level = 1; frontier.length > 0; level++) {
+      if (level > depth || nodes.size >= MAX_DEPENDENCY_NODES) {
+        // Anything left to follow is beyond the walk
+        if (frontier.some(({ artifact, directions }) =>
+          directions.some((direction) => artifact[direction] && artifact[direction].Count > 0))) {
+          truncatedBy.add(level > depth ? 'depth' : 'nodes');
+        }
+        break;
+      }
+      const reads = frontier.flatMap(({ artifact, directions }) => directions.map(async (direction) => ({
+        artifact,
+        direction,
+        ...await this.getDependencyCollection(artifact._type || root.TypePath!, artifact.ObjectID, direction)
+      })));
+      const next: typeof frontier = [];
+      for (const { artifact, direction, related, truncated } of await Promise.all(reads)) {
+        if (truncated) {
+          truncatedBy.add('collection');
+        }
+        for (const other of related) {
+          if (!nodes.has(other.FormattedID)) {
+            if (nodes.size >= MAX_DEPENDENCY_NODES) {
+              // Leave out the edge too, so every edge joins two nodes of the graph
+              truncatedBy.add('nodes');
+              continue;
+            }
+            nodes.set(other.FormattedID, this.toDependencyNode(other, level));
+            next.push({ artifact: other, directions: [direction] });
+          }
+          const edge = direction === 'Predecessors'
+            ? { From: other.FormattedID, To: artifact.FormattedID }
+            : { From: artifact.FormattedID, To: other.FormattedID };
+          edges.set(`${edge.From}>${edge.To}`, edge);
+        }
+      }
+      frontier = next;
+    }
+    
+    const edgeList = Array.from(edges.values());
+    const criticalPath = findCriticalPath(nodes, edgeList);
+    const conflicts = findScheduleConflicts(nodes, edgeList);
+    const misscheduled = new Set(conflicts.map((conflict) => `${conflict.Predecessor}>${conflict.Successor}`));
+    return {
+      Root: rootArtifact.FormattedID,
+      Depth: depth,
+      Nodes: Array.from(nodes.values()).map((node) => ({
+        ...node,
+        OnCriticalPath: criticalPath.Path.includes(node.FormattedID)
+      })),
+      Edges: edgeList.map((edge) => ({ ...edge, Misscheduled: misscheduled.has(`${edge.From}>${edge.To}`) })),
+      CriticalPath: criticalPath.Path,
+      CriticalPathEstimate: criticalPath.Estimate,
+      Misscheduled: conflicts,
+      Cycles: findCycles(nodes, edgeList),
+      Truncated: truncatedBy.size > 0,
+      TruncatedBy: Array.from(truncatedBy)
+    };
+  }
+
+  /**
+   * Collect the artifacts matching a query with their Predecessors and Successors. Dependencies
+   * reaching outside the query are followed one step, so out-of-scope artifacts join the graph.
+   * @param typePath The WSAPI type path of a story or portfolio item type
+   * @param query A WSAPI query selecting the artifacts, or undefined for all of them
+   * @param project The project ObjectID to scope to, with its child projects
+   * @returns Promise resolving to the matching artifacts, the graph and whether the 2000-artifact cap cut the query short
+   */
+  private async collectScopedDependencies(typePath: string, query: string | undefined, project: string | undefined) {
+    const family = relationshipFamily(typePath);
+    if (family !== 'story' && family !== 'portfolioitem') {
+      throw new Error(`Cannot read dependencies of ${typePath}; only stories and portfolio items have Predecessors and Successors`);
+    }
+    // Check if we need to initialize
+    if (!this.workspaceRef) {
+      await this.validateCredentials();
+    }
+    
+    const response = await fetchAllPages(async (queryParams) => {
+      try {
+        const page = await this.client.get(`/${typePath}`, { params: queryParams });
+        return page.data;
+      } catch (error) {
+        if (axios.isAxiosError(error)) {
+          throw new Error(`Failed to query ${typePath}: ${error.message}`);
+        }
+        throw error;
+      }
+    }, {
+      workspace: this.workspaceRef!,
+      ...(project && { project: `/project/${project}`, projectScopeDown: 'true' }),
+      ...(query && { query }),
+      fetch: DEPENDENCY_FETCH
+    }, { maxResults: 2000 });
+    const artifacts: any[] = response.QueryResult.Results;
+    let truncated = Boolean(response.QueryResult.Truncated);
+    
+    const nodes = new Map<string, DependencyNode>();
+    const edges = new Map<string, DependencyEdge>();
+    for (const artifact of artifacts) {
+      nodes.set(artifact.FormattedID, this.toDependencyNode({ ...artifact, _type: artifact._type || typePath }, 0));
+    }
+    const reads = artifacts.flatMap((artifact) => (['Predecessors', 'Successors'] as const)
+      .filter((direction) => artifact[direction] && artifact[direction].Count > 0)
+      .map((direction) => ({ artifact, direction })));
+    // A few collections at a time, like the pages of a query
+    for (let i = 0; i < reads.length; i += 4) {
+      const batch = await Promise.all(reads.slice(i, i + 4).map(async ({ artifact, direction }) => ({
+        artifact,
+        direction,
+        ...await this.getDependencyCollection(artifact._type || typePath, artifact.ObjectID, direction)
+      })));
+      for (const { artifact, direction, related, truncated: collectionTruncated } of batch) {
+        truncated = truncated || collectionTruncated;
+        for (const other of related) {
+          const edge = direction === 'Predecessors'
+            ? { From: other.FormattedID, To: artifact.FormattedID }
+            : { From: artifact.FormattedID, To: other.FormattedID };
+          edges.set(`${edge.From}>${edge.To}`, edge);
+          if (!nodes.has(other.FormattedID)) {
+            nodes.set(other.FormattedID, this.toDependencyNode(other, 1));
+          }
+        }
+      }
+    }
+    
+    return {
+      artifacts,
+      nodes,
+      edges: Array.from(edges.values()),
+      truncated
+    };
+  }
+
+  /**
+   * Scan the stories or portfolio items of a project or release for dependency loops and
+   * successors due before their predecessors. Dependencies reaching outside the scope are
+   * followed one step, so an out-of-scope predecessor still counts.
+   * @param options The project ObjectID (defaults to the configured project), a release name or
+   * ObjectID, and the artifact type (defaults to story)
+   * @returns Promise resolving to the cycles and mis-scheduled dependencies found
+   */
+  async auditDependencies(options: { project?: string; release?: string; type?: string } = {}) {
+    const typePath = this.artifactTypePath(options.type || 'story');
+    const family = relationshipFamily(typePath);
+    if (family !== 'story' && family !== 'portfolioitem') {
+      throw new Error(`Cannot audit ${typePath}; only stories and portfolio items have Predecessors and Successors`);
+    }
+    const project = options.project || this.project;
+    const release = options.release?.trim();
+    const { artifacts, nodes, edges, truncated } = await this.collectScopedDependencies(
+      typePath,
+      release ? this.timeboxQuery('Release', release) : undefined,
+      project
+    );
+    
+    return {
+      Scope: {
+        Type: typePath,
+        ...(project && { Project: project }),
+        ...(release && { Release: release })
+      },
+      Artifacts: artifacts.length,
+      Dependencies: edges.length,
+      Cycles: findCycles(nodes, edges),
+      Misscheduled: findScheduleConflicts(nodes, edges),
+      Truncated: truncated
+    };
+  }
+
+  /**
+   * Query for the artifacts of an iteration or release given by name or ObjectID
+   */
+  private timeboxQuery(timebox: 'Iteration' | 'Release', id: string): string {
+    return /^\d+$/.test(id)
+      ? `(${timebox}.ObjectID = ${id})`
+      : buildQuery({ field: `${timebox}.Name`, operator: '=', value: id });
+  }
+
+  /**
+   * Gather the dependency graph around a story or feature, or of every story in an iteration or
+   * release, and render it as Mermaid flowchart text or Graphviz DOT
+   * @param scope A story or portfolio item ID (walked like traceDependencies), or an iteration or
+   * release name or ObjectID
+   * @param format "mermaid" or "dot"
+   * @returns Promise resolving to the rendered graph with its node and edge counts
+   */
+  async exportDependencyGraph(
+    scope: { artifactId?: string; iteration?: string; release?: string; depth?: number },
+    format: DependencyGraphFormat = 'mermaid'
+  ) {
+    const given = [scope.artifactId, scope.iteration, scope.release].filter((value) => value && value.trim());
+    if (given.length !== 1) {
+      throw new Error('Give exactly one of an artifact ID, an iteration or a release');
+    }
+    
+    let title: string;
+    let nodes: Map<string, DependencyNode>;
+    let edges: DependencyEdge[];
+    let truncated: boolean;
+    if (scope.artifactId) {
+      const graph = await this.traceDependencies(scope.artifactId, scope.depth);
+      title = `Dependencies of ${graph.Root}`;
+      nodes = new Map(graph.Nodes.map((node) => [node.FormattedID, node]));
+      edges = graph.Edges.map(({ From, To }) => ({ From, To }));
+      truncated = graph.Truncated;
+    } else {
+      const timebox = scope.iteration ? 'Iteration' : 'Release';
+      const id = (scope.iteration || scope.release)!.trim();
+      const collected = await this.collectScopedDependencies(
+        'HierarchicalRequirement',
+        this.timeboxQuery(timebox, id),
+        this.project
+      );
+      title = `Dependencies in ${timebox.toLowerCase()} ${id}`;
+      ({ nodes, edges, truncated } = collected);
+    }
+    
+    const render = format === 'dot' ? renderDot : renderMermaid;
+    return {
+      Title: title,
+      Format: format,
+      Nodes: nodes.size,
+      Edges: edges.length,
+      Truncated: truncated,
+      Graph: render(title, nodes, edges, findScheduleConflicts(nodes, edges))
+    };
+  }
 }
\ No newline at end of file
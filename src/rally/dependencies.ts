@@ -0,0 +1,326 @@
+/**
+ * Dependency graphs built from Rally's Predecessors and Successors
+ */
+
+export interface DependencyNode {
+  FormattedID: string;
+  ObjectID: number;
+  Type: string;
+  Name: string;
+  State?: string;
+  Project?: string;
+  Iteration?: { Name: string; StartDate?: string; EndDate?: string };
+  Release?: { Name: string; ReleaseStartDate?: string; ReleaseDate?: string };
+  PlannedEndDate?: string;
+  PlanEstimate?: number;
+  /** Hops from the artifact the walk started at */
+  Depth: number;
+}
+
+/**
+ * A dependency: From must finish before To
+ */
+export interface DependencyEdge {
+  From: string;
+  To: string;
+}
+
+export interface ScheduleConflict {
+  Predecessor: string;
+  Successor: string;
+  PredecessorEnds: string;
+  SuccessorEnds: string;
+}
+
+/**
+ * When an artifact is due: the end of its iteration, else its release, else its planned end
+ */
+export function scheduledEnd(node: DependencyNode): string | undefined {
+  return node.Iteration?.EndDate || node.Release?.ReleaseDate || node.PlannedEndDate;
+}
+
+/**
+ * Find dependencies whose successor is due before its predecessor
+ * @param nodes The artifacts of the graph, keyed by FormattedID
+ * @param edges The dependencies between them
+ * @returns One conflict per mis-scheduled dependency
+ */
+export function findScheduleConflicts(
+  nodes: Map<string, DependencyNode>,
+  edges: DependencyEdge[]
+): ScheduleConflict[] {
+  const conflicts: ScheduleConflict[] = [];
+  for (const edge of edges) {
+    const predecessorEnds = nodes.has(edge.From) ? scheduledEnd(nodes.get(edge.From)!) : undefined;
+    const successorEnds = nodes.has(edge.To) ? scheduledEnd(nodes.get(edge.To)!) : undefined;
+    if (predecessorEnds && successorEnds && Date.parse(successorEnds) < Date.parse(predecessorEnds)) {
+      conflicts.push({
+        Predecessor: edge.From,
+        Successor: edge.To,
+        PredecessorEnds: predecessorEnds,
+        SuccessorEnds: successorEnds
+      });
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Find the critical path: the chain of dependencies carrying the most plan estimate,
+ * with the number of artifacts breaking ties. Artifacts caught in a cycle have no
+ * order, so they are left out.
+ * @param nodes The artifacts of the graph, keyed by FormattedID
+ * @param edges The dependencies between them
+ * @returns The FormattedIDs along the path, first predecessor first, and its total estimate
+ */
+export function findCriticalPath(
+  nodes: Map<string, DependencyNode>,
+  edges: DependencyEdge[]
+): { Path: string[]; Estimate: number } {
+  const successors = new Map<string, string[]>();
+  const incoming = new Map<string, number>();
+  for (const id of nodes.keys()) {
+    successors.set(id, []);
+    incoming.set(id, 0);
+  }
+  for (const edge of edges) {
+    if (nodes.has(edge.From) && nodes.has(edge.To)) {
+      successors.get(edge.From)!.push(edge.To);
+      incoming.set(edge.To, incoming.get(edge.To)! + 1);
+    }
+  }
+
+  // Kahn's algorithm visits artifacts in dependency order; those in cycles are never reached
+  const best = new Map<string, { estimate: number; length: number; previous?: string }>();
+  const ready = Array.from(nodes.keys()).filter((id) => incoming.get(id) === 0);
+  const ordered: string[] = [];
+  for (const id of ready) {
+    best.set(id, { estimate: nodes.get(id)!.PlanEstimate || 0, length: 1 });
+  }
+  while (ready.length > 0) {
+    const id = ready.shift()!;
+    ordered.push(id);
+    const current = best.get(id)!;
+    for (const next of successors.get(id)!) {
+      const candidate = {
+        estimate: current.estimate + (nodes.get(next)!.PlanEstimate || 0),
+        length: current.length + 1,
+        previous: id
+      };
+      const known = best.get(next);
+      if (!known || candidate.estimate > known.estimate ||
+        (candidate.estimate === known.estimate && candidate.length > known.length)) {
+        best.set(next, candidate);
+      }
+      incoming.set(next, incoming.get(next)! - 1);
+      if (incoming.get(next) === 0) {
+        ready.push(next);
+      }
+    }
+  }
+
+  let end: string | undefined;
+  for (const id of ordered) {
+    const path = best.get(id)!;
+    const top = end ? best.get(end)! : undefined;
+    if (!top || path.estimate > top.estimate || (path.estimate === top.estimate && path.length > top.length)) {
+      end = id;
+    }
+  }
+  const path: string[] = [];
+  for (let id = end; id; id = best.get(id)!.previous) {
+    path.unshift(id);
+  }
+  return { Path: path.length > 1 ? path : [], Estimate: path.length > 1 ? best.get(end!)!.estimate : 0 };
+}
+
+/**
+ * Find dependency loops, such as US1 -> US2 -> US3 -> US1
+ * @param nodes The artifacts of the graph, keyed by FormattedID
+ * @param edges The dependencies between them
+ * @returns The FormattedIDs of each loop, in dependency order and closed by repeating the first
+ */
+export function findCycles(nodes: Map<string, DependencyNode>, edges: DependencyEdge[]): string[][] {
+  const successors = new Map<string, string[]>();
+  for (const edge of edges) {
+    if (nodes.has(edge.From) && nodes.has(edge.To)) {
+      successors.set(edge.From, [...(successors.get(edge.From) || []), edge.To]);
+    }
+  }
+
+  // Tarjan's algorithm: every strongly connected component with a loop in it is a cycle
+  const index = new Map<string, number>();
+  const lowLink = new Map<string, number>();
+  const stack: string[] = [];
+  const onStack = new Set<string>();
+  const cycles: string[][] = [];
+  const visit = (id: string) => {
+    index.set(id, index.size);
+    lowLink.set(id, index.get(id)!);
+    stack.push(id);
+    onStack.add(id);
+    for (const next of successors.get(id) || []) {
+      if (!index.has(next)) {
+        visit(next);
+        lowLink.set(id, Math.min(lowLink.get(id)!, lowLink.get(next)!));
+      } else if (onStack.has(next)) {
+        lowLink.set(id, Math.min(lowLink.get(id)!, index.get(next)!));
+      }
+    }
+    if (lowLink.get(id) === index.get(id)) {
+      const component: string[] = [];
+      let member: string;
+      do {
+        member = stack.pop()!;
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== id);
+      if (component.length > 1 || (successors.get(id) || []).includes(id)) {
+        cycles.push(orderCycle(component, successors));
+      }
+    }
+  };
+  for (const id of nodes.keys()) {
+    if (!index.has(id)) {
+      visit(id);
+    }
+  }
+  return cycles;
+}
+
+/**
+ * Walk a loop's members in dependency order, starting from the first in FormattedID order
+ */
+function orderCycle(component: string[], successors: Map<string, string[]>): string[] {
+  const members = new Set(component);
+  const start = [...component].sort()[0];
+  const loop = [start];
+  let current = start;
+  do {
+    current = (successors.get(current) || []).find((next) =>
+      members.has(next) && (next === start || !loop.includes(next)))!;
+    loop.push(current);
+  } while (current && current !== start && loop.length <= component.length);
+  return current === start ? loop : [...component, component[0]];
+}
+
+export type DependencyGraphFormat = 'mermaid' | 'dot';
+
+/**
+ * Fill colors given to projects in turn, light enough to read black text on
+ */
+const PROJECT_COLORS = [
+  '#cfe2ff', '#d1e7dd', '#fff3cd', '#f8d7da', '#e2d9f3', '#d2f4ea', '#ffe5d0', '#f7d6e6', '#e9ecef', '#dbe4c6'
+];
+
+/**
+ * Edge color of dependencies whose successor is due before its predecessor
+ */
+const CONFLICT_COLOR = '#d62728';
+
+/**
+ * Give every project of the graph a color, in project name order
+ */
+function projectColors(nodes: Map<string, DependencyNode>): Map<string, string> {
+  const projects = Array.from(new Set(Array.from(nodes.values()).map((node) => node.Project || 'No project'))).sort();
+  return new Map(projects.map((project, i) => [project, PROJECT_COLORS[i % PROJECT_COLORS.length]]));
+}
+
+/**
+ * The lines of a node label: FormattedID and name, then state
+ */
+function nodeLabel(node: DependencyNode): string[] {
+  const name = node.Name && node.Name.length > 40 ? `${node.Name.slice(0, 39)}…` : node.Name || '';
+  return [`${node.FormattedID}: ${name}`, ...(node.State ? [node.State] : [])];
+}
+
+/**
+ * Render a dependency graph as a Mermaid flowchart, predecessors on the left
+ * @param title Title shown above the chart
+ * @param nodes The artifacts of the graph, keyed by FormattedID
+ * @param edges The dependencies between them
+ * @param conflicts Mis-scheduled dependencies, drawn in red
+ * @returns Mermaid flowchart text
+ */
+export function renderMermaid(
+  title: string,
+  nodes: Map<string, DependencyNode>,
+  edges: DependencyEdge[],
+  conflicts: ScheduleConflict[] = []
+): string {
+  const escape = (text: string) => text.replace(/"/g, '#quot;').replace(/</g, '#lt;').replace(/>/g, '#gt;');
+  const colors = projectColors(nodes);
+  const classes = new Map(Array.from(colors.keys()).map((project, i) => [project, `project${i}`]));
+  const misscheduled = new Set(conflicts.map((conflict) => `${conflict.Predecessor}>${conflict.Successor}`));
+
+  // A double-quoted YAML string, so names holding ': ' or starting with # or - keep the front matter valid
+  const yamlString = (text: string) => `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\r?\n/g, ' ')}"`;
+  const lines = ['---', `title: ${yamlString(title)}`, '---', 'flowchart LR'];
+  for (const node of nodes.values()) {
+    lines.push(`  ${node.FormattedID}["${nodeLabel(node).map(escape).join('<br/>')}"]:::${classes.get(node.Project || 'No project')}`);
+  }
+  const redLinks: number[] = [];
+  edges.forEach((edge, i) => {
+    if (misscheduled.has(`${edge.From}>${edge.To}`)) {
+      redLinks.push(i);
+      lines.push(`  ${edge.From} -->|mis-scheduled| ${edge.To}`);
+    } else {
+      lines.push(`  ${edge.From} --> ${edge.To}`);
+    }
+  });
+  lines.push('  subgraph legend [Projects]');
+  for (const [project, className] of classes) {
+    lines.push(`    legend_${className}["${escape(project)}"]:::${className}`);
+  }
+  lines.push('  end');
+  for (const [project, className] of classes) {
+    lines.push(`  classDef ${className} fill:${colors.get(project)},stroke:#555,color:#000`);
+  }
+  if (redLinks.length > 0) {
+    lines.push(`  linkStyle ${redLinks.join(',')} stroke:${CONFLICT_COLOR},stroke-width:2px`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Render a dependency graph as Graphviz DOT, predecessors on the left
+ * @param title Graph name and label
+ * @param nodes The artifacts of the graph, keyed by FormattedID
+ * @param edges The dependencies between them
+ * @param conflicts Mis-scheduled dependencies, drawn in red
+ * @returns DOT source, e.g. for `dot -Tsvg`
+ */
+export function renderDot(
+  title: string,
+  nodes: Map<string, DependencyNode>,
+  edges: DependencyEdge[],
+  conflicts: ScheduleConflict[] = []
+): string {
+  const quote = (text: string) => `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  const colors = projectColors(nodes);
+  const misscheduled = new Set(conflicts.map((conflict) => `${conflict.Predecessor}>${conflict.Successor}`));
+
+  const lines = [
+    `digraph ${quote(title)} {`,
+    `  label=${quote(title)};`,
+    '  labelloc=t;',
+    '  rankdir=LR;',
+    '  node [shape=box, style="rounded,filled", fontname="Helvetica"];'
+  ];
+  for (const node of nodes.values()) {
+    // DOT turns \n inside a quoted label into a line break
+    const label = nodeLabel(node).map((line) => quote(line).slice(1, -1)).join('\\n');
+    lines.push(`  ${quote(node.FormattedID)} [label="${label}", fillcolor=${quote(colors.get(node.Project || 'No project')!)}];`);
+  }
+  for (const edge of edges) {
+    lines.push(misscheduled.has(`${edge.From}>${edge.To}`)
+      ? `  ${quote(edge.From)} -> ${quote(edge.To)} [color=${quote(CONFLICT_COLOR)}, penwidth=2, label="mis-scheduled"];`
+      : `  ${quote(edge.From)} -> ${quote(edge.To)};`);
+  }
+  lines.push('  subgraph cluster_legend {', '    label="Projects";');
+  Array.from(colors).forEach(([project, color], i) => {
+    lines.push(`    legend${i} [label=${quote(project)}, fillcolor=${quote(color)}];`);
+  });
+  lines.push('  }', '}');
+  return lines.join('\n');
+}
@@ -0,0 +1,100 @@
+/**
+ * Walk every page of a Rally query
+ */
+
+/**
+ * How many results a full walk returns when the caller sets no limit
+ */
+export const DEFAULT_MAX_RESULTS = 1000;
+
+/**
+ * The largest pagesize WSAPI accepts
+ */
+export const MAX_PAGE_SIZE = 2000;
+
+/**
+ * How many pages are requested from Rally at the same time
+ */
+const PAGE_CONCURRENCY = 4;
+
+export interface PaginationOptions {
+  /** Stop after this many results; defaults to DEFAULT_MAX_RESULTS */
+  maxResults?: number;
+  /** Called after every page with the number of results fetched so far and the number expected */
+  onProgress?: (fetched: number, total: number) => void | Promise<void>;
+  /** Abandons the walk before the next page is requested */
+  signal?: AbortSignal;
+}
+
+/**
+ * Fetch the pages of a Rally query and join their results.
+ * The first page tells us TotalResultCount; the remaining pages are then requested concurrently.
+ * @param fetchPage Rally client call that performs the query for one page
+ * @param queryParams Query parameters; start and pagesize (or pageSize) pick where the walk begins and the page size
+ * @param options The result cap, a progress callback and an abort signal
+ * @returns A QueryResult envelope holding the results in Rally's order, with Truncated set when the cap cut the walk short
+ */
+export async function fetchAllPages(
+  fetchPage: (queryParams: Record<string, string>) => Promise<any>,
+  queryParams: Record<string, string> = {},
+  options: PaginationOptions = {}
+) {
+  const { pagesize, pageSize: requestedPageSize, start: requestedStart, ...params } = queryParams;
+  const maxResults = options.maxResults && options.maxResults > 0 ? options.maxResults : DEFAULT_MAX_RESULTS;
+  const start = Math.max(parseInt(requestedStart, 10) || 1, 1);
+  const pageSize = Math.min(
+    parseInt(pagesize || requestedPageSize, 10) || Math.min(maxResults, MAX_PAGE_SIZE),
+    MAX_PAGE_SIZE
+  );
+
+  const fetchAt = async (pageStart: number) => {
+    if (options.signal?.aborted) {
+      throw new Error('Pagination was cancelled');
+    }
+    const response = await fetchPage({ ...params, start: String(pageStart), pagesize: String(pageSize) });
+    // Rally wraps list responses in a QueryResult envelope
+    return response && response.QueryResult ? response.QueryResult : response;
+  };
+
+  const first = await fetchAt(start);
+  const firstResults: any[] = (first && first.Results) || [];
+  const total: number = first && typeof first.TotalResultCount === 'number'
+    ? first.TotalResultCount
+    : firstResults.length;
+  const expected = Math.min(Math.max(total - (start - 1), 0), maxResults);
+
+  let fetched = Math.min(firstResults.length, expected);
+  await options.onProgress?.(fetched, expected);
+
+  // Every page after the first is known up front, so a few workers can take them in turn
+  const pageStarts: number[] = [];
+  if (firstResults.length > 0) {
+    for (let pageStart = start + pageSize; pageStart < start + expected; pageStart += pageSize) {
+      pageStarts.push(pageStart);
+    }
+  }
+  const pages: any[][] = new Array(pageStarts.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < pageStarts.length) {
+      const index = next++;
+      const page = await fetchAt(pageStarts[index]);
+      pages[index] = (page && page.Results) || [];
+      fetched = Math.min(fetched + pages[index].length, expected);
+      await options.onProgress?.(fetched, expected);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(PAGE_CONCURRENCY, pageStarts.length) }, worker));
+
+  const results = firstResults.concat(...pages).slice(0, expected);
+  return {
+    QueryResult: {
+      ...first,
+      TotalResultCount: total,
+      StartIndex: start,
+      PageSize: results.length,
+      Results: results,
+      Truncated: start - 1 + results.length < total
+    }
+  };
+}
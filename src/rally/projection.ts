@@ -0,0 +1,92 @@
+/**
+ * Trim Rally objects down to what a reader needs
+ */
+
+/**
+ * Keys Rally adds to every object for its own bookkeeping
+ */
+const BOOKKEEPING_KEYS = new Set(['ObjectUUID', 'VersionId', 'Subscription', 'Workspace']);
+
+export interface ProjectionOptions {
+  /** Keep only these top-level fields, matched case-insensitively */
+  fields?: string[];
+  /** Flatten refs and strip bookkeeping keys */
+  compact?: boolean;
+}
+
+/**
+ * Parse a Rally fetch list into field names. fetch=true (every field) yields no names.
+ */
+export function parseFetch(fetch: string | undefined): string[] | undefined {
+  if (!fetch || fetch.trim().toLowerCase() === 'true') {
+    return undefined;
+  }
+  const fields = fetch.split(',').map((field) => field.trim()).filter(Boolean);
+  return fields.length > 0 ? fields : undefined;
+}
+
+/**
+ * Flatten a ref into {id, name}, or a collection ref into {count}
+ */
+function compactRef(ref: any): any {
+  if (typeof ref.Count === 'number' && ref.ObjectID === undefined) {
+    return { count: ref.Count };
+  }
+  const id = ref.ObjectID !== undefined ? ref.ObjectID : String(ref._ref).split('/').pop();
+  return { id, name: ref._refObjectName !== undefined ? ref._refObjectName : ref.Name };
+}
+
+/**
+ * Compact a value: refs inside it are flattened, bookkeeping keys stripped and nested objects walked
+ */
+function compactValue(value: any): any {
+  if (Array.isArray(value)) {
+    return value.map(compactValue);
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (value._ref !== undefined) {
+    return compactRef(value);
+  }
+  const compacted: Record<string, any> = {};
+  Object.entries(value).forEach(([key, child]) => {
+    if (!key.startsWith('_') && !BOOKKEEPING_KEYS.has(key)) {
+      compacted[key] = compactValue(child);
+    }
+  });
+  return compacted;
+}
+
+/**
+ * Project a Rally object onto the requested fields and optionally compact it
+ * @param item A Rally object from a query result
+ * @param options The fields to keep and whether to compact
+ * @returns The projected object; the item itself when there is nothing to do
+ */
+export function projectItem(item: any, options: ProjectionOptions = {}): any {
+  if (!item || typeof item !== 'object') {
+    return item;
+  }
+  let projected = item;
+  if (options.fields) {
+    const wanted = new Set(options.fields.map((field) => field.toLowerCase()));
+    projected = {};
+    Object.entries(item).forEach(([key, value]) => {
+      if (wanted.has(key.toLowerCase())) {
+        projected[key] = value;
+      }
+    });
+  }
+  if (options.compact) {
+    // The top-level object is the item itself, not a ref to be flattened
+    const compacted: Record<string, any> = {};
+    Object.entries(projected).forEach(([key, value]) => {
+      if (!key.startsWith('_') && !BOOKKEEPING_KEYS.has(key)) {
+        compacted[key] = compactValue(value);
+      }
+    });
+    projected = compacted;
+  }
+  return projected;
+}
@@ -0,0 +1,99 @@
+/**
+ * Structured filters for Rally's WSAPI query language
+ */
+export type QueryValue = string | number | boolean | null;
+
+export type QueryFilter =
+  | { field: string; operator: string; value: QueryValue | QueryValue[] }
+  | { and: QueryFilter[] }
+  | { or: QueryFilter[] };
+
+/**
+ * Operators WSAPI understands, keyed by the spellings accepted from callers
+ */
+const OPERATORS: Record<string, string> = {
+  '=': '=',
+  '==': '=',
+  'eq': '=',
+  '!=': '!=',
+  '<>': '!=',
+  'ne': '!=',
+  '<': '<',
+  'lt': '<',
+  '<=': '<=',
+  'lte': '<=',
+  '>': '>',
+  'gt': '>',
+  '>=': '>=',
+  'gte': '>=',
+  'contains': 'contains',
+  '!contains': '!contains',
+  'in': 'in',
+  '!in': '!in'
+};
+
+/**
+ * Quote a value for a WSAPI query. Strings are double-quoted, everything else is written as is.
+ */
+function formatValue(value: QueryValue): string {
+  if (value === null) {
+    return 'null';
+  }
+  if (typeof value === 'string') {
+    return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  }
+  return String(value);
+}
+
+/**
+ * Join clauses the way WSAPI requires: every AND/OR combines exactly two parenthesized terms,
+ * so three clauses become (((A) AND (B)) AND (C))
+ */
+function joinClauses(clauses: string[], conjunction: 'AND' | 'OR'): string {
+  return clauses.reduce((query, clause) => `(${query} ${conjunction} ${clause})`);
+}
+
+/**
+ * Build a WSAPI query string from a structured filter
+ * @param filter A condition, or an and/or group of filters
+ * @param resolveField Maps a field name to the name to query by, throwing for unknown fields
+ * @returns The query string, e.g. ((ScheduleState = "Defined") AND (PlanEstimate > 3))
+ * @throws When an operator is unsupported, a group is empty or a value does not suit its operator
+ */
+export function buildQuery(filter: QueryFilter, resolveField: (field: string) => string = (field) => field): string {
+  if ('and' in filter || 'or' in filter) {
+    const conjunction = 'and' in filter ? 'AND' : 'OR';
+    const filters = 'and' in filter ? filter.and : filter.or;
+    if (!Array.isArray(filters) || filters.length === 0) {
+      throw new Error(`An ${conjunction.toLowerCase()} group needs at least one filter`);
+    }
+    return joinClauses(filters.map((child) => buildQuery(child, resolveField)), conjunction);
+  }
+
+  const operator = OPERATORS[filter.operator.trim().toLowerCase()];
+  if (!operator) {
+    throw new Error(`Unsupported operator "${filter.operator}" on ${filter.field}. ` +
+      `Supported operators: =, !=, <, <=, >, >=, contains, !contains, in, !in`);
+  }
+  const field = resolveField(filter.field);
+
+  if (operator === 'in' || operator === '!in') {
+    // WSAPI has no list syntax, so "in" becomes OR-ed equalities and "!in" AND-ed inequalities
+    const values = Array.isArray(filter.value) ? filter.value : [filter.value];
+    if (values.length === 0) {
+      throw new Error(`Operator "${operator}" on ${filter.field} needs at least one value`);
+    }
+    return joinClauses(
+      values.map((value) => `(${field} ${operator === 'in' ? '=' : '!='} ${formatValue(value)})`),
+      operator === 'in' ? 'OR' : 'AND'
+    );
+  }
+
+  if (Array.isArray(filter.value)) {
+    throw new Error(`Operator "${operator}" on ${filter.field} takes a single value; use "in" for a list`);
+  }
+  if ((operator === 'contains' || operator === '!contains') && typeof filter.value !== 'string') {
+    throw new Error(`Operator "${operator}" on ${filter.field} needs a text value`);
+  }
+  return `(${field} ${operator} ${formatValue(filter.value)})`;
+}
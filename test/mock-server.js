@@ -74,54 +74,36 @@ class MockRallyClient {
   async getRelationships(artifactId) {
     console.log(`[MOCK] Getting relationships for ${artifactId}`);
     
-    // Return empty response if the artifact doesn't exist
-    if (!this.relationships[artifactId]) {
-      return { HierarchicalRequirement: {} };
-    }
+    const related = (id) => ({
+      FormattedID: id,
+      ObjectID: parseInt(id.replace(/\D/g, ''), 10),
+      Type: 'HierarchicalRequirement',
+      Name: `Mock story ${id}`,
+      State: 'Defined',
+      Owner: null,
+      Project: 'Mock Project'
+    });
     
-    // Format the relationships for the response
-    const relationships = this.relationships[artifactId];
-    const response = {
-      HierarchicalRequirement: {}
+    // Artifacts without relationships get empty lists
+    const relationships = this.relationships[artifactId] || {
+      predecessors: [],
+      successors: [],
+      children: [],
+      parent: null,
+      blocked: [],
+      blockers: []
     };
     
-    if (relationships.predecessors.length > 0) {
-      response.HierarchicalRequirement.Predecessors = {
-        _tagsNameArray: relationships.predecessors
-      };
-    }
-    
-    if (relationships.successors.length > 0) {
-      response.HierarchicalRequirement.Successors = {
-        _tagsNameArray: relationships.successors
-      };
-    }
-    
-    if (relationships.children.length > 0) {
-      response.HierarchicalRequirement.Children = {
-        _tagsNameArray: relationships.children
-      };
-    }
-    
-    if (relationships.parent) {
-      response.HierarchicalRequirement.Parent = {
-        _refObjectName: relationships.parent
-      };
-    }
-    
-    if (relationships.blocked.length > 0) {
-      response.HierarchicalRequirement.Blocked = {
-        _tagsNameArray: relationships.blocked
-      };
-    }
-    
-    if (relationships.blockers.length > 0) {
-      response.HierarchicalRequirement.Blocker = {
-        _tagsNameArray: relationships.blockers
-      };
-    }
-    
-    return response;
+    return {
+      Artifact: related(artifactId),
+      Predecessors: relationships.predecessors.map(related),
+      Successors: relationships.successors.map(related),
+      Parent: relationships.parent ? [related(relationships.parent)] : [],
+      Children: relationships.children.map(related),
+      Blockers: relationships.blockers.map(related),
+      Blocked: relationships.blocked.map(related),
+      Duplicates: []
+    };
   }
 
   async createRelationship(sourceId, targetId, relationshipType) {
@@ -0,0 +1,297 @@
+import axios from 'axios';
+import { RallyClient } from '../../src/rally/client';
+import { Config } from '../../src/config';
+
+// Mock axios
+jest.mock('axios', () => {
+  return {
+    create: jest.fn(() => ({
+      get: jest.fn(),
+      post: jest.fn(),
+      delete: jest.fn()
+    })),
+    isAxiosError: jest.fn().mockReturnValue(false)
+  };
+});
+const mockAxios = axios as jest.Mocked<typeof axios>;
+
+describe('RallyClient artifact metadata', () => {
+  let client: RallyClient;
+  let mockGet: jest.Mock;
+  let mockPost: jest.Mock;
+  const mockConfig: Config = {
+    rallyApiKey: 'test-api-key',
+    rallyWorkspace: 'test-workspace',
+    rallyProject: 'test-project',
+    port: 3000,
+    logLevel: 'info',
+    requestTimeout: 60000
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGet = jest.fn();
+    mockPost = jest.fn();
+    mockAxios.create.mockReturnValue({ get: mockGet, post: mockPost, delete: jest.fn() } as any);
+
+    client = new RallyClient(mockConfig);
+    // Skip credential validation
+    (client as any).workspaceRef = '/workspace/1';
+
+    mockGet.mockImplementation((url: string) => {
+      if (url === '/AttributeDefinition/501/AllowedValues') {
+        return Promise.resolve({
+          data: { QueryResult: { Results: [{ StringValue: '' }, { StringValue: 'Acme' }, { StringValue: 'Globex' }] } }
+        });
+      }
+      if (url === '/TypeDefinition') {
+        return Promise.resolve({
+          data: { QueryResult: { Results: [{ ObjectID: 77, Name: 'Defect', TypePath: 'Defect', ElementName: 'Defect' }] } }
+        });
+      }
+      return Promise.resolve({
+        data: {
+          QueryResult: {
+            Results: [
+              { Name: 'Name', ElementName: 'Name', AttributeType: 'STRING', Required: true, ReadOnly: false },
+              { Name: 'Project', ElementName: 'Project', AttributeType: 'OBJECT', Required: true, ReadOnly: false },
+              { Name: 'Schedule State', ElementName: 'ScheduleState', AttributeType: 'STATE', Required: false, ReadOnly: false },
+              { Name: 'Formatted ID', ElementName: 'FormattedID', AttributeType: 'STRING', Required: true, ReadOnly: true },
+              { Name: 'State', ElementName: 'State', AttributeType: 'STATE', Required: true, ReadOnly: false },
+              { Name: 'Blocked', ElementName: 'Blocked', AttributeType: 'BOOLEAN', Required: true, ReadOnly: false },
+              { Name: 'Iteration', ElementName: 'Iteration', AttributeType: 'OBJECT', Required: false, ReadOnly: false },
+              { ObjectID: 501, Name: 'Customer', ElementName: 'c_Customer', AttributeType: 'STRING', Custom: true, Constrained: true },
+              { ObjectID: 502, Name: 'SOX Relevant', ElementName: 'c_SOXRelevant', AttributeType: 'BOOLEAN', Custom: true },
+              { ObjectID: 503, Name: 'Story Points', ElementName: 'c_StoryPoints', AttributeType: 'INTEGER', Custom: true }
+            ]
+          }
+        }
+      });
+    });
+  });
+
+  it('should normalize field names and wrap refs', async () => {
+    const fields = await client.validateArtifactFields('defect', {
+      name: 'Crash on save',
+      'Schedule State': 'Defined',
+      Iteration: '/iteration/5'
+    }, 'create');
+
+    expect(fields).toEqual({
+      Name: 'Crash on save',
+      ScheduleState: 'Defined',
+      Iteration: { _ref: '/iteration/5' }
+    });
+  });
+
+  it('should reject unknown, read-only and missing required fields', async () => {
+    await expect(client.validateArtifactFields('defect', { Sevrity: 'Major', FormattedID: 'DE1' }, 'create'))
+      .rejects.toThrow('Invalid Defect fields: unknown field "Sevrity"; field "FormattedID" is read-only; ' +
+        'missing required field(s): Name');
+  });
+
+  it('should not require fields Rally fills in itself', async () => {
+    // State, Blocked and Project are required but have defaults
+    await expect(client.validateArtifactFields('defect', { Name: 'Crash on save' }, 'create'))
+      .resolves.toEqual({ Name: 'Crash on save' });
+  });
+
+  it('should refuse writes the type definition does not allow', async () => {
+    const lookup = mockGet.getMockImplementation()!;
+    mockGet.mockImplementation((url: string, options: any) => url === '/TypeDefinition'
+      ? Promise.resolve({
+        data: {
+          QueryResult: {
+            Results: [{
+              ObjectID: 77, Name: 'Defect', TypePath: 'Defect', ElementName: 'Defect',
+              Creatable: false, Updatable: false, Deletable: false
+            }]
+          }
+        }
+      })
+      : lookup(url, options));
+
+    await expect(client.createArtifact('defect', { Name: 'Crash on save' }))
+      .rejects.toThrow('Rally does not allow creating Defect artifacts');
+    await expect(client.updateArtifact('defect', '909', { Name: 'Crash on open' }))
+      .rejects.toThrow('Rally does not allow updating Defect artifacts');
+    await expect(client.deleteArtifact('defect', '909')).rejects.toThrow('Rally does not allow deleting Defect artifacts');
+    expect(mockPost).not.toHaveBeenCalled();
+  });
+
+  it('should fetch each type definition once', async () => {
+    await client.getTypeDefinition('defect');
+    await client.getTypeDefinition('Defect');
+
+    expect(mockGet).toHaveBeenCalledTimes(2);
+  });
+
+  it('should read every page of a type\'s attributes', async () => {
+    const lookup = mockGet.getMockImplementation()!;
+    mockGet.mockImplementation((url: string, options: any) => {
+      if (url !== '/TypeDefinition/77/Attributes') {
+        return lookup(url, options);
+      }
+      // 250 custom fields, served 200 at a time
+      const start = parseInt(options.params.start, 10);
+      const pageSize = parseInt(options.params.pagesize, 10);
+      const results = [];
+      for (let i = start; i < start + pageSize && i <= 250; i++) {
+        results.push({ Name: `Field ${i}`, ElementName: `c_Field${i}`, AttributeType: 'STRING', Custom: true });
+      }
+      return Promise.resolve({ data: { QueryResult: { TotalResultCount: 250, StartIndex: start, Results: results } } });
+    });
+
+    await expect(client.validateArtifactFields('defect', { c_Field250: 'late' }, 'update'))
+      .resolves.toEqual({ c_Field250: 'late' });
+    expect(mockGet).toHaveBeenCalledWith('/TypeDefinition/77/Attributes', expect.objectContaining({
+      params: expect.objectContaining({ start: '201', pagesize: '200' })
+    }));
+  });
+
+  it('should create with the configured project under the type element name', async () => {
+    mockPost.mockResolvedValue({ data: { CreateResult: { Object: { ObjectID: 909 } } } });
+
+    await client.createArtifact('defect', { Name: 'Crash on save' });
+
+    expect(mockPost).toHaveBeenCalledWith('/Defect/create', {
+      Defect: {
+        Name: 'Crash on save',
+        Workspace: { _ref: '/workspace/1' },
+        Project: { _ref: '/project/test-project' }
+      }
+    });
+  });
+
+  it('should search with field names checked against the type', async () => {
+    const { query } = await client.searchArtifacts('defect', {
+      and: [
+        { field: 'schedule state', operator: '=', value: 'Defined' },
+        { field: 'Iteration.Name', operator: 'contains', value: 'Sprint' }
+      ]
+    });
+
+    expect(query).toBe('((ScheduleState = "Defined") AND (Iteration.Name contains "Sprint"))');
+    expect(mockGet).toHaveBeenCalledWith('/Defect', expect.objectContaining({
+      params: expect.objectContaining({ query })
+    }));
+  });
+
+  it('should reject searches on unknown fields', async () => {
+    await expect(client.searchArtifacts('defect', { field: 'Sevrity', operator: '=', value: 'Major' }))
+      .rejects.toThrow('Unknown field "Sevrity" on Defect');
+  });
+
+  it('should match drop-down values ignoring case and punctuation', async () => {
+    const fields = await client.validateCustomFields('defect', { Customer: 'ACME' });
+
+    expect(fields).toEqual({ c_Customer: 'Acme' });
+  });
+
+  it('should accept custom fields by element name, bare name or display name', async () => {
+    const fields = await client.validateCustomFields('defect', {
+      customer: 'Acme',
+      'SOX Relevant': true,
+      c_StoryPoints: 3
+    });
+
+    expect(fields).toEqual({ c_Customer: 'Acme', c_SOXRelevant: true, c_StoryPoints: 3 });
+  });
+
+  it('should reject custom field values of the wrong type or outside the allowed values', async () => {
+    await expect(client.validateCustomFields('defect', { Customer: 'Initech', SOXRelevant: 'yes', StoryPoints: 1.5 }))
+      .rejects.toThrow('Invalid custom fields for Defect: "Initech" is not a valid c_Customer. ' +
+        'Valid values: Acme, Globex; field "c_SOXRelevant" must be true or false; field "c_StoryPoints" must be an integer');
+  });
+
+  it('should list known custom fields for unknown names', async () => {
+    await expect(client.validateCustomFields('defect', { Team: 'Blue' }))
+      .rejects.toThrow('(known custom fields: c_Customer, c_SOXRelevant, c_StoryPoints)');
+  });
+
+  it('should describe fields with allowed values in the schema', async () => {
+    const schema = await client.getSchema('defect');
+
+    expect(schema.TypePath).toBe('Defect');
+    expect(schema.Fields.find((field: any) => field.ElementName === 'c_Customer').AllowedValues)
+      .toEqual(['Acme', 'Globex']);
+  });
+});
+
+describe('RallyClient allowed values', () => {
+  let client: RallyClient;
+  let mockGet: jest.Mock;
+  let mockPost: jest.Mock;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGet = jest.fn();
+    mockPost = jest.fn().mockResolvedValue({ data: { CreateResult: { Object: { ObjectID: 1 } } } });
+    mockAxios.create.mockReturnValue({ get: mockGet, post: mockPost, delete: jest.fn() } as any);
+
+    client = new RallyClient({
+      rallyApiKey: 'test-api-key',
+      rallyWorkspace: 'test-workspace',
+      port: 3000,
+      logLevel: 'info',
+      requestTimeout: 60000
+    });
+    // Skip credential validation
+    (client as any).workspaceRef = '/workspace/1';
+
+    mockGet.mockImplementation((url: string) => {
+      const results: Record<string, any[]> = {
+        '/TypeDefinition': [{ ObjectID: 10, Name: 'Hierarchical Requirement', TypePath: 'HierarchicalRequirement', ElementName: 'HierarchicalRequirement' }],
+        '/TypeDefinition/10/Attributes': [
+          { ObjectID: 11, Name: 'Schedule State', ElementName: 'ScheduleState', AttributeType: 'STATE', Constrained: true },
+          { ObjectID: 12, Name: 'Name', ElementName: 'Name', AttributeType: 'STRING', Required: true }
+        ],
+        '/AttributeDefinition/11/AllowedValues': [
+          { StringValue: 'Defined' }, { StringValue: 'In-Progress' }, { StringValue: 'Completed' }, { StringValue: 'Accepted' }
+        ]
+      };
+      return Promise.resolve({ data: { QueryResult: { Results: results[url] || [] } } });
+    });
+  });
+
+  it('should map "in progress" to "In-Progress" when creating a story', async () => {
+    await client.createStory({ Name: 'Story', ScheduleState: 'in progress' });
+
+    expect(mockPost.mock.calls[0][1].HierarchicalRequirement.ScheduleState).toBe('In-Progress');
+  });
+
+  it('should reject an unknown value with the valid values before calling Rally', async () => {
+    await expect(client.updateStory('1', { ScheduleState: 'Done' }))
+      .rejects.toThrow('"Done" is not a valid ScheduleState. Valid values: Defined, In-Progress, Completed, Accepted');
+    expect(mockPost).not.toHaveBeenCalled();
+  });
+
+  it('should fetch allowed values once per field', async () => {
+    await client.updateStory('1', { ScheduleState: 'Defined' });
+    await client.updateStory('1', { ScheduleState: 'completed' });
+
+    const allowedValueCalls = mockGet.mock.calls.filter(([url]) => url.endsWith('/AllowedValues'));
+    expect(allowedValueCalls).toHaveLength(1);
+  });
+
+  it('should accept a value from a later page of allowed values', async () => {
+    const lookup = mockGet.getMockImplementation()!;
+    mockGet.mockImplementation((url: string, options: any) => {
+      if (url !== '/AttributeDefinition/11/AllowedValues') {
+        return lookup(url, options);
+      }
+      // 250 states, served 200 at a time
+      const start = parseInt(options.params.start, 10);
+      const pageSize = parseInt(options.params.pagesize, 10);
+      const results = [];
+      for (let i = start; i < start + pageSize && i <= 250; i++) {
+        results.push({ StringValue: `State ${i}` });
+      }
+      return Promise.resolve({ data: { QueryResult: { TotalResultCount: 250, StartIndex: start, Results: results } } });
+    });
+
+    await client.updateStory('1', { ScheduleState: 'state 250' });
+
+    expect(mockPost.mock.calls[0][1].HierarchicalRequirement.ScheduleState).toBe('State 250');
+  });
+});
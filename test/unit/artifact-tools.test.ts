@@ -0,0 +1,174 @@
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { registerTools } from '../../src/handlers/tools';
+import { RallyClient } from '../../src/rally/client';
+
+// Mock the Rally client
+jest.mock('../../src/rally/client');
+
+describe('Generic Artifact Tools', () => {
+  let mockServer: Partial<McpServer>;
+  let mockRallyClient: Partial<RallyClient>;
+  let toolHandlers: Record<string, Function> = {};
+
+  beforeEach(() => {
+    // Reset the captured tool handlers
+    toolHandlers = {};
+
+    // Create mock server that captures tool handlers
+    mockServer = {
+      // Using any here to bypass the complex typing of the tool method
+      tool: jest.fn().mockImplementation((name, schema, handler) => {
+        toolHandlers[name] = handler;
+      }),
+    };
+
+    // Create mock Rally client
+    mockRallyClient = {
+      queryArtifacts: jest.fn(),
+      searchArtifacts: jest.fn(),
+      searchText: jest.fn(),
+      createArtifact: jest.fn(),
+      updateArtifact: jest.fn(),
+    };
+
+    // Register tool handlers
+    registerTools(mockServer as McpServer, mockRallyClient as RallyClient);
+  });
+
+  describe('queryArtifacts tool', () => {
+    it('should pass only the provided query parameters', async () => {
+      // Arrange
+      (mockRallyClient.queryArtifacts as jest.Mock).mockResolvedValue({
+        QueryResult: { TotalResultCount: 1, Results: [{ FormattedID: 'F12' }] },
+      });
+
+      // Act
+      const result = await toolHandlers.queryArtifacts({
+        type: 'portfolioitem/feature',
+        query: '(State.Name = "Developing")',
+        pageSize: 50,
+      });
+
+      // Assert
+      expect(result.isError).toBeFalsy();
+      expect(mockRallyClient.queryArtifacts).toHaveBeenCalledWith('portfolioitem/feature', {
+        query: '(State.Name = "Developing")',
+        pagesize: '50',
+      });
+      expect(result.content[0].text).toContain('F12');
+    });
+  });
+
+  describe('searchArtifacts tool', () => {
+    it('should return the generated query with the results', async () => {
+      // Arrange
+      const filter = { field: 'ScheduleState', operator: '=', value: 'Defined' };
+      (mockRallyClient.searchArtifacts as jest.Mock).mockResolvedValue({
+        query: '(ScheduleState = "Defined")',
+        result: { QueryResult: { TotalResultCount: 1, Results: [{ FormattedID: 'US12' }] } },
+      });
+
+      // Act
+      const result = await toolHandlers.searchArtifacts({ type: 'story', filter, order: 'Rank' });
+
+      // Assert
+      expect(result.isError).toBeFalsy();
+      expect(mockRallyClient.searchArtifacts).toHaveBeenCalledWith('story', filter, { order: 'Rank' });
+      expect(result.content[0].text).toContain('Query: (ScheduleState = "Defined")');
+      expect(result.content[0].text).toContain('US12');
+    });
+
+    it('should surface unknown fields and operators', async () => {
+      // Arrange
+      const errorMessage = 'Unknown field "Stat" on HierarchicalRequirement';
+      (mockRallyClient.searchArtifacts as jest.Mock).mockRejectedValue(new Error(errorMessage));
+
+      // Act
+      const result = await toolHandlers.searchArtifacts({
+        type: 'story',
+        filter: { field: 'Stat', operator: '=', value: 'Defined' },
+      });
+
+      // Assert
+      expect(result.isError).toBeTruthy();
+      expect(result.content[0].text).toContain(errorMessage);
+    });
+  });
+
+  describe('searchText tool', () => {
+    it('should return the ranked hits', async () => {
+      // Arrange
+      (mockRallyClient.searchText as jest.Mock).mockResolvedValue({
+        Text: 'sso login',
+        TotalHits: 1,
+        Hits: [{ Type: 'story', FormattedID: 'US7', Name: 'SSO login', Score: 30 }],
+      });
+
+      // Act
+      const result = await toolHandlers.searchText({ text: 'sso login', types: ['story'], limit: 5 });
+
+      // Assert
+      expect(result.isError).toBeFalsy();
+      expect(mockRallyClient.searchText).toHaveBeenCalledWith('sso login', { types: ['story'], limit: 5 });
+      expect(result.content[0].text).toContain('Found 1 artifacts matching "sso login"');
+      expect(result.content[0].text).toContain('US7');
+    });
+
+    it('should surface search errors', async () => {
+      // Arrange
+      (mockRallyClient.searchText as jest.Mock).mockRejectedValue(new Error('Search failed: timeout'));
+
+      // Act
+      const result = await toolHandlers.searchText({ text: 'sso' });
+
+      // Assert
+      expect(result.isError).toBeTruthy();
+      expect(result.content[0].text).toContain('Error searching text: Search failed: timeout');
+    });
+  });
+
+  describe('createArtifact tool', () => {
+    it('should create an artifact from a field map', async () => {
+      // Arrange
+      (mockRallyClient.createArtifact as jest.Mock).mockResolvedValue({ FormattedID: 'DE9', ObjectID: 909 });
+
+      // Act
+      const result = await toolHandlers.createArtifact({
+        type: 'defect',
+        fields: { Name: 'Crash on save', Severity: 'Crash/Data Loss' },
+      });
+
+      // Assert
+      expect(result.isError).toBeFalsy();
+      expect(mockRallyClient.createArtifact).toHaveBeenCalledWith('defect', {
+        Name: 'Crash on save',
+        Severity: 'Crash/Data Loss',
+      });
+      expect(result.content[0].text).toContain('Successfully created defect DE9 (ObjectID 909)');
+    });
+
+    it('should surface field validation errors', async () => {
+      // Arrange
+      const errorMessage = 'Invalid Defect fields: unknown field "Sevrity"';
+      (mockRallyClient.createArtifact as jest.Mock).mockRejectedValue(new Error(errorMessage));
+
+      // Act
+      const result = await toolHandlers.createArtifact({ type: 'defect', fields: { Sevrity: 'Major' } });
+
+      // Assert
+      expect(result.isError).toBeTruthy();
+      expect(result.content[0].text).toContain(errorMessage);
+    });
+  });
+
+  describe('updateArtifact tool', () => {
+    it('should return error when no fields provided', async () => {
+      // Act
+      const result = await toolHandlers.updateArtifact({ type: 'defect', id: '909', fields: {} });
+
+      // Assert
+      expect(result.isError).toBeTruthy();
+      expect(mockRallyClient.updateArtifact).not.toHaveBeenCalled();
+    });
+  });
+});
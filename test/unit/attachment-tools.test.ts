@@ -0,0 +1,110 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { registerTools } from '../../src/handlers/tools';
+import { RallyClient } from '../../src/rally/client';
+
+// Mock the Rally client
+jest.mock('../../src/rally/client');
+
+describe('Attachment Tools', () => {
+  let mockServer: Partial<McpServer>;
+  let mockRallyClient: Partial<RallyClient>;
+  let toolHandlers: Record<string, Function> = {};
+
+  beforeEach(() => {
+    // Reset the captured tool handlers
+    toolHandlers = {};
+
+    // Create mock server that captures tool handlers
+    mockServer = {
+      // Using any here to bypass the complex typing of the tool method
+      tool: jest.fn().mockImplementation((name, schema, handler) => {
+        toolHandlers[name] = handler;
+      }),
+    };
+
+    // Create mock Rally client
+    mockRallyClient = {
+      attachFile: jest.fn().mockResolvedValue({ ObjectID: 5150 }),
+    };
+
+    // Register tool handlers
+    registerTools(mockServer as McpServer, mockRallyClient as RallyClient);
+  });
+
+  describe('attachFile tool', () => {
+    it('should attach base64 content with a MIME type from the file name', async () => {
+      // Act
+      const result = await toolHandlers.attachFile({
+        artifactId: '4242',
+        artifactType: 'defect',
+        fileName: 'screenshot.png',
+        contentBase64: 'iVBORw0KGgo=',
+      });
+
+      // Assert
+      expect(result.isError).toBeFalsy();
+      expect(mockRallyClient.attachFile).toHaveBeenCalledWith('defect', '4242', {
+        name: 'screenshot.png',
+        contentType: 'image/png',
+        base64Content: 'iVBORw0KGgo=',
+        description: undefined,
+      });
+      expect(result.content[0].text).toContain('rally://attachment/5150');
+    });
+
+    it('should read and encode a local file', async () => {
+      // Arrange
+      const filePath = path.join(os.tmpdir(), `attach-test-${process.pid}.log`);
+      fs.writeFileSync(filePath, 'stack trace');
+
+      try {
+        // Act
+        const result = await toolHandlers.attachFile({
+          artifactId: '12345',
+          artifactType: 'story',
+          filePath,
+        });
+
+        // Assert
+        expect(result.isError).toBeFalsy();
+        expect(mockRallyClient.attachFile).toHaveBeenCalledWith('story', '12345', {
+          name: path.basename(filePath),
+          contentType: 'text/plain',
+          base64Content: Buffer.from('stack trace').toString('base64'),
+          description: undefined,
+        });
+      } finally {
+        fs.unlinkSync(filePath);
+      }
+    });
+
+    it('should require exactly one content source', async () => {
+      // Act
+      const result = await toolHandlers.attachFile({
+        artifactId: '12345',
+        artifactType: 'story',
+        fileName: 'notes.txt',
+      });
+
+      // Assert
+      expect(result.isError).toBeTruthy();
+      expect(mockRallyClient.attachFile).not.toHaveBeenCalled();
+    });
+
+    it('should require a file name for base64 content', async () => {
+      // Act
+      const result = await toolHandlers.attachFile({
+        artifactId: '12345',
+        artifactType: 'story',
+        contentBase64: 'aGVsbG8=',
+      });
+
+      // Assert
+      expect(result.isError).toBeTruthy();
+      expect(result.content[0].text).toContain('fileName is required');
+    });
+  });
+});
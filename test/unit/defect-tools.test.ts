@@ -0,0 +1,212 @@
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { registerTools } from '../../src/handlers/tools';
+import { RallyClient } from '../../src/rally/client';
+
+// Mock the Rally client
+jest.mock('../../src/rally/client');
+
+describe('Defect Tools', () => {
+  let mockServer: Partial<McpServer>;
+  let mockRallyClient: Partial<RallyClient>;
+  let toolHandlers: Record<string, Function> = {};
+
+  beforeEach(() => {
+    // Reset the captured tool handlers
+    toolHandlers = {};
+
+    // Create mock server that captures tool handlers
+    mockServer = {
+      // Using any here to bypass the complex typing of the tool method
+      tool: jest.fn().mockImplementation((name, schema, handler) => {
+        toolHandlers[name] = handler;
+      }),
+    };
+
+    // Create mock Rally client
+    mockRallyClient = {
+      createDefect: jest.fn(),
+      updateDefect: jest.fn(),
+      deleteDefect: jest.fn(),
+      validateCustomFields: jest.fn(),
+    };
+
+    // Register tool handlers
+    registerTools(mockServer as McpServer, mockRallyClient as RallyClient);
+  });
+
+  describe('createDefect tool', () => {
+    it('should create a defect with defect-specific fields', async () => {
+      // Arrange
+      const defectData = {
+        name: 'Login fails',
+        description: 'SSO login returns 500',
+        projectId: 'project123',
+        severity: 'Major Problem',
+        priority: 'High Attention',
+        state: 'Open',
+        environment: 'Production',
+        foundInBuild: '1.2.3',
+        requirementId: '12345',
+      };
+
+      (mockRallyClient.createDefect as jest.Mock).mockResolvedValue({
+        FormattedID: 'DE42',
+        ObjectID: 4242,
+        Name: 'Login fails',
+      });
+
+      // Act
+      const result = await toolHandlers.createDefect(defectData);
+
+      // Assert
+      expect(result.isError).toBeFalsy();
+      expect(result.content[0].text).toContain('DE42');
+      expect(mockRallyClient.createDefect).toHaveBeenCalledWith({
+        Name: 'Login fails',
+        Description: 'SSO login returns 500',
+        Project: { _ref: '/project/project123' },
+        Severity: 'Major Problem',
+        Priority: 'High Attention',
+        State: 'Open',
+        Environment: 'Production',
+        FoundInBuild: '1.2.3',
+        Requirement: { _ref: '/HierarchicalRequirement/12345' },
+      });
+    });
+
+    it('should merge validated custom fields', async () => {
+      // Arrange
+      (mockRallyClient.validateCustomFields as jest.Mock).mockResolvedValue({ c_Customer: 'Acme', c_SOX: true });
+      (mockRallyClient.createDefect as jest.Mock).mockResolvedValue({ FormattedID: 'DE43' });
+
+      // Act
+      const result = await toolHandlers.createDefect({
+        name: 'Audit log gap',
+        customFields: { customer: 'Acme', SOX: true },
+      });
+
+      // Assert
+      expect(result.isError).toBeFalsy();
+      expect(mockRallyClient.validateCustomFields).toHaveBeenCalledWith('defect', { customer: 'Acme', SOX: true });
+      expect(mockRallyClient.createDefect).toHaveBeenCalledWith({
+        Name: 'Audit log gap',
+        Description: undefined,
+        c_Customer: 'Acme',
+        c_SOX: true,
+      });
+    });
+
+    it('should not create a defect with invalid custom fields', async () => {
+      // Arrange
+      const errorMessage = 'Invalid custom fields for Defect: unknown custom field "Customr"';
+      (mockRallyClient.validateCustomFields as jest.Mock).mockRejectedValue(new Error(errorMessage));
+
+      // Act
+      const result = await toolHandlers.createDefect({ name: 'Audit log gap', customFields: { Customr: 'Acme' } });
+
+      // Assert
+      expect(result.isError).toBeTruthy();
+      expect(result.content[0].text).toContain(errorMessage);
+      expect(mockRallyClient.createDefect).not.toHaveBeenCalled();
+    });
+
+    it('should handle errors when creating a defect', async () => {
+      // Arrange
+      const errorMessage = 'Failed to create defect';
+      (mockRallyClient.createDefect as jest.Mock).mockRejectedValue(new Error(errorMessage));
+
+      // Act
+      const result = await toolHandlers.createDefect({ name: 'Broken' });
+
+      // Assert
+      expect(result.isError).toBeTruthy();
+      expect(result.content[0].text).toContain(errorMessage);
+    });
+  });
+
+  describe('updateDefect tool', () => {
+    it('should update a defect with provided fields', async () => {
+      // Arrange
+      (mockRallyClient.updateDefect as jest.Mock).mockResolvedValue({});
+
+      // Act
+      const result = await toolHandlers.updateDefect({
+        id: '4242',
+        state: 'Fixed',
+        fixedInBuild: '1.2.4',
+      });
+
+      // Assert
+      expect(result.isError).toBeFalsy();
+      expect(mockRallyClient.updateDefect).toHaveBeenCalledWith('4242', {
+        State: 'Fixed',
+        FixedInBuild: '1.2.4',
+      });
+    });
+
+    it('should report both identifiers of the updated defect', async () => {
+      // Arrange
+      (mockRallyClient.updateDefect as jest.Mock).mockResolvedValue({
+        OperationResult: { Object: { FormattedID: 'DE42', ObjectID: 4242 } },
+      });
+
+      // Act
+      const result = await toolHandlers.updateDefect({ id: 'DE42', state: 'Closed' });
+
+      // Assert
+      expect(mockRallyClient.updateDefect).toHaveBeenCalledWith('DE42', { State: 'Closed' });
+      expect(result.content[0].text).toContain('Successfully updated defect DE42 (ObjectID 4242)');
+    });
+
+    it('should unlink the requirement when given an empty requirementId', async () => {
+      // Arrange
+      (mockRallyClient.updateDefect as jest.Mock).mockResolvedValue({});
+
+      // Act
+      await toolHandlers.updateDefect({ id: '4242', requirementId: '' });
+
+      // Assert
+      expect(mockRallyClient.updateDefect).toHaveBeenCalledWith('4242', {
+        Requirement: null,
+      });
+    });
+
+    it('should return error when no update fields provided', async () => {
+      // Act
+      const result = await toolHandlers.updateDefect({ id: '4242' });
+
+      // Assert
+      expect(result.isError).toBeTruthy();
+      expect(result.content[0].text).toContain('No fields provided for update');
+      expect(mockRallyClient.updateDefect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteDefect tool', () => {
+    it('should delete a defect successfully', async () => {
+      // Arrange
+      (mockRallyClient.deleteDefect as jest.Mock).mockResolvedValue({ success: true });
+
+      // Act
+      const result = await toolHandlers.deleteDefect({ id: '4242' });
+
+      // Assert
+      expect(result.isError).toBeFalsy();
+      expect(mockRallyClient.deleteDefect).toHaveBeenCalledWith('4242');
+      expect(result.content[0].text).toContain('Successfully deleted defect 4242');
+    });
+
+    it('should handle errors when deleting a defect', async () => {
+      // Arrange
+      const errorMessage = 'Failed to delete defect';
+      (mockRallyClient.deleteDefect as jest.Mock).mockRejectedValue(new Error(errorMessage));
+
+      // Act
+      const result = await toolHandlers.deleteDefect({ id: '4242' });
+
+      // Assert
+      expect(result.isError).toBeTruthy();
+      expect(result.content[0].text).toContain(errorMessage);
+    });
+  });
+});
@@ -0,0 +1,420 @@
+import axios from 'axios';
+import { RallyClient } from '../../src/rally/client';
+import { Config } from '../../src/config';
+import { registerResources } from '../../src/handlers/resources';
+import {
+  DependencyNode,
+  findCriticalPath,
+  findCycles,
+  findScheduleConflicts,
+  renderDot,
+  renderMermaid
+} from '../../src/rally/dependencies';
+
+// Mock axios
+jest.mock('axios', () => {
+  return {
+    create: jest.fn(() => ({
+      get: jest.fn(),
+      post: jest.fn(),
+      delete: jest.fn()
+    })),
+    isAxiosError: jest.fn().mockReturnValue(false)
+  };
+});
+const mockAxios = axios as jest.Mocked<typeof axios>;
+
+function node(FormattedID: string, PlanEstimate?: number, EndDate?: string): DependencyNode {
+  return {
+    FormattedID,
+    ObjectID: parseInt(FormattedID.replace(/\D/g, ''), 10),
+    Type: 'HierarchicalRequirement',
+    Name: FormattedID,
+    PlanEstimate,
+    ...(EndDate && { Iteration: { Name: `Sprint ending ${EndDate}`, EndDate } }),
+    Depth: 0
+  };
+}
+
+describe('dependency analysis', () => {
+  it('should pick the chain carrying the most plan estimate', () => {
+    const nodes = new Map(['US1', 'US2', 'US3', 'US4'].map((id, i) => [id, node(id, [1, 2, 8, 3][i])]));
+    const edges = [
+      { From: 'US1', To: 'US2' },
+      { From: 'US1', To: 'US3' },
+      { From: 'US2', To: 'US4' },
+      { From: 'US3', To: 'US4' }
+    ];
+
+    expect(findCriticalPath(nodes, edges)).toEqual({ Path: ['US1', 'US3', 'US4'], Estimate: 12 });
+  });
+
+  it('should leave cycles out of the critical path', () => {
+    const nodes = new Map(['US1', 'US2', 'US3'].map((id) => [id, node(id, 1)]));
+    const edges = [
+      { From: 'US1', To: 'US2' },
+      { From: 'US2', To: 'US3' },
+      { From: 'US3', To: 'US2' }
+    ];
+
+    expect(findCriticalPath(nodes, edges)).toEqual({ Path: [], Estimate: 0 });
+  });
+
+  it('should find every dependency loop in dependency order', () => {
+    const nodes = new Map(['US1', 'US2', 'US3', 'US4', 'US5'].map((id) => [id, node(id)]));
+    const edges = [
+      { From: 'US2', To: 'US3' },
+      { From: 'US3', To: 'US1' },
+      { From: 'US1', To: 'US2' },
+      { From: 'US3', To: 'US4' },
+      { From: 'US5', To: 'US5' }
+    ];
+
+    expect(findCycles(nodes, edges)).toEqual(expect.arrayContaining([
+      ['US1', 'US2', 'US3', 'US1'],
+      ['US5', 'US5']
+    ]));
+    expect(findCycles(nodes, edges)).toHaveLength(2);
+    expect(findCycles(nodes, edges.slice(0, 2))).toEqual([]);
+  });
+
+  it('should flag successors due before their predecessors', () => {
+    const nodes = new Map([
+      ['US1', node('US1', 1, '2026-03-14')],
+      ['US2', node('US2', 1, '2026-02-28')],
+      ['US3', node('US3', 1)]
+    ]);
+
+    expect(findScheduleConflicts(nodes, [{ From: 'US1', To: 'US2' }, { From: 'US1', To: 'US3' }])).toEqual([
+      { Predecessor: 'US1', Successor: 'US2', PredecessorEnds: '2026-03-14', SuccessorEnds: '2026-02-28' }
+    ]);
+  });
+});
+
+describe('RallyClient traceDependencies', () => {
+  let client: RallyClient;
+  let mockGet: jest.Mock;
+  const mockConfig: Config = {
+    rallyApiKey: 'test-api-key',
+    rallyWorkspace: 'test-workspace',
+    port: 3000,
+    logLevel: 'info',
+    requestTimeout: 60000
+  };
+  const story = (id: number, predecessors: number, successors: number, extra: Record<string, any> = {}) => ({
+    _type: 'HierarchicalRequirement',
+    ObjectID: id,
+    FormattedID: `US${id}`,
+    Name: `Story ${id}`,
+    ScheduleState: 'Defined',
+    Predecessors: { Count: predecessors },
+    Successors: { Count: successors },
+    ...extra
+  });
+  // US1 -> US2 -> US3 -> US4, and US5 -> US2 from another project
+  const stories: Record<number, any> = {
+    1: story(1, 0, 1, { PlanEstimate: 3, Iteration: { _refObjectName: 'Sprint 2', EndDate: '2026-03-14' } }),
+    2: story(2, 2, 1, { PlanEstimate: 5, Iteration: { _refObjectName: 'Sprint 1', EndDate: '2026-02-28' } }),
+    3: story(3, 1, 1, { PlanEstimate: 2 }),
+    4: story(4, 1, 0),
+    5: story(5, 0, 1, { Project: { _refObjectName: 'Platform' } })
+  };
+  const links: Record<string, number[]> = {
+    '2/Predecessors': [1, 5],
+    '2/Successors': [3],
+    '1/Predecessors': [],
+    '5/Predecessors': [],
+    '3/Successors': [4]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGet = jest.fn();
+    mockAxios.create.mockReturnValue({ get: mockGet, post: jest.fn(), delete: jest.fn() } as any);
+
+    client = new RallyClient(mockConfig);
+    // Skip credential validation
+    (client as any).workspaceRef = '/workspace/1';
+
+    mockGet.mockImplementation((url: string) => {
+      const collection = /^\/HierarchicalRequirement\/(\d+)\/(Predecessors|Successors)$/.exec(url);
+      if (collection) {
+        const ids = links[`${collection[1]}/${collection[2]}`] || [];
+        return Promise.resolve({ data: { QueryResult: { Results: ids.map((id) => stories[id]) } } });
+      }
+      const single = /^\/HierarchicalRequirement\/(\d+)$/.exec(url);
+      if (single) {
+        return Promise.resolve({ data: { HierarchicalRequirement: stories[Number(single[1])] } });
+      }
+      // FormattedID lookups
+      return Promise.resolve({ data: { QueryResult: { Results: [stories[2]] } } });
+    });
+  });
+
+  it('should walk upstream and downstream and analyze the graph', async () => {
+    const graph = await client.traceDependencies('US2', 5);
+
+    expect(graph.Nodes.map((n) => n.FormattedID).sort()).toEqual(['US1', 'US2', 'US3', 'US4', 'US5']);
+    expect(graph.Edges.map((e) => `${e.From}>${e.To}`).sort()).toEqual(['US1>US2', 'US2>US3', 'US3>US4', 'US5>US2']);
+    expect(graph.CriticalPath).toEqual(['US1', 'US2', 'US3', 'US4']);
+    expect(graph.CriticalPathEstimate).toBe(10);
+    expect(graph.Misscheduled).toEqual([
+      { Predecessor: 'US1', Successor: 'US2', PredecessorEnds: '2026-03-14', SuccessorEnds: '2026-02-28' }
+    ]);
+    expect(graph.Edges.find((e) => e.From === 'US1')!.Misscheduled).toBe(true);
+    expect(graph.Nodes.find((n) => n.FormattedID === 'US5')).toMatchObject({ Project: 'Platform', Depth: 1 });
+    expect(graph.Truncated).toBe(false);
+    // Upstream artifacts are not asked for their successors
+    expect(mockGet).not.toHaveBeenCalledWith('/HierarchicalRequirement/1/Successors', expect.anything());
+  });
+
+  it('should stop at the requested depth and say so', async () => {
+    const graph = await client.traceDependencies('US2', 1);
+
+    expect(graph.Nodes.map((n) => n.FormattedID).sort()).toEqual(['US1', 'US2', 'US3', 'US5']);
+    expect(graph.Truncated).toBe(true);
+    expect(graph.TruncatedBy).toEqual(['depth']);
+  });
+
+  it('should leave out edges to artifacts beyond the node limit', async () => {
+    const lookup = mockGet.getMockImplementation()!;
+    mockGet.mockImplementation((url: string, options: any) => url === '/HierarchicalRequirement/2/Predecessors'
+      ? Promise.resolve({
+        data: { QueryResult: { Results: Array.from({ length: 300 }, (_, i) => story(1000 + i, 0, 1)) } }
+      })
+      : lookup(url, options));
+
+    const graph = await client.traceDependencies('US2', 1);
+    const ids = new Set(graph.Nodes.map((n) => n.FormattedID));
+
+    expect(ids.size).toBe(250);
+    expect(graph.Edges.every((e) => ids.has(e.From) && ids.has(e.To))).toBe(true);
+    expect(graph.Truncated).toBe(true);
+    expect(graph.TruncatedBy).toContain('nodes');
+  });
+
+  it('should page through a long dependency collection and flag one too long to read', async () => {
+    const lookup = mockGet.getMockImplementation()!;
+    mockGet.mockImplementation((url: string, options: any) => {
+      if (url !== '/HierarchicalRequirement/2/Successors') {
+        return lookup(url, options);
+      }
+      const start = parseInt(options.params.start, 10);
+      const pageSize = parseInt(options.params.pagesize, 10);
+      const results = [];
+      for (let i = start; i < start + pageSize && i <= 1200; i++) {
+        results.push(story(1000 + i, 1, 0));
+      }
+      return Promise.resolve({ data: { QueryResult: { TotalResultCount: 1200, StartIndex: start, Results: results } } });
+    });
+
+    const graph = await client.traceDependencies('US2', 1);
+
+    expect(mockGet).toHaveBeenCalledWith('/HierarchicalRequirement/2/Successors', expect.objectContaining({
+      params: expect.objectContaining({ start: '1', pagesize: '1000' })
+    }));
+    expect(graph.Truncated).toBe(true);
+    expect(graph.TruncatedBy).toEqual(expect.arrayContaining(['collection', 'nodes']));
+  });
+
+  it('should reject artifacts without dependencies', async () => {
+    mockGet.mockResolvedValue({ data: { QueryResult: { Results: [{ ObjectID: 9, FormattedID: 'TA9', _type: 'Task' }] } } });
+
+    await expect(client.traceDependencies('TA9')).rejects.toThrow(
+      'TA9 is a Task; only stories and portfolio items have Predecessors and Successors'
+    );
+  });
+});
+
+describe('RallyClient auditDependencies', () => {
+  let client: RallyClient;
+  let mockGet: jest.Mock;
+  const mockConfig: Config = {
+    rallyApiKey: 'test-api-key',
+    rallyWorkspace: 'test-workspace',
+    rallyProject: '42',
+    port: 3000,
+    logLevel: 'info',
+    requestTimeout: 60000
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGet = jest.fn();
+    mockAxios.create.mockReturnValue({ get: mockGet, post: jest.fn(), delete: jest.fn() } as any);
+
+    client = new RallyClient(mockConfig);
+    // Skip credential validation
+    (client as any).workspaceRef = '/workspace/1';
+  });
+
+  it('should report loops and mis-scheduled dependencies in a release, including outside predecessors', async () => {
+    const story = (id: number, successors: number[], predecessors: number[], EndDate?: string) => ({
+      _type: 'HierarchicalRequirement',
+      ObjectID: id,
+      FormattedID: `US${id}`,
+      Name: `Story ${id}`,
+      Predecessors: { Count: predecessors.length },
+      Successors: { Count: successors.length },
+      ...(EndDate && { Iteration: { _refObjectName: 'Sprint', EndDate } })
+    });
+    // US1 <-> US2 loop; US3 depends on US9 from another team's later sprint
+    const inRelease = [story(1, [2], [2]), story(2, [1], [1]), story(3, [], [9], '2026-03-01')];
+    const outside = story(9, [3], [], '2026-04-01');
+    const links: Record<string, any[]> = {
+      '1/Successors': [inRelease[1]],
+      '1/Predecessors': [inRelease[1]],
+      '2/Successors': [inRelease[0]],
+      '2/Predecessors': [inRelease[0]],
+      '3/Predecessors': [outside]
+    };
+    mockGet.mockImplementation((url: string) => {
+      const collection = /^\/HierarchicalRequirement\/(\d+)\/(\w+)$/.exec(url);
+      if (collection) {
+        return Promise.resolve({ data: { QueryResult: { Results: links[`${collection[1]}/${collection[2]}`] || [] } } });
+      }
+      return Promise.resolve({ data: { QueryResult: { TotalResultCount: 3, Results: inRelease } } });
+    });
+
+    const audit = await client.auditDependencies({ release: 'Q1 2026' });
+
+    expect(mockGet).toHaveBeenCalledWith('/HierarchicalRequirement', {
+      params: expect.objectContaining({
+        project: '/project/42',
+        projectScopeDown: 'true',
+        query: '(Release.Name = "Q1 2026")'
+      })
+    });
+    expect(audit).toMatchObject({
+      Scope: { Type: 'HierarchicalRequirement', Project: '42', Release: 'Q1 2026' },
+      Artifacts: 3,
+      Dependencies: 3,
+      Cycles: [['US1', 'US2', 'US1']],
+      Misscheduled: [{ Predecessor: 'US9', Successor: 'US3', PredecessorEnds: '2026-04-01', SuccessorEnds: '2026-03-01' }],
+      Truncated: false
+    });
+  });
+
+  it('should reject types without dependencies', async () => {
+    await expect(client.auditDependencies({ type: 'defect' })).rejects.toThrow(
+      'Cannot audit Defect; only stories and portfolio items have Predecessors and Successors'
+    );
+  });
+});
+
+describe('dependency graph rendering', () => {
+  const nodes = new Map<string, DependencyNode>([
+    ['US1', { ...node('US1'), Name: 'Login "SSO"', State: 'Accepted', Project: 'Platform' }],
+    ['US2', { ...node('US2'), Name: 'Profile page', State: 'Defined', Project: 'Web' }],
+    ['F3', { ...node('F3'), Type: 'PortfolioItem/Feature', Name: 'Accounts' }]
+  ]);
+  const edges = [{ From: 'US1', To: 'US2' }, { From: 'F3', To: 'US2' }];
+  const conflicts = [{ Predecessor: 'F3', Successor: 'US2', PredecessorEnds: '2026-04-01', SuccessorEnds: '2026-03-01' }];
+
+  it('should render a Mermaid flowchart colored by project', () => {
+    const mermaid = renderMermaid('Dependencies of US2', nodes, edges, conflicts);
+
+    expect(mermaid.split('\n')).toEqual([
+      '---',
+      'title: "Dependencies of US2"',
+      '---',
+      'flowchart LR',
+      '  US1["US1: Login #quot;SSO#quot;<br/>Accepted"]:::project1',
+      '  US2["US2: Profile page<br/>Defined"]:::project2',
+      '  F3["F3: Accounts"]:::project0',
+      '  US1 --> US2',
+      '  F3 -->|mis-scheduled| US2',
+      '  subgraph legend [Projects]',
+      '    legend_project0["No project"]:::project0',
+      '    legend_project1["Platform"]:::project1',
+      '    legend_project2["Web"]:::project2',
+      '  end',
+      '  classDef project0 fill:#cfe2ff,stroke:#555,color:#000',
+      '  classDef project1 fill:#d1e7dd,stroke:#555,color:#000',
+      '  classDef project2 fill:#fff3cd,stroke:#555,color:#000',
+      '  linkStyle 1 stroke:#d62728,stroke-width:2px'
+    ]);
+  });
+
+  it('should quote the Mermaid title so any iteration or release name is valid front matter', () => {
+    const mermaid = renderMermaid('Sprint 4: "Hardening" \\ #2', nodes, edges);
+
+    expect(mermaid.split('\n')[1]).toBe('title: "Sprint 4: \\"Hardening\\" \\\\ #2"');
+  });
+
+  it('should render Graphviz DOT colored by project', () => {
+    const dot = renderDot('Dependencies of US2', nodes, edges, conflicts);
+
+    expect(dot).toContain('digraph "Dependencies of US2" {');
+    expect(dot).toContain('  "US1" [label="US1: Login \\"SSO\\"\\nAccepted", fillcolor="#d1e7dd"];');
+    expect(dot).toContain('  "US1" -> "US2";');
+    expect(dot).toContain('  "F3" -> "US2" [color="#d62728", penwidth=2, label="mis-scheduled"];');
+    expect(dot).toContain('    legend2 [label="Web", fillcolor="#fff3cd"];');
+    expect(dot.trim().endsWith('}')).toBe(true);
+  });
+});
+
+describe('RallyClient exportDependencyGraph', () => {
+  let client: RallyClient;
+  let mockGet: jest.Mock;
+  const mockConfig: Config = {
+    rallyApiKey: 'test-api-key',
+    rallyWorkspace: 'test-workspace',
+    port: 3000,
+    logLevel: 'info',
+    requestTimeout: 60000
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGet = jest.fn();
+    mockAxios.create.mockReturnValue({ get: mockGet, post: jest.fn(), delete: jest.fn() } as any);
+
+    client = new RallyClient(mockConfig);
+    // Skip credential validation
+    (client as any).workspaceRef = '/workspace/1';
+  });
+
+  it('should render the stories of an iteration with their dependencies', async () => {
+    const stories = [
+      { _type: 'HierarchicalRequirement', ObjectID: 1, FormattedID: 'US1', Name: 'One', Successors: { Count: 1 } },
+      { _type: 'HierarchicalRequirement', ObjectID: 2, FormattedID: 'US2', Name: 'Two' }
+    ];
+    mockGet.mockImplementation((url: string) => Promise.resolve({
+      data: { QueryResult: { TotalResultCount: 2, Results: url === '/HierarchicalRequirement/1/Successors' ? [stories[1]] : url.includes('/1/') ? [] : stories } }
+    }));
+
+    const exported = await client.exportDependencyGraph({ iteration: 'Sprint 5' }, 'dot');
+
+    expect(mockGet).toHaveBeenCalledWith('/HierarchicalRequirement', {
+      params: expect.objectContaining({ query: '(Iteration.Name = "Sprint 5")' })
+    });
+    expect(exported).toMatchObject({ Title: 'Dependencies in iteration Sprint 5', Format: 'dot', Nodes: 2, Edges: 1 });
+    expect(exported.Graph).toContain('"US1" -> "US2";');
+  });
+
+  it('should need exactly one scope', async () => {
+    await expect(client.exportDependencyGraph({ iteration: '5', release: 'Q1' }))
+      .rejects.toThrow('Give exactly one of an artifact ID, an iteration or a release');
+  });
+});
+
+describe('dependencies resource', () => {
+  it('should read the artifact ID and depth from the URI', async () => {
+    const rallyClient = { traceDependencies: jest.fn().mockResolvedValue({ Root: 'US2', Nodes: [], Edges: [] }) };
+    const resources: Record<string, Function> = {};
+    const server = {
+      resource: jest.fn((name: string, _uri: any, callback: Function) => {
+        resources[name] = callback;
+      })
+    };
+    registerResources(server as any, rallyClient as any);
+
+    const result: any = await resources.dependencies(new URL('rally://dependencies/US2?depth=2'), { id: 'US2?depth=2' }, {});
+    await resources.dependencies(new URL('rally://dependencies/US2'), { id: 'US2' }, {});
+
+    expect(rallyClient.traceDependencies).toHaveBeenNthCalledWith(1, 'US2', 2);
+    expect(rallyClient.traceDependencies).toHaveBeenNthCalledWith(2, 'US2', undefined);
+    expect(result.contents[0].uri).toBe('rally://dependencies/US2');
+  });
+});
@@ -0,0 +1,99 @@
+import axios from 'axios';
+import { RallyClient } from '../../src/rally/client';
+
+// Mock axios
+jest.mock('axios', () => {
+  return {
+    create: jest.fn(() => ({
+      get: jest.fn(),
+      post: jest.fn(),
+      delete: jest.fn()
+    })),
+    isAxiosError: jest.fn().mockReturnValue(false)
+  };
+});
+const mockAxios = axios as jest.Mocked<typeof axios>;
+
+describe('RallyClient FormattedID addressing', () => {
+  let client: RallyClient;
+  let mockGet: jest.Mock;
+  let mockPost: jest.Mock;
+
+  // FormattedID lookups answered by the mocked WSAPI, keyed by endpoint
+  const artifacts: Record<string, any[]> = {
+    '/HierarchicalRequirement': [{ ObjectID: 1234, FormattedID: 'US12', _type: 'HierarchicalRequirement' }],
+    '/Defect': [{ ObjectID: 4242, FormattedID: 'DE42', _type: 'Defect' }],
+    '/artifact': [{ ObjectID: 777, FormattedID: 'CAP3', _type: 'PortfolioItem/Capability' }]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGet = jest.fn().mockImplementation((url: string) => Promise.resolve({
+      data: { QueryResult: { Results: artifacts[url] || [] } }
+    }));
+    mockPost = jest.fn().mockResolvedValue({ data: { CreateResult: { Object: { ObjectID: 1 } } } });
+    mockAxios.create.mockReturnValue({ get: mockGet, post: mockPost, delete: jest.fn() } as any);
+
+    client = new RallyClient({
+      rallyApiKey: 'test-api-key',
+      rallyWorkspace: 'test-workspace',
+      port: 3000,
+      logLevel: 'info',
+      requestTimeout: 60000
+    });
+    // Skip credential validation
+    (client as any).workspaceRef = '/workspace/1';
+  });
+
+  it('should resolve a FormattedID through the endpoint of its prefix', async () => {
+    const artifact = await client.resolveArtifact('us12');
+
+    expect(artifact).toEqual({ ObjectID: '1234', FormattedID: 'US12', TypePath: 'HierarchicalRequirement' });
+    expect(mockGet).toHaveBeenCalledWith('/HierarchicalRequirement', expect.objectContaining({
+      params: expect.objectContaining({ query: '(FormattedID = "US12")' })
+    }));
+  });
+
+  it('should fall back to the Artifact endpoint for unknown prefixes', async () => {
+    const artifact = await client.resolveArtifact('CAP3');
+
+    expect(artifact.TypePath).toBe('PortfolioItem/Capability');
+    expect(mockGet).toHaveBeenCalledTimes(1);
+  });
+
+  it('should cache resolved FormattedIDs', async () => {
+    await client.resolveArtifact('US12');
+    await client.resolveArtifact('US12');
+
+    expect(mockGet).toHaveBeenCalledTimes(1);
+  });
+
+  it('should pass ObjectIDs through without a lookup', async () => {
+    expect(await client.resolveObjectId('1234', 'story')).toBe('1234');
+    expect(mockGet).not.toHaveBeenCalled();
+  });
+
+  it('should reject a FormattedID of another type', async () => {
+    await expect(client.getStory('DE42')).rejects.toThrow('DE42 is a Defect, not a HierarchicalRequirement');
+  });
+
+  it('should address stories by FormattedID', async () => {
+    await client.updateStory('US12', { Name: 'Renamed' });
+
+    expect(mockPost).toHaveBeenCalledWith('/HierarchicalRequirement/1234', {
+      HierarchicalRequirement: { Name: 'Renamed' }
+    });
+  });
+
+  it('should resolve FormattedIDs inside refs', async () => {
+    await client.createDefect({ Name: 'Crash', Requirement: { _ref: '/HierarchicalRequirement/US12' } });
+
+    expect(mockPost.mock.calls[0][1].Defect.Requirement).toEqual({ _ref: '/HierarchicalRequirement/1234' });
+  });
+
+  it('should let the FormattedID decide the artifact type', async () => {
+    await client.addComment('story', 'DE42', 'Reproduced');
+
+    expect(mockPost.mock.calls[0][1].ConversationPost.Artifact).toEqual({ _ref: '/Defect/4242' });
+  });
+});
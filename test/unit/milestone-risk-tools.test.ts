@@ -0,0 +1,146 @@
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { registerTools } from '../../src/handlers/tools';
+import { RallyClient } from '../../src/rally/client';
+
+// Mock the Rally client
+jest.mock('../../src/rally/client');
+
+describe('Milestone and Risk Tools', () => {
+  let mockServer: Partial<McpServer>;
+  let mockRallyClient: Partial<RallyClient>;
+  let toolHandlers: Record<string, Function> = {};
+
+  beforeEach(() => {
+    // Reset the captured tool handlers
+    toolHandlers = {};
+
+    // Create mock server that captures tool handlers
+    mockServer = {
+      // Using any here to bypass the complex typing of the tool method
+      tool: jest.fn().mockImplementation((name, schema, handler) => {
+        toolHandlers[name] = handler;
+      }),
+    };
+
+    // Create mock Rally client
+    mockRallyClient = {
+      createMilestone: jest.fn(),
+      updateMilestone: jest.fn(),
+      linkMilestone: jest.fn(),
+      createRisk: jest.fn(),
+      updateRisk: jest.fn(),
+      deleteRisk: jest.fn(),
+    };
+
+    // Register tool handlers
+    registerTools(mockServer as McpServer, mockRallyClient as RallyClient);
+  });
+
+  describe('createMilestone tool', () => {
+    it('should create a milestone with a target date and project', async () => {
+      // Arrange
+      (mockRallyClient.createMilestone as jest.Mock).mockResolvedValue({ FormattedID: 'MI7', ObjectID: 707 });
+
+      // Act
+      const result = await toolHandlers.createMilestone({
+        name: 'Beta gate',
+        targetDate: '2024-06-30',
+        projectId: 'project123',
+      });
+
+      // Assert
+      expect(result.isError).toBeFalsy();
+      expect(mockRallyClient.createMilestone).toHaveBeenCalledWith({
+        Name: 'Beta gate',
+        TargetDate: '2024-06-30',
+        TargetProject: { _ref: '/project/project123' },
+      });
+      expect(result.content[0].text).toContain('MI7');
+    });
+  });
+
+  describe('updateMilestone tool', () => {
+    it('should return error when no update fields provided', async () => {
+      // Act
+      const result = await toolHandlers.updateMilestone({ id: '707' });
+
+      // Assert
+      expect(result.isError).toBeTruthy();
+      expect(mockRallyClient.updateMilestone).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('linkMilestone tool', () => {
+    it('should add an artifact to a milestone', async () => {
+      // Arrange
+      (mockRallyClient.linkMilestone as jest.Mock).mockResolvedValue({});
+
+      // Act
+      const result = await toolHandlers.linkMilestone({
+        milestoneId: '707',
+        artifactId: '555',
+        artifactType: 'feature',
+        unlink: false,
+      });
+
+      // Assert
+      expect(result.isError).toBeFalsy();
+      expect(mockRallyClient.linkMilestone).toHaveBeenCalledWith('add', 'feature', '555', '707');
+    });
+
+    it('should remove an artifact from a milestone when unlink is set', async () => {
+      // Arrange
+      (mockRallyClient.linkMilestone as jest.Mock).mockResolvedValue({});
+
+      // Act
+      const result = await toolHandlers.linkMilestone({
+        milestoneId: '707',
+        artifactId: '12345',
+        artifactType: 'story',
+        unlink: true,
+      });
+
+      // Assert
+      expect(mockRallyClient.linkMilestone).toHaveBeenCalledWith('remove', 'story', '12345', '707');
+      expect(result.content[0].text).toContain('removed story 12345 from milestone 707');
+    });
+  });
+
+  describe('createRisk tool', () => {
+    it('should create a risk with an owner', async () => {
+      // Arrange
+      (mockRallyClient.createRisk as jest.Mock).mockResolvedValue({ FormattedID: 'RI3' });
+
+      // Act
+      const result = await toolHandlers.createRisk({
+        name: 'Vendor API delay',
+        owner: 'jane@example.com',
+        impact: 'High',
+      });
+
+      // Assert
+      expect(result.isError).toBeFalsy();
+      expect(mockRallyClient.createRisk).toHaveBeenCalledWith({
+        Name: 'Vendor API delay',
+        Description: undefined,
+        Owner: 'jane@example.com',
+        Impact: 'High',
+      });
+    });
+  });
+
+  describe('deleteRisk tool', () => {
+    it('should handle errors when deleting a risk', async () => {
+      // Arrange
+      const errorMessage = 'Failed to delete risk 9';
+      (mockRallyClient.deleteRisk as jest.Mock).mockRejectedValue(new Error(errorMessage));
+
+      // Act
+      const result = await toolHandlers.deleteRisk({ id: '9' });
+
+      // Assert
+      expect(result.isError).toBeTruthy();
+      expect(result.content[0].text).toContain(errorMessage);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+import axios from 'axios';
+import { RallyClient } from '../../src/rally/client';
+
+// Mock axios
+jest.mock('axios', () => {
+  return {
+    create: jest.fn(() => ({
+      get: jest.fn(),
+      post: jest.fn(),
+      delete: jest.fn()
+    })),
+    isAxiosError: jest.fn().mockReturnValue(false)
+  };
+});
+const mockAxios = axios as jest.Mocked<typeof axios>;
+
+describe('RallyClient getMilestone', () => {
+  let client: RallyClient;
+  let mockGet: jest.Mock;
+
+  /**
+   * Answer the milestone read and pages of its `total` linked stories, every one ending a week after the TargetDate
+   */
+  function milestoneWith(total: number) {
+    mockGet.mockImplementation((url: string, { params }: any) => {
+      if (url === '/Milestone/42') {
+        return Promise.resolve({ data: { Milestone: { ObjectID: 42, Name: 'GA', TargetDate: '2026-03-01' } } });
+      }
+      const start = parseInt(params.start, 10);
+      const results = [];
+      for (let i = start; i < start + parseInt(params.pagesize, 10) && i <= total; i++) {
+        results.push({ ObjectID: i, FormattedID: `US${i}`, _type: 'HierarchicalRequirement', Iteration: { EndDate: '2026-03-08' } });
+      }
+      return Promise.resolve({ data: { QueryResult: { TotalResultCount: total, StartIndex: start, Results: results } } });
+    });
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGet = jest.fn();
+    mockAxios.create.mockReturnValue({ get: mockGet, post: jest.fn(), delete: jest.fn() } as any);
+
+    client = new RallyClient({
+      rallyApiKey: 'test-api-key',
+      rallyWorkspace: 'test-workspace',
+      port: 3000,
+      logLevel: 'info',
+      requestTimeout: 60000
+    });
+    // Skip credential validation
+    (client as any).workspaceRef = '/workspace/1';
+  });
+
+  it('should count every linked artifact in the slippage summary', async () => {
+    milestoneWith(450);
+
+    const milestone = await client.getMilestone('42');
+
+    expect(milestone.Artifacts).toHaveLength(450);
+    expect(milestone.Slippage).toMatchObject({ OpenArtifacts: 450, SlippingArtifacts: 450, MaxSlipDays: 7 });
+    expect(milestone.Truncated).toBe(false);
+  });
+
+  it('should flag a milestone with more artifacts than are read', async () => {
+    milestoneWith(1200);
+
+    const milestone = await client.getMilestone('42');
+
+    expect(milestone.Artifacts).toHaveLength(1000);
+    expect(milestone.Truncated).toBe(true);
+  });
+});
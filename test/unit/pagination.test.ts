@@ -0,0 +1,183 @@
+import { fetchAllPages, DEFAULT_MAX_RESULTS } from '../../src/rally/pagination';
+import { registerResources } from '../../src/handlers/resources';
+import { RallyClient } from '../../src/rally/client';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+
+jest.mock('../../src/rally/client');
+
+/**
+ * A fake Rally query over `total` stories that answers any start/pagesize
+ */
+function rallyQuery(total: number) {
+  return jest.fn(async (queryParams: Record<string, string> = {}) => {
+    const start = parseInt(queryParams.start, 10);
+    const pageSize = parseInt(queryParams.pagesize, 10);
+    const results = [];
+    for (let i = start; i < start + pageSize && i <= total; i++) {
+      results.push({ ObjectID: i });
+    }
+    return { QueryResult: { TotalResultCount: total, StartIndex: start, PageSize: pageSize, Results: results } };
+  });
+}
+
+describe('fetchAllPages', () => {
+  it('should walk every page and keep Rally order', async () => {
+    const fetchPage = rallyQuery(45);
+
+    const response = await fetchAllPages(fetchPage, { pagesize: '10', query: '(Blocked = true)' });
+
+    expect(fetchPage).toHaveBeenCalledTimes(5);
+    expect(fetchPage).toHaveBeenNthCalledWith(1, { query: '(Blocked = true)', start: '1', pagesize: '10' });
+    expect(response.QueryResult.Results.map((story: any) => story.ObjectID))
+      .toEqual(Array.from({ length: 45 }, (_, i) => i + 1));
+    expect(response.QueryResult).toMatchObject({ TotalResultCount: 45, StartIndex: 1, PageSize: 45, Truncated: false });
+  });
+
+  it('should request the remaining pages concurrently once the total is known', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const query = rallyQuery(100);
+    const fetchPage = async (queryParams: Record<string, string>) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      inFlight--;
+      return query(queryParams);
+    };
+
+    const response = await fetchAllPages(fetchPage, { pagesize: '10' });
+
+    expect(response.QueryResult.Results).toHaveLength(100);
+    expect(maxInFlight).toBe(4);
+  });
+
+  it('should stop at the default cap and report truncation', async () => {
+    const fetchPage = rallyQuery(5000);
+
+    const response = await fetchAllPages(fetchPage);
+
+    expect(fetchPage).toHaveBeenCalledTimes(1);
+    expect(fetchPage).toHaveBeenCalledWith({ start: '1', pagesize: String(DEFAULT_MAX_RESULTS) });
+    expect(response.QueryResult.Results).toHaveLength(DEFAULT_MAX_RESULTS);
+    expect(response.QueryResult.Truncated).toBe(true);
+  });
+
+  it('should honour maxResults, start and progress', async () => {
+    const fetchPage = rallyQuery(100);
+    const onProgress = jest.fn();
+
+    const response = await fetchAllPages(fetchPage, { start: '11', pageSize: '20' }, { maxResults: 50, onProgress });
+
+    expect(response.QueryResult.Results[0].ObjectID).toBe(11);
+    expect(response.QueryResult.Results).toHaveLength(50);
+    expect(response.QueryResult.StartIndex).toBe(11);
+    expect(onProgress.mock.calls).toEqual([[20, 50], [40, 50], [50, 50]]);
+  });
+
+  it('should stop when the request is cancelled', async () => {
+    const controller = new AbortController();
+    const fetchPage = rallyQuery(100);
+
+    await expect(fetchAllPages(fetchPage, { pagesize: '10' }, {
+      signal: controller.signal,
+      onProgress: () => controller.abort()
+    })).rejects.toThrow('Pagination was cancelled');
+    expect(fetchPage).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('list resources with all=true', () => {
+  let rallyClient: jest.Mocked<RallyClient>;
+  let resources: Record<string, Function>;
+
+  beforeEach(() => {
+    rallyClient = new RallyClient({} as any) as jest.Mocked<RallyClient>;
+    resources = {};
+    const server = {
+      resource: jest.fn((name: string, _uri: any, callback: Function) => {
+        resources[name] = callback;
+      })
+    };
+    registerResources(server as any, rallyClient);
+  });
+
+  it('should return a single page by default', async () => {
+    rallyClient.getStories.mockImplementation(rallyQuery(30));
+
+    const result: any = await resources['stories-query'](new URL('rally://stories?pagesize=10&start=1'), {}, {});
+
+    expect(rallyClient.getStories).toHaveBeenCalledTimes(1);
+    expect(result.contents).toHaveLength(10);
+    expect(result._meta.hasMore).toBe(true);
+  });
+
+  it('should walk every page, strip its own parameters and report progress', async () => {
+    rallyClient.getStories.mockImplementation(rallyQuery(30));
+    const extra = { _meta: { progressToken: 'stories-1' }, sendNotification: jest.fn() };
+
+    const result: any = await resources['stories-query'](
+      new URL('rally://stories?all=true&pagesize=10'), {}, extra
+    );
+
+    expect(rallyClient.getStories).toHaveBeenCalledTimes(3);
+    expect(rallyClient.getStories.mock.calls[0][0]).toEqual({ start: '1', pagesize: '10' });
+    expect(result.contents).toHaveLength(30);
+    expect(result._meta).toMatchObject({ total: 30, hasMore: false, truncated: false });
+    expect(extra.sendNotification).toHaveBeenLastCalledWith({
+      method: 'notifications/progress',
+      params: { progressToken: 'stories-1', progress: 30, total: 30, message: 'Fetched 30 of 30 stories' }
+    });
+  });
+
+  it('should cap the walk at maxResults', async () => {
+    rallyClient.getDefects.mockImplementation(rallyQuery(30));
+
+    const result: any = await resources['defects-query'](new URL('rally://defects?maxResults=15'), {}, {});
+
+    expect(result.contents).toHaveLength(15);
+    expect(result._meta).toMatchObject({ total: 30, hasMore: true, truncated: true });
+  });
+});
+
+describe('list resources read through an MCP client', () => {
+  let rallyClient: jest.Mocked<RallyClient>;
+  let client: Client;
+
+  beforeEach(async () => {
+    rallyClient = new RallyClient({} as any) as jest.Mocked<RallyClient>;
+    const server = new McpServer({ name: 'rally-test', version: '1.0.0' });
+    registerResources(server, rallyClient);
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    client = new Client({ name: 'test-client', version: '1.0.0' });
+    await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+  });
+
+  afterEach(async () => {
+    await client.close();
+  });
+
+  it('should route all=true to the paging walk and report progress', async () => {
+    rallyClient.getStories.mockImplementation(rallyQuery(30));
+    const onprogress = jest.fn();
+
+    const result: any = await client.readResource(
+      { uri: 'rally://stories?all=true&query=(Blocked = true)&pagesize=10' }, { onprogress }
+    );
+
+    expect(result.contents).toHaveLength(30);
+    expect(rallyClient.getStories).toHaveBeenCalledTimes(3);
+    expect(rallyClient.getStories.mock.calls[0][0]).toEqual({ query: '(Blocked = true)', start: '1', pagesize: '10' });
+    expect(onprogress).toHaveBeenLastCalledWith({ progress: 30, total: 30, message: 'Fetched 30 of 30 stories' });
+  });
+
+  it('should route maxResults on a story\'s tasks', async () => {
+    rallyClient.getTasks.mockImplementation((_id: string, queryParams?: Record<string, string>) => rallyQuery(30)(queryParams));
+
+    const result: any = await client.readResource({ uri: 'rally://story/101/tasks?maxResults=15' });
+
+    expect(result.contents).toHaveLength(15);
+    expect(rallyClient.getTasks.mock.calls[0][0]).toBe('101');
+  });
+});
@@ -0,0 +1,165 @@
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { registerTools } from '../../src/handlers/tools';
+import { RallyClient } from '../../src/rally/client';
+
+// Mock the Rally client
+jest.mock('../../src/rally/client');
+
+describe('Portfolio Item Tools', () => {
+  let mockServer: Partial<McpServer>;
+  let mockRallyClient: Partial<RallyClient>;
+  let toolHandlers: Record<string, Function> = {};
+
+  beforeEach(() => {
+    // Reset the captured tool handlers
+    toolHandlers = {};
+
+    // Create mock server that captures tool handlers
+    mockServer = {
+      // Using any here to bypass the complex typing of the tool method
+      tool: jest.fn().mockImplementation((name, schema, handler) => {
+        toolHandlers[name] = handler;
+      }),
+    };
+
+    // Create mock Rally client
+    mockRallyClient = {
+      portfolioItemPath: jest.fn((type: string) => `PortfolioItem/${type}`),
+      getPortfolioItemTypes: jest.fn(),
+      createPortfolioItem: jest.fn(),
+      updatePortfolioItem: jest.fn(),
+      deletePortfolioItem: jest.fn(),
+      setStoryPortfolioItem: jest.fn(),
+      getPortfolioItemStories: jest.fn(),
+    };
+
+    // Register tool handlers
+    registerTools(mockServer as McpServer, mockRallyClient as RallyClient);
+  });
+
+  describe('listPortfolioItemTypes tool', () => {
+    it('should list the workspace portfolio item types', async () => {
+      // Arrange
+      (mockRallyClient.getPortfolioItemTypes as jest.Mock).mockResolvedValue([
+        { Name: 'Feature', TypePath: 'PortfolioItem/Feature', Ordinal: 0 },
+        { Name: 'Epic', TypePath: 'PortfolioItem/Epic', Ordinal: 1 },
+      ]);
+
+      // Act
+      const result = await toolHandlers.listPortfolioItemTypes({});
+
+      // Assert
+      expect(result.isError).toBeFalsy();
+      expect(result.content[0].text).toContain('PortfolioItem/Feature');
+      expect(result.content[0].text).toContain('PortfolioItem/Epic');
+    });
+  });
+
+  describe('createPortfolioItem tool', () => {
+    it('should create a feature under an epic', async () => {
+      // Arrange
+      (mockRallyClient.createPortfolioItem as jest.Mock).mockResolvedValue({
+        FormattedID: 'F12',
+        ObjectID: 1212,
+      });
+
+      // Act
+      const result = await toolHandlers.createPortfolioItem({
+        type: 'Feature',
+        name: 'Single sign-on',
+        parentId: '3434',
+        parentType: 'Epic',
+      });
+
+      // Assert
+      expect(result.isError).toBeFalsy();
+      expect(result.content[0].text).toContain('F12');
+      expect(mockRallyClient.createPortfolioItem).toHaveBeenCalledWith('Feature', {
+        Name: 'Single sign-on',
+        Description: undefined,
+        Parent: { _ref: '/PortfolioItem/Epic/3434' },
+      });
+    });
+
+    it('should require a parentType alongside parentId', async () => {
+      // Act
+      const result = await toolHandlers.createPortfolioItem({
+        type: 'Feature',
+        name: 'Single sign-on',
+        parentId: '3434',
+      });
+
+      // Assert
+      expect(result.isError).toBeTruthy();
+      expect(mockRallyClient.createPortfolioItem).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('assignPortfolioItem tool', () => {
+    it('should assign a story to a feature', async () => {
+      // Arrange
+      (mockRallyClient.setStoryPortfolioItem as jest.Mock).mockResolvedValue({});
+
+      // Act
+      const result = await toolHandlers.assignPortfolioItem({
+        storyId: '12345',
+        portfolioItemId: '1212',
+        portfolioItemType: 'Feature',
+      });
+
+      // Assert
+      expect(result.isError).toBeFalsy();
+      expect(mockRallyClient.setStoryPortfolioItem).toHaveBeenCalledWith('12345', 'Feature', '1212');
+    });
+
+    it('should clear the assignment when given an empty portfolioItemId', async () => {
+      // Arrange
+      (mockRallyClient.setStoryPortfolioItem as jest.Mock).mockResolvedValue({});
+
+      // Act
+      const result = await toolHandlers.assignPortfolioItem({
+        storyId: '12345',
+        portfolioItemId: '',
+        portfolioItemType: 'Feature',
+      });
+
+      // Assert
+      expect(result.content[0].text).toContain('removed story 12345');
+      expect(mockRallyClient.setStoryPortfolioItem).toHaveBeenCalledWith('12345', 'Feature', null);
+    });
+  });
+
+  describe('listPortfolioItemStories tool', () => {
+    it('should list the user stories of a feature', async () => {
+      // Arrange
+      (mockRallyClient.getPortfolioItemStories as jest.Mock).mockResolvedValue({
+        QueryResult: {
+          Results: [{ FormattedID: 'US1', ObjectID: 1, Name: 'Login page', ScheduleState: 'Defined' }],
+        },
+      });
+
+      // Act
+      const result = await toolHandlers.listPortfolioItemStories({ id: '1212', type: 'Feature' });
+
+      // Assert
+      expect(result.isError).toBeFalsy();
+      expect(mockRallyClient.getPortfolioItemStories).toHaveBeenCalledWith('Feature', '1212');
+      expect(result.content[0].text).toContain('US1');
+    });
+  });
+
+  describe('deletePortfolioItem tool', () => {
+    it('should handle errors when deleting a portfolio item', async () => {
+      // Arrange
+      const errorMessage = 'Failed to delete PortfolioItem/Feature 1212';
+      (mockRallyClient.deletePortfolioItem as jest.Mock).mockRejectedValue(new Error(errorMessage));
+
+      // Act
+      const result = await toolHandlers.deletePortfolioItem({ type: 'Feature', id: '1212' });
+
+      // Assert
+      expect(result.isError).toBeTruthy();
+      expect(result.content[0].text).toContain(errorMessage);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+import { parseFetch, projectItem } from '../../src/rally/projection';
+import { registerResources } from '../../src/handlers/resources';
+import { RallyClient } from '../../src/rally/client';
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+
+jest.mock('../../src/rally/client');
+
+const story = {
+  _rallyAPIMajor: '2',
+  _rallyAPIMinor: '0',
+  _ref: 'https://rally1.rallydev.com/slm/webservice/v2.0/hierarchicalrequirement/101',
+  _refObjectUUID: 'a1',
+  _objectVersion: '7',
+  _refObjectName: 'Login page',
+  _CreatedAt: 'yesterday',
+  _type: 'HierarchicalRequirement',
+  ObjectID: 101,
+  ObjectUUID: 'a1',
+  VersionId: '7',
+  FormattedID: 'US101',
+  Name: 'Login page',
+  ScheduleState: 'Defined',
+  Owner: {
+    _ref: 'https://rally1.rallydev.com/slm/webservice/v2.0/user/55',
+    _refObjectName: 'Jane Doe',
+    _type: 'User'
+  },
+  Iteration: null,
+  Tasks: {
+    _ref: 'https://rally1.rallydev.com/slm/webservice/v2.0/HierarchicalRequirement/101/Tasks',
+    _type: 'Task',
+    Count: 3
+  },
+  Tags: {
+    _ref: 'https://rally1.rallydev.com/slm/webservice/v2.0/HierarchicalRequirement/101/Tags',
+    Count: 1,
+    _tagsNameArray: [{ Name: 'ui', _ref: '/tag/9' }]
+  },
+  Workspace: { _ref: '/workspace/1', _refObjectName: 'Main' }
+};
+
+describe('parseFetch', () => {
+  it('should split a fetch list and ignore fetch=true', () => {
+    expect(parseFetch('FormattedID, Name,,Owner')).toEqual(['FormattedID', 'Name', 'Owner']);
+    expect(parseFetch('true')).toBeUndefined();
+    expect(parseFetch(undefined)).toBeUndefined();
+  });
+});
+
+describe('projectItem', () => {
+  it('should keep only the requested fields, ignoring case', () => {
+    expect(projectItem(story, { fields: ['formattedid', 'Name'] })).toEqual({ FormattedID: 'US101', Name: 'Login page' });
+  });
+
+  it('should flatten refs and strip bookkeeping keys in compact mode', () => {
+    expect(projectItem(story, { compact: true })).toEqual({
+      ObjectID: 101,
+      FormattedID: 'US101',
+      Name: 'Login page',
+      ScheduleState: 'Defined',
+      Owner: { id: '55', name: 'Jane Doe' },
+      Iteration: null,
+      Tasks: { count: 3 },
+      Tags: { count: 1 }
+    });
+  });
+
+  it('should combine a fetch list with compact mode', () => {
+    expect(projectItem(story, { fields: ['FormattedID', 'Owner'], compact: true }))
+      .toEqual({ FormattedID: 'US101', Owner: { id: '55', name: 'Jane Doe' } });
+  });
+
+  it('should return the item unchanged without options', () => {
+    expect(projectItem(story)).toBe(story);
+  });
+});
+
+describe('list resources with fetch and compact', () => {
+  let rallyClient: jest.Mocked<RallyClient>;
+  let resources: Record<string, Function>;
+
+  beforeEach(() => {
+    rallyClient = new RallyClient({} as any) as jest.Mocked<RallyClient>;
+    resources = {};
+    const server = {
+      resource: jest.fn((name: string, _uri: any, callback: Function) => {
+        resources[name] = callback;
+      })
+    };
+    registerResources(server as any, rallyClient);
+    rallyClient.getStories.mockResolvedValue({
+      QueryResult: { TotalResultCount: 1, StartIndex: 1, PageSize: 20, Results: [story] }
+    });
+  });
+
+  it('should project items onto the fetch list while still building item URIs', async () => {
+    const result: any = await resources['stories-query'](new URL('rally://stories?fetch=FormattedID,Name'), {}, {});
+
+    expect(rallyClient.getStories).toHaveBeenCalledWith({ fetch: 'FormattedID,Name,ObjectID' });
+    expect(result.contents[0].uri).toBe('rally://story/101');
+    expect(JSON.parse(result.contents[0].text)).toEqual({ FormattedID: 'US101', Name: 'Login page' });
+  });
+
+  it('should take a portfolio item type from the URI path, not its query string', async () => {
+    rallyClient.getPortfolioItems.mockResolvedValue({
+      QueryResult: { TotalResultCount: 1, StartIndex: 1, PageSize: 20, Results: [{ ObjectID: 7, FormattedID: 'F7' }] }
+    });
+
+    const result: any = await resources.portfolioitems(
+      new URL('rally://portfolioitems/feature?fetch=FormattedID'), { type: 'feature?fetch=FormattedID' }, {}
+    );
+
+    expect(rallyClient.getPortfolioItems).toHaveBeenCalledWith('feature', { fetch: 'FormattedID,ObjectID' });
+    expect(result.contents[0].uri).toBe('rally://portfolioitem/feature/7');
+  });
+
+  it('should compact items without passing compact to Rally', async () => {
+    const result: any = await resources['stories-query'](new URL('rally://stories?compact=true'), {}, {});
+
+    expect(rallyClient.getStories).toHaveBeenCalledWith({});
+    expect(JSON.parse(result.contents[0].text).Owner).toEqual({ id: '55', name: 'Jane Doe' });
+    expect(result.contents[0].text).not.toContain('_ref');
+  });
+});
+
+describe('fetch and compact read through an MCP client', () => {
+  let rallyClient: jest.Mocked<RallyClient>;
+  let client: Client;
+  const page = (results: any[]) => ({ QueryResult: { TotalResultCount: results.length, StartIndex: 1, PageSize: 20, Results: results } });
+
+  beforeEach(async () => {
+    rallyClient = new RallyClient({} as any) as jest.Mocked<RallyClient>;
+    const server = new McpServer({ name: 'rally-test', version: '1.0.0' });
+    registerResources(server, rallyClient);
+    const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+    client = new Client({ name: 'test-client', version: '1.0.0' });
+    await Promise.all([server.connect(serverTransport), client.connect(clientTransport)]);
+  });
+
+  afterEach(async () => {
+    await client.close();
+  });
+
+  it('should project and compact stories', async () => {
+    rallyClient.getStories.mockResolvedValue(page([story]));
+
+    const result: any = await client.readResource({
+      uri: 'rally://stories?fetch=FormattedID,Name,ScheduleState,Owner&compact=true'
+    });
+
+    expect(rallyClient.getStories).toHaveBeenCalledWith({ fetch: 'FormattedID,Name,ScheduleState,Owner,ObjectID' });
+    expect(JSON.parse(result.contents[0].text)).toEqual({
+      FormattedID: 'US101', Name: 'Login page', ScheduleState: 'Defined', Owner: { id: '55', name: 'Jane Doe' }
+    });
+  });
+
+  it('should reach list resources with and without template variables', async () => {
+    rallyClient.getDefects.mockResolvedValue(page([{ ObjectID: 7, FormattedID: 'DE7', Name: 'Crash' }]));
+    rallyClient.getTasks.mockResolvedValue(page([{ ObjectID: 8, FormattedID: 'TA8', Name: 'Wire up' }]));
+    rallyClient.getWorkspaces.mockResolvedValue(page([{ ObjectID: 1, Name: 'Main', _ref: '/workspace/1' }]));
+
+    const defects: any = await client.readResource({ uri: 'rally://defects?fetch=Name' });
+    const tasks: any = await client.readResource({ uri: 'rally://story/1/tasks?fetch=FormattedID,Name' });
+    const workspaces: any = await client.readResource({ uri: 'rally://workspaces?compact=true' });
+
+    expect(JSON.parse(defects.contents[0].text)).toEqual({ Name: 'Crash' });
+    expect(rallyClient.getTasks).toHaveBeenCalledWith('1', { fetch: 'FormattedID,Name,ObjectID' });
+    expect(tasks.contents[0].uri).toBe('rally://task/8');
+    expect(JSON.parse(workspaces.contents[0].text)).toEqual({ ObjectID: 1, Name: 'Main' });
+  });
+});
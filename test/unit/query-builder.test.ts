@@ -0,0 +1,60 @@
+import { buildQuery } from '../../src/rally/query';
+
+describe('buildQuery', () => {
+  it('should build a single condition with a quoted string', () => {
+    expect(buildQuery({ field: 'ScheduleState', operator: '=', value: 'In-Progress' }))
+      .toBe('(ScheduleState = "In-Progress")');
+  });
+
+  it('should leave numbers, booleans and null unquoted', () => {
+    expect(buildQuery({ field: 'PlanEstimate', operator: 'gte', value: 3 })).toBe('(PlanEstimate >= 3)');
+    expect(buildQuery({ field: 'Blocked', operator: 'eq', value: true })).toBe('(Blocked = true)');
+    expect(buildQuery({ field: 'Iteration', operator: '=', value: null })).toBe('(Iteration = null)');
+  });
+
+  it('should escape quotes in strings', () => {
+    expect(buildQuery({ field: 'Name', operator: 'contains', value: 'say "hi"' }))
+      .toBe('(Name contains "say \\"hi\\"")');
+  });
+
+  it('should nest groups two terms at a time', () => {
+    const query = buildQuery({
+      and: [
+        { field: 'ScheduleState', operator: '=', value: 'Defined' },
+        { field: 'PlanEstimate', operator: '>', value: 3 },
+        {
+          or: [
+            { field: 'Owner.UserName', operator: '=', value: 'jane' },
+            { field: 'Owner', operator: '=', value: null },
+          ],
+        },
+      ],
+    });
+
+    expect(query).toBe('(((ScheduleState = "Defined") AND (PlanEstimate > 3)) AND ' +
+      '((Owner.UserName = "jane") OR (Owner = null)))');
+  });
+
+  it('should expand in and !in into equality groups', () => {
+    expect(buildQuery({ field: 'Severity', operator: 'in', value: ['Crash/Data Loss', 'Major Problem'] }))
+      .toBe('((Severity = "Crash/Data Loss") OR (Severity = "Major Problem"))');
+    expect(buildQuery({ field: 'State', operator: '!in', value: ['Closed', 'Fixed'] }))
+      .toBe('((State != "Closed") AND (State != "Fixed"))');
+  });
+
+  it('should map field names through the resolver', () => {
+    const resolveField = (field: string) => field.toUpperCase();
+
+    expect(buildQuery({ field: 'name', operator: '=', value: 'x' }, resolveField)).toBe('(NAME = "x")');
+  });
+
+  it('should reject unsupported operators with the supported list', () => {
+    expect(() => buildQuery({ field: 'Name', operator: 'like', value: 'x' }))
+      .toThrow('Unsupported operator "like" on Name. Supported operators: =, !=, <, <=, >, >=, contains, !contains, in, !in');
+  });
+
+  it('should reject lists for single-value operators and empty groups', () => {
+    expect(() => buildQuery({ field: 'Name', operator: '=', value: ['a', 'b'] })).toThrow('use "in" for a list');
+    expect(() => buildQuery({ and: [] })).toThrow('An and group needs at least one filter');
+  });
+});
@@ -27,6 +27,9 @@ describe('Relationship Tools', () => {
       createRelationship: jest.fn(),
       removeRelationship: jest.fn(),
       getRelationships: jest.fn(),
+      traceDependencies: jest.fn(),
+      auditDependencies: jest.fn(),
+      exportDependencyGraph: jest.fn(),
     };
 
     // Register tool handlers
@@ -55,6 +58,26 @@ describe('Relationship Tools', () => {
       expect(result.content[0].text).toContain('Successfully created');
     });
 
+    it('should report warnings and skipped relationships', async () => {
+      // Arrange
+      (mockRallyClient.createRelationship as jest.Mock).mockResolvedValue({
+        Skipped: true,
+        Warnings: ['US456 is already Predecessor of US123; nothing was changed']
+      });
+
+      // Act
+      const result = await toolHandlers.createRelationship({
+        sourceId: 'US123',
+        targetId: 'US456',
+        relationshipType: 'Predecessor'
+      });
+
+      // Assert
+      expect(result.isError).toBeFalsy();
+      expect(result.content[0].text).toBe('No Predecessor relationship created from US123 to US456\n' +
+        'Warning: US456 is already Predecessor of US123; nothing was changed');
+    });
+
     it('should prevent creating relationship between the same artifact', async () => {
       // Arrange
       const relationshipData = {
@@ -141,18 +164,19 @@ describe('Relationship Tools', () => {
         artifactId: 'US123'
       };
 
+      const related = (FormattedID: string, Type: string, Name: string) => ({
+        FormattedID, ObjectID: 1, Type, Name, State: 'Defined', Owner: null, Project: 'Web'
+      });
       const mockRelationships = {
-        HierarchicalRequirement: {
-          Predecessors: {
-            _tagsNameArray: ['US456']
-          },
-          Successors: {
-            _tagsNameArray: ['US789']
-          },
-          Parent: {
-            _refObjectName: 'Feature1'
-          }
-        }
+        Artifact: related('US123', 'HierarchicalRequirement', 'Checkout'),
+        Predecessors: [related('US456', 'HierarchicalRequirement', 'Cart')],
+        Successors: [related('US789', 'HierarchicalRequirement', 'Receipt')],
+        Parent: [related('F1', 'PortfolioItem/Feature', 'Feature1')],
+        Children: [],
+        Blockers: [related('DE5', 'Defect', 'Card declined')],
+        Blocked: [],
+        Duplicates: [],
+        Truncated: true
       };
 
       (mockRallyClient.getRelationships as jest.Mock).mockResolvedValue(mockRelationships);
@@ -167,6 +191,10 @@ describe('Relationship Tools', () => {
       expect(result.content[0].text).toContain('Feature1');
       expect(result.content[0].text).toContain('US456');
       expect(result.content[0].text).toContain('US789');
+      expect(result.content[0].text).toContain('Predecessors: US456');
+      expect(result.content[0].text).toContain('Blockers: DE5');
+      expect(result.content[0].text).not.toContain('Children:');
+      expect(result.content[0].text).toContain('Some lists were cut short at 1000 artifacts');
     });
 
     it('should handle errors when getting relationships', async () => {
@@ -186,4 +214,118 @@ describe('Relationship Tools', () => {
       expect(result.content[0].text).toContain(errorMessage);
     });
   });
-}); 
\ No newline at end of file
+
+  describe('traceDependencies tool', () => {
+    it('should summarize the critical path and schedule conflicts', async () => {
+      // Arrange
+      (mockRallyClient.traceDependencies as jest.Mock).mockResolvedValue({
+        Root: 'US2',
+        Depth: 3,
+        Nodes: [{ FormattedID: 'US1' }, { FormattedID: 'US2' }],
+        Edges: [{ From: 'US1', To: 'US2', Misscheduled: true }],
+        CriticalPath: ['US1', 'US2'],
+        CriticalPathEstimate: 8,
+        Misscheduled: [{ Predecessor: 'US1', Successor: 'US2', PredecessorEnds: '2026-03-14', SuccessorEnds: '2026-02-28' }],
+        Cycles: [],
+        Truncated: false,
+        TruncatedBy: []
+      });
+
+      // Act
+      const result = await toolHandlers.traceDependencies({ artifactId: 'US2', depth: 3 });
+
+      // Assert
+      expect(result.isError).toBeFalsy();
+      expect(mockRallyClient.traceDependencies).toHaveBeenCalledWith('US2', 3);
+      expect(result.content[0].text).toContain('Dependencies of US2: 2 artifacts, 1 dependencies');
+      expect(result.content[0].text).toContain('Critical path: US1 -> US2 (8 points)');
+      expect(result.content[0].text).toContain('Warning: US2 ends 2026-02-28, before its predecessor US1 ends 2026-03-14');
+      expect(result.content[0].text).not.toContain('Not every dependency was followed');
+    });
+
+    it('should say why the graph stops short', async () => {
+      // Arrange
+      (mockRallyClient.traceDependencies as jest.Mock).mockResolvedValue({
+        Root: 'US2',
+        Depth: 3,
+        Nodes: [],
+        Edges: [],
+        CriticalPath: [],
+        CriticalPathEstimate: 0,
+        Misscheduled: [],
+        Cycles: [],
+        Truncated: true,
+        TruncatedBy: ['nodes']
+      });
+
+      // Act
+      const result = await toolHandlers.traceDependencies({ artifactId: 'US2', depth: 3 });
+
+      // Assert
+      expect(result.content[0].text).toContain('the graph stopped at its 250-artifact limit');
+      expect(result.content[0].text).not.toContain('a depth above 3 shows more');
+    });
+
+    it('should handle errors when tracing dependencies', async () => {
+      // Arrange
+      (mockRallyClient.traceDependencies as jest.Mock).mockRejectedValue(new Error('TA9 is a Task'));
+
+      // Act
+      const result = await toolHandlers.traceDependencies({ artifactId: 'TA9', depth: 3 });
+
+      // Assert
+      expect(result.isError).toBeTruthy();
+      expect(result.content[0].text).toContain('Error tracing dependencies: TA9 is a Task');
+    });
+  });
+
+  describe('auditDependencies tool', () => {
+    it('should list loops and mis-scheduled dependencies', async () => {
+      // Arrange
+      (mockRallyClient.auditDependencies as jest.Mock).mockResolvedValue({
+        Scope: { Type: 'HierarchicalRequirement', Release: 'Q1' },
+        Artifacts: 40,
+        Dependencies: 12,
+        Cycles: [['US1', 'US2', 'US1']],
+        Misscheduled: [{ Predecessor: 'US9', Successor: 'US3', PredecessorEnds: '2026-04-01', SuccessorEnds: '2026-03-01' }],
+        Truncated: false
+      });
+
+      // Act
+      const result = await toolHandlers.auditDependencies({ release: 'Q1', type: 'story' });
+
+      // Assert
+      expect(result.isError).toBeFalsy();
+      expect(mockRallyClient.auditDependencies).toHaveBeenCalledWith({ project: undefined, release: 'Q1', type: 'story' });
+      expect(result.content[0].text).toContain('Audited 40 stories in release Q1: 12 dependencies, 1 loops, 1 mis-scheduled');
+      expect(result.content[0].text).toContain('Loop: US1 -> US2 -> US1');
+      expect(result.content[0].text).toContain('Mis-scheduled: US3 ends 2026-03-01, before its predecessor US9 ends 2026-04-01');
+    });
+  });
+
+  describe('exportDependencyGraph tool', () => {
+    it('should return the graph in a fenced block', async () => {
+      // Arrange
+      (mockRallyClient.exportDependencyGraph as jest.Mock).mockResolvedValue({
+        Title: 'Dependencies in release Q1',
+        Format: 'mermaid',
+        Nodes: 2,
+        Edges: 1,
+        Truncated: false,
+        Graph: 'flowchart LR\n  US1 --> US2'
+      });
+
+      // Act
+      const result = await toolHandlers.exportDependencyGraph({ release: 'Q1', format: 'mermaid' });
+
+      // Assert
+      expect(result.isError).toBeFalsy();
+      expect(mockRallyClient.exportDependencyGraph).toHaveBeenCalledWith(
+        { artifactId: undefined, iteration: undefined, release: 'Q1', depth: undefined },
+        'mermaid'
+      );
+      expect(result.content[0].text).toBe('Dependencies in release Q1: 2 artifacts, 1 dependencies\n\n' +
+        '```mermaid\nflowchart LR\n  US1 --> US2\n```');
+    });
+  });
+});
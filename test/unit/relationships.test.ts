@@ -0,0 +1,349 @@
+import axios from 'axios';
+import { RallyClient } from '../../src/rally/client';
+import { Config } from '../../src/config';
+
+// Mock axios
+jest.mock('axios', () => {
+  return {
+    create: jest.fn(() => ({
+      get: jest.fn(),
+      post: jest.fn(),
+      delete: jest.fn()
+    })),
+    isAxiosError: jest.fn().mockReturnValue(false)
+  };
+});
+const mockAxios = axios as jest.Mocked<typeof axios>;
+
+describe('RallyClient cross-type relationships', () => {
+  let client: RallyClient;
+  let mockGet: jest.Mock;
+  let mockPost: jest.Mock;
+  const mockConfig: Config = {
+    rallyApiKey: 'test-api-key',
+    rallyWorkspace: 'test-workspace',
+    port: 3000,
+    logLevel: 'info',
+    requestTimeout: 60000
+  };
+  const artifacts: Record<string, any> = {
+    US1: { ObjectID: 101, FormattedID: 'US1', _type: 'HierarchicalRequirement' },
+    US2: { ObjectID: 102, FormattedID: 'US2', _type: 'HierarchicalRequirement' },
+    DE3: { ObjectID: 203, FormattedID: 'DE3', _type: 'Defect' },
+    DE4: { ObjectID: 204, FormattedID: 'DE4', _type: 'Defect' },
+    TA5: { ObjectID: 305, FormattedID: 'TA5', _type: 'Task' },
+    TC6: { ObjectID: 406, FormattedID: 'TC6', _type: 'TestCase' },
+    F7: { ObjectID: 507, FormattedID: 'F7', _type: 'PortfolioItem/Feature' },
+    F8: { ObjectID: 508, FormattedID: 'F8', _type: 'PortfolioItem/Feature' },
+    I9: { ObjectID: 609, FormattedID: 'I9', _type: 'PortfolioItem/Initiative' }
+  };
+  // The workspace's portfolio levels, lowest first
+  const portfolioItemTypes = [{ TypePath: 'PortfolioItem/Feature' }, { TypePath: 'PortfolioItem/Initiative' }];
+
+  let links: Record<string, any[]>;
+  let reads: Record<string, any>;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    links = {};
+    reads = {};
+    mockGet = jest.fn();
+    mockPost = jest.fn().mockResolvedValue({ data: { OperationResult: { Errors: [] } } });
+    mockAxios.create.mockReturnValue({ get: mockGet, post: mockPost, delete: jest.fn() } as any);
+
+    client = new RallyClient(mockConfig);
+    // Skip credential validation
+    (client as any).workspaceRef = '/workspace/1';
+
+    mockGet.mockImplementation((url: string, { params }: any) => {
+      if (links[url]) {
+        return Promise.resolve({ data: { QueryResult: { Results: links[url] } } });
+      }
+      if (url === '/TypeDefinition') {
+        return Promise.resolve({ data: { QueryResult: { Results: portfolioItemTypes } } });
+      }
+      if (reads[url]) {
+        return Promise.resolve({ data: { Artifact: reads[url] } });
+      }
+      if (/\/\d+\/\w+$/.test(url)) {
+        // Collections are empty unless a test says otherwise
+        return Promise.resolve({ data: { QueryResult: { Results: [] } } });
+      }
+      const formattedId = /FormattedID = "(\w+)"/.exec(params.query)?.[1];
+      const objectId = /ObjectID = (\d+)/.exec(params.query)?.[1];
+      const artifact = formattedId
+        ? artifacts[formattedId]
+        : Object.values(artifacts).find((candidate) => String(candidate.ObjectID) === objectId);
+      return Promise.resolve({ data: { QueryResult: { Results: artifact ? [artifact] : [] } } });
+    });
+  });
+
+  it('should mark a defect as blocking a story', async () => {
+    await client.createRelationship('US1', 'DE3', 'Blocker');
+
+    expect(mockPost).toHaveBeenCalledWith('/HierarchicalRequirement/101', {
+      HierarchicalRequirement: { Blocked: true, BlockedReason: 'Blocked by DE3' }
+    });
+  });
+
+  it('should link a defect to its story through Defect.Requirement', async () => {
+    await client.createRelationship('US1', 'DE3', 'Child');
+
+    expect(mockPost).toHaveBeenCalledWith('/Defect/203', {
+      Defect: { Requirement: { _ref: '/HierarchicalRequirement/101' } }
+    });
+  });
+
+  it('should add to PortfolioItem.Children and set a story\'s PortfolioItem', async () => {
+    await client.createRelationship('I9', 'F8', 'Child');
+    await client.createRelationship('F7', 'US2', 'Child');
+
+    expect(mockPost).toHaveBeenCalledWith('/PortfolioItem/Initiative/609', {
+      Initiative: { Children: { _type: 'add', _ref: '/PortfolioItem/Feature/508' } }
+    });
+    expect(mockPost).toHaveBeenCalledWith('/HierarchicalRequirement/102', {
+      HierarchicalRequirement: { PortfolioItem: { _ref: '/PortfolioItem/Feature/507' } }
+    });
+  });
+
+  it('should set TestCase.WorkProduct and look up bare ObjectIDs', async () => {
+    await client.createRelationship('406', '101', 'Parent');
+
+    expect(mockPost).toHaveBeenCalledWith('/TestCase/406', {
+      TestCase: { WorkProduct: { _ref: '/HierarchicalRequirement/101' } }
+    });
+  });
+
+  it('should remove collection links and clear single references and blocks', async () => {
+    reads['/Task/305'] = { ObjectID: 305, WorkProduct: { ObjectID: 203, FormattedID: 'DE3' } };
+    reads['/HierarchicalRequirement/101'] = { ObjectID: 101, Blocked: true, BlockedReason: 'Blocked by DE3' };
+
+    await client.removeRelationship('US1', 'US2', 'Predecessor');
+    await client.removeRelationship('TA5', 'DE3', 'Parent');
+    await client.removeRelationship('DE3', 'US1', 'Blocked');
+
+    expect(mockPost).toHaveBeenCalledWith('/HierarchicalRequirement/101', {
+      HierarchicalRequirement: { Predecessors: { _type: 'remove', _ref: '/HierarchicalRequirement/102' } }
+    });
+    expect(mockPost).toHaveBeenCalledWith('/Task/305', { Task: { WorkProduct: null } });
+    expect(mockPost).toHaveBeenCalledWith('/HierarchicalRequirement/101', {
+      HierarchicalRequirement: { Blocked: false, BlockedReason: '' }
+    });
+  });
+
+  it('should reject combinations Rally does not allow', async () => {
+    await expect(client.createRelationship('US1', 'F7', 'Predecessor')).rejects.toThrow(
+      'Rally cannot record F7 (PortfolioItem/Feature) as Predecessor of US1 (HierarchicalRequirement). ' +
+      'A Predecessor can be a story of story, or a portfolioitem of portfolioitem'
+    );
+    await expect(client.createRelationship('DE3', 'US1', 'Duplicate')).rejects.toThrow('as Duplicate of DE3 (Defect)');
+    expect(mockPost).not.toHaveBeenCalled();
+  });
+
+  it('should only nest portfolio items one level apart', async () => {
+    await expect(client.createRelationship('F7', 'F8', 'Child')).rejects.toThrow(
+      'F8 (PortfolioItem/Feature) cannot be Child of F7 (PortfolioItem/Feature): ' +
+      'a PortfolioItem/Feature can only sit under a PortfolioItem/Initiative'
+    );
+    await expect(client.createRelationship('I9', 'F7', 'Parent')).rejects.toThrow(
+      'a PortfolioItem/Initiative can only sit under nothing, it is the top portfolio level'
+    );
+    expect(mockPost).not.toHaveBeenCalled();
+  });
+
+  it('should refuse to remove a single reference or block that points elsewhere', async () => {
+    reads['/Task/305'] = { ObjectID: 305, WorkProduct: { ObjectID: 101, FormattedID: 'US1' } };
+    reads['/HierarchicalRequirement/101'] = { ObjectID: 101, Blocked: true, BlockedReason: 'Waiting on legal' };
+    reads['/HierarchicalRequirement/102'] = { ObjectID: 102, PortfolioItem: null };
+
+    await expect(client.removeRelationship('TA5', 'DE3', 'Parent')).rejects.toThrow(
+      'DE3 is not Parent of TA5: TA5 has US1 as its WorkProduct; nothing was changed'
+    );
+    await expect(client.removeRelationship('US1', 'DE3', 'Blocker')).rejects.toThrow(
+      'DE3 is not Blocker of US1: US1 is blocked for another reason (Waiting on legal); nothing was changed'
+    );
+    await expect(client.removeRelationship('US2', 'F7', 'Parent')).rejects.toThrow('US2 has no PortfolioItem');
+    expect(mockPost).not.toHaveBeenCalled();
+  });
+
+  it('should link duplicate defects', async () => {
+    await client.createRelationship('DE3', 'DE4', 'Duplicated');
+
+    expect(mockPost).toHaveBeenCalledWith('/Defect/204', {
+      Defect: { Duplicates: { _type: 'add', _ref: '/Defect/203' } }
+    });
+  });
+
+  describe('checks before writing', () => {
+    it('should refuse a Predecessor that closes a dependency loop', async () => {
+      // US1 already leads to US2 through US3
+      links['/HierarchicalRequirement/101/Successors'] = [
+        { ObjectID: 103, FormattedID: 'US3', _type: 'HierarchicalRequirement' }
+      ];
+      links['/HierarchicalRequirement/103/Successors'] = [{ ...artifacts.US2 }];
+
+      await expect(client.createRelationship('US1', 'US2', 'Predecessor')).rejects.toThrow(
+        'US2 cannot be Predecessor of US1: it would close the dependency loop US2 -> US1 -> US3 -> US2'
+      );
+      await expect(client.createRelationship('US2', 'US1', 'Successor')).rejects.toThrow(
+        'it would close the dependency loop US2 -> US1 -> US3 -> US2'
+      );
+      expect(mockPost).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to relate an artifact to itself under another form of its ID', async () => {
+      await expect(client.createRelationship('US1', 'us1', 'Predecessor')).rejects.toThrow(
+        'US1 cannot be Predecessor of US1: an artifact cannot be related to itself'
+      );
+      await expect(client.createRelationship('US1', '101', 'Parent')).rejects.toThrow(
+        'an artifact cannot be related to itself'
+      );
+      expect(mockPost).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to make a story its own grandparent', async () => {
+      // US2's parent is US1, whose parent is feature F7
+      reads['/HierarchicalRequirement/102'] = { ObjectID: 102, Parent: { ...artifacts.US1 } };
+      reads['/HierarchicalRequirement/101'] = { ObjectID: 101, PortfolioItem: { ...artifacts.F7 } };
+
+      await expect(client.createRelationship('US1', 'US2', 'Parent')).rejects.toThrow(
+        'US2 cannot be Parent of US1: US1 is already above US2 (US2 -> US1 -> F7), so it would become its own ancestor'
+      );
+      await expect(client.createRelationship('US2', 'F7', 'Parent')).resolves.toBeDefined();
+      await expect(client.createRelationship('US2', 'US1', 'Child')).rejects.toThrow(
+        'US1 cannot be Child of US2: US1 is already above US2'
+      );
+    });
+
+    it('should skip links that already exist', async () => {
+      links['/HierarchicalRequirement/101/Predecessors'] = [{ ObjectID: 102 }];
+
+      const result = await client.createRelationship('US1', 'US2', 'Predecessor');
+
+      expect(result).toEqual({ Skipped: true, Warnings: ['US2 is already Predecessor of US1; nothing was changed'] });
+      expect(mockPost).not.toHaveBeenCalled();
+    });
+
+    it('should warn when a single reference is replaced', async () => {
+      reads['/Defect/203'] = { ObjectID: 203, Requirement: { ObjectID: 102, FormattedID: 'US2' } };
+
+      const child = await client.createRelationship('US1', 'DE3', 'Child');
+
+      expect(child.Warnings).toEqual(["DE3's Requirement was US2; it is now US1"]);
+      expect(mockPost).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refuse to overwrite a block recorded for another reason', async () => {
+      reads['/HierarchicalRequirement/101'] = { ObjectID: 101, Blocked: true, BlockedReason: 'Waiting on legal' };
+
+      await expect(client.createRelationship('US1', 'DE4', 'Blocker')).rejects.toThrow(
+        'DE4 cannot be Blocker of US1: US1 is already blocked (Waiting on legal); clear that block first'
+      );
+      expect(mockPost).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getRelationships', () => {
+    const owner = { _ref: '/user/9', _refObjectName: 'Jane Doe' };
+    const project = { _ref: '/project/1', _refObjectName: 'Web' };
+    let blocking: Record<string, any[]>;
+
+    beforeEach(() => {
+      blocking = {};
+      const lookup = mockGet.getMockImplementation()!;
+      mockGet.mockImplementation((url: string, options: any) => {
+        const blockedBy = /BlockedReason = "Blocked by (\w+)"/.exec(options.params.query || '')?.[1];
+        if (blockedBy) {
+          return Promise.resolve({ data: { QueryResult: { Results: blocking[`${url} ${blockedBy}`] || [] } } });
+        }
+        return lookup(url, options);
+      });
+    });
+
+    it('should return every kind of relationship with the details of each artifact', async () => {
+      reads['/HierarchicalRequirement/101'] = {
+        ...artifacts.US1,
+        Name: 'Checkout',
+        ScheduleState: 'In-Progress',
+        Owner: owner,
+        Project: project,
+        Predecessors: { Count: 1 },
+        Successors: { Count: 0 },
+        Children: { Count: 0 },
+        Defects: { Count: 1 },
+        Tasks: { Count: 0 },
+        TestCases: { Count: 0 },
+        PortfolioItem: { ...artifacts.F7, Name: 'Payments', State: { _refObjectName: 'Developing' }, Project: project },
+        Blocked: true,
+        BlockedReason: 'Blocked by DE4'
+      };
+      reads['/Defect/204'] = { ...artifacts.DE4, Name: 'Card declined', State: 'Open', Owner: owner };
+      links['/HierarchicalRequirement/101/Predecessors'] = [{ ...artifacts.US2, Name: 'Cart', ScheduleState: 'Accepted' }];
+      links['/HierarchicalRequirement/101/Defects'] = [{ ...artifacts.DE3, Name: 'Rounding', State: 'Submitted' }];
+      blocking['/Task US1'] = [{ ...artifacts.TA5, Name: 'Wire up', State: 'Defined', Owner: owner }];
+      (client as any).project = '42';
+
+      const result = await client.getRelationships('US1');
+
+      expect(result.Artifact).toEqual({
+        FormattedID: 'US1',
+        ObjectID: 101,
+        Type: 'HierarchicalRequirement',
+        Name: 'Checkout',
+        State: 'In-Progress',
+        Owner: 'Jane Doe',
+        Project: 'Web'
+      });
+      expect(result.Predecessors).toEqual([{
+        FormattedID: 'US2', ObjectID: 102, Type: 'HierarchicalRequirement', Name: 'Cart', State: 'Accepted', Owner: null, Project: null
+      }]);
+      expect(result.Parent).toEqual([{
+        FormattedID: 'F7', ObjectID: 507, Type: 'PortfolioItem/Feature', Name: 'Payments', State: 'Developing', Owner: null, Project: 'Web'
+      }]);
+      expect(result.Children.map((related: any) => related.FormattedID)).toEqual(['DE3']);
+      expect(result.Blockers).toEqual([{
+        FormattedID: 'DE4', ObjectID: 204, Type: 'Defect', Name: 'Card declined', State: 'Open', Owner: 'Jane Doe', Project: null
+      }]);
+      expect(result.Blocked.map((related: any) => related.FormattedID)).toEqual(['TA5']);
+      expect(result.BlockedReason).toBe('Blocked by DE4');
+      expect(result.Successors).toEqual([]);
+      expect(result.Duplicates).toEqual([]);
+      expect(result.Truncated).toBe(false);
+      // Empty collections are not read
+      expect(mockGet).not.toHaveBeenCalledWith('/HierarchicalRequirement/101/Successors', expect.anything());
+      // Blocked artifacts are only looked for in the configured project
+      expect(mockGet).toHaveBeenCalledWith('/Task', {
+        params: expect.objectContaining({ query: '((Blocked = true) AND (BlockedReason = "Blocked by US1"))', project: '/project/42' })
+      });
+    });
+
+    it('should page through long collections and flag lists that do not fit', async () => {
+      reads['/HierarchicalRequirement/101'] = { ...artifacts.US1, Tasks: { Count: 1500 } };
+      const lookup = mockGet.getMockImplementation()!;
+      mockGet.mockImplementation((url: string, options: any) => {
+        if (url !== '/HierarchicalRequirement/101/Tasks') {
+          return lookup(url, options);
+        }
+        const start = parseInt(options.params.start, 10);
+        const results = Array.from({ length: Math.min(parseInt(options.params.pagesize, 10), 1501 - start) },
+          (_, i) => ({ ObjectID: start + i, FormattedID: `TA${start + i}`, _type: 'Task' }));
+        return Promise.resolve({ data: { QueryResult: { TotalResultCount: 1500, StartIndex: start, Results: results } } });
+      });
+
+      const result = await client.getRelationships('US1');
+
+      expect(result.Children).toHaveLength(1000);
+      expect(result.Truncated).toBe(true);
+    });
+
+    it('should read the relationships a task can have and list the others as empty', async () => {
+      reads['/Task/305'] = { ...artifacts.TA5, Name: 'Wire up', WorkProduct: { ...artifacts.DE3, Name: 'Rounding' } };
+
+      const result = await client.getRelationships('TA5');
+
+      expect(result.Parent.map((related: any) => related.FormattedID)).toEqual(['DE3']);
+      expect(result).toMatchObject({ Predecessors: [], Successors: [], Children: [], Blockers: [], Blocked: [], Duplicates: [] });
+      expect(result.BlockedReason).toBeUndefined();
+    });
+  });
+});
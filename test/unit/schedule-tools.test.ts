@@ -0,0 +1,140 @@
+import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
+import { registerTools } from '../../src/handlers/tools';
+import { RallyClient } from '../../src/rally/client';
+
+// Mock the Rally client
+jest.mock('../../src/rally/client');
+
+describe('Scheduling Tools', () => {
+  let mockServer: Partial<McpServer>;
+  let mockRallyClient: Partial<RallyClient>;
+  let toolHandlers: Record<string, Function> = {};
+
+  beforeEach(() => {
+    // Reset the captured tool handlers
+    toolHandlers = {};
+
+    // Create mock server that captures tool handlers
+    mockServer = {
+      // Using any here to bypass the complex typing of the tool method
+      tool: jest.fn().mockImplementation((name, schema, handler) => {
+        toolHandlers[name] = handler;
+      }),
+    };
+
+    // Create mock Rally client
+    mockRallyClient = {
+      createStory: jest.fn(),
+      updateStory: jest.fn(),
+      scheduleArtifact: jest.fn(),
+      resolveTimeboxRef: jest.fn((kind: string, nameOrId: string) =>
+        Promise.resolve(`/${kind.toLowerCase()}/${nameOrId === 'Sprint 42' ? '4242' : nameOrId}`)),
+    };
+
+    // Register tool handlers
+    registerTools(mockServer as McpServer, mockRallyClient as RallyClient);
+  });
+
+  describe('createStory tool', () => {
+    it('should schedule the new story into an iteration and release', async () => {
+      // Arrange
+      (mockRallyClient.createStory as jest.Mock).mockResolvedValue({ FormattedID: 'US123' });
+
+      // Act
+      const result = await toolHandlers.createStory({
+        name: 'Test Story',
+        iteration: 'Sprint 42',
+        release: '777',
+      });
+
+      // Assert
+      expect(result.isError).toBeFalsy();
+      expect(mockRallyClient.createStory).toHaveBeenCalledWith({
+        Name: 'Test Story',
+        Description: undefined,
+        Iteration: { _ref: '/iteration/4242' },
+        Release: { _ref: '/release/777' },
+      });
+    });
+  });
+
+  describe('updateStory tool', () => {
+    it('should remove the story from its iteration when given an empty iteration', async () => {
+      // Arrange
+      (mockRallyClient.updateStory as jest.Mock).mockResolvedValue({});
+
+      // Act
+      const result = await toolHandlers.updateStory({ id: '12345', iteration: '' });
+
+      // Assert
+      expect(result.isError).toBeFalsy();
+      expect(mockRallyClient.updateStory).toHaveBeenCalledWith('12345', { Iteration: null });
+    });
+  });
+
+  describe('scheduleArtifact tool', () => {
+    it('should move a defect into an iteration by name', async () => {
+      // Arrange
+      (mockRallyClient.scheduleArtifact as jest.Mock).mockResolvedValue({});
+
+      // Act
+      const result = await toolHandlers.scheduleArtifact({
+        artifactId: '4242',
+        artifactType: 'defect',
+        iteration: 'Sprint 42',
+      });
+
+      // Assert
+      expect(result.isError).toBeFalsy();
+      expect(mockRallyClient.scheduleArtifact).toHaveBeenCalledWith('Defect', '4242', {
+        iteration: 'Sprint 42',
+        release: undefined,
+      });
+      expect(result.content[0].text).toContain('iteration "Sprint 42"');
+    });
+
+    it('should unschedule a story from its release', async () => {
+      // Arrange
+      (mockRallyClient.scheduleArtifact as jest.Mock).mockResolvedValue({});
+
+      // Act
+      const result = await toolHandlers.scheduleArtifact({
+        artifactId: '12345',
+        artifactType: 'story',
+        release: '',
+      });
+
+      // Assert
+      expect(mockRallyClient.scheduleArtifact).toHaveBeenCalledWith('HierarchicalRequirement', '12345', {
+        iteration: undefined,
+        release: null,
+      });
+      expect(result.content[0].text).toContain('no release');
+    });
+
+    it('should require an iteration or release', async () => {
+      // Act
+      const result = await toolHandlers.scheduleArtifact({ artifactId: '12345', artifactType: 'story' });
+
+      // Assert
+      expect(result.isError).toBeTruthy();
+      expect(mockRallyClient.scheduleArtifact).not.toHaveBeenCalled();
+    });
+
+    it('should report unknown timeboxes', async () => {
+      // Arrange
+      (mockRallyClient.scheduleArtifact as jest.Mock).mockRejectedValue(new Error('Iteration "Sprint 99" not found'));
+
+      // Act
+      const result = await toolHandlers.scheduleArtifact({
+        artifactId: '12345',
+        artifactType: 'story',
+        iteration: 'Sprint 99',
+      });
+
+      // Assert
+      expect(result.isError).toBeTruthy();
+      expect(result.content[0].text).toContain('Sprint 99');
+    });
+  });
+});
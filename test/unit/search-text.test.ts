@@ -0,0 +1,110 @@
+import axios from 'axios';
+import { RallyClient } from '../../src/rally/client';
+import { Config } from '../../src/config';
+
+// Mock axios
+jest.mock('axios', () => {
+  return {
+    create: jest.fn(() => ({
+      get: jest.fn(),
+      post: jest.fn(),
+      delete: jest.fn()
+    })),
+    isAxiosError: jest.fn().mockReturnValue(false)
+  };
+});
+const mockAxios = axios as jest.Mocked<typeof axios>;
+
+describe('RallyClient searchText', () => {
+  let client: RallyClient;
+  let mockGet: jest.Mock;
+  const mockConfig: Config = {
+    rallyApiKey: 'test-api-key',
+    rallyWorkspace: 'test-workspace',
+    rallyProject: '42',
+    port: 3000,
+    logLevel: 'info',
+    requestTimeout: 60000
+  };
+  const results: Record<string, any[]> = {};
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGet = jest.fn();
+    mockAxios.create.mockReturnValue({ get: mockGet, post: jest.fn(), delete: jest.fn() } as any);
+
+    client = new RallyClient(mockConfig);
+    // Skip credential validation
+    (client as any).workspaceRef = '/workspace/1';
+
+    results['/HierarchicalRequirement'] = [
+      { ObjectID: 1, FormattedID: 'US1', Name: 'Support SSO login', Description: '<p>Use SAML for login</p>' },
+      { ObjectID: 2, FormattedID: 'US2', Name: 'Profile page', Description: 'Shown after <b>SSO</b> login' }
+    ];
+    results['/Defect'] = [
+      { ObjectID: 3, FormattedID: 'DE3', Name: 'Crash', Notes: 'Happens on sso and on login' }
+    ];
+    results['/ConversationPost'] = [
+      { Text: 'Is SSO login done?', Artifact: { _type: 'HierarchicalRequirement', ObjectID: 2, FormattedID: 'US2', Name: 'Profile page' } },
+      { Text: 'SSO login broke the build', Artifact: { _type: 'TestSet', ObjectID: 9, FormattedID: 'TS9', Name: 'Suite' } }
+    ];
+    mockGet.mockImplementation((url: string) => {
+      if (results[url]) {
+        return Promise.resolve({ data: { QueryResult: { TotalResultCount: results[url].length, Results: results[url] } } });
+      }
+      return Promise.resolve({ data: { QueryResult: { TotalResultCount: 0, Results: [] } } });
+    });
+  });
+
+  it('should require every word in one of the searched fields, scoped to the project', async () => {
+    await client.searchText('SSO login', { types: ['story'] });
+
+    expect(mockGet).toHaveBeenCalledWith('/HierarchicalRequirement', {
+      params: expect.objectContaining({
+        project: '/project/42',
+        query: '((((Name contains "sso") OR (Description contains "sso")) OR (Notes contains "sso")) AND ' +
+          '(((Name contains "login") OR (Description contains "login")) OR (Notes contains "login")))',
+        fetch: 'ObjectID,FormattedID,Name,Description,Notes'
+      })
+    });
+    expect(mockGet).toHaveBeenCalledWith('/ConversationPost', {
+      params: expect.objectContaining({
+        query: '(((Text contains "sso") AND (Text contains "login")) AND (Artifact.Project = /project/42))'
+      })
+    });
+  });
+
+  it('should rank hits by the fields they match and merge discussion matches', async () => {
+    const result = await client.searchText('SSO login');
+
+    expect(result.Hits.map((hit: any) => hit.FormattedID)).toEqual(['US1', 'US2', 'DE3']);
+    expect(result.Hits[0]).toMatchObject({
+      Type: 'story',
+      ObjectID: 1,
+      Uri: 'rally://artifact/US1',
+      MatchedIn: ['Name', 'Description'],
+      Snippet: 'Use SAML for login'
+    });
+    expect(result.Hits[1].MatchedIn).toEqual(['Description', 'Discussion']);
+    expect(result.Hits[2]).toMatchObject({ Type: 'defect', MatchedIn: ['Notes'] });
+    // Discussion posts on types that were not searched are dropped
+    expect(result.TotalHits).toBe(3);
+  });
+
+  it('should report failed types alongside the other hits', async () => {
+    mockGet.mockImplementation((url: string) => url === '/TestCase'
+      ? Promise.reject(new Error('Failed to query TestCase: 403'))
+      : Promise.resolve({ data: { QueryResult: { Results: results[url] || [] } } }));
+
+    const result = await client.searchText('sso');
+
+    expect(result.Errors).toEqual(['Failed to query TestCase: 403']);
+    expect(result.TotalHits).toBe(3);
+  });
+
+  it('should reject empty text and unknown types', async () => {
+    await expect(client.searchText('  ')).rejects.toThrow('Search text must contain at least one word');
+    await expect(client.searchText('sso', { types: ['milestone'] }))
+      .rejects.toThrow('Cannot search milestone. Searchable types: story, defect, task, feature, testcase');
+  });
+});
@@ -0,0 +1,157 @@
+import axios from 'axios';
+import { RallyClient } from '../../src/rally/client';
+import { registerResources } from '../../src/handlers/resources';
+
+// Mock axios
+jest.mock('axios', () => {
+  return {
+    create: jest.fn(() => ({
+      get: jest.fn(),
+      post: jest.fn(),
+      delete: jest.fn()
+    })),
+    isAxiosError: jest.fn().mockReturnValue(false)
+  };
+});
+const mockAxios = axios as jest.Mocked<typeof axios>;
+
+/**
+ * A page of a Rally collection holding `total` members named prefix1, prefix2...
+ */
+function collectionPage(prefix: string, total: number, params: any) {
+  const start = parseInt(params.start, 10);
+  const pageSize = parseInt(params.pagesize, 10);
+  const results = [];
+  for (let i = start; i < start + pageSize && i <= total; i++) {
+    results.push({ ObjectID: i, Name: `${prefix}${i}` });
+  }
+  return { data: { QueryResult: { TotalResultCount: total, StartIndex: start, PageSize: pageSize, Results: results } } };
+}
+
+describe('RallyClient workspaces and projects', () => {
+  let client: RallyClient;
+  let mockGet: jest.Mock;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGet = jest.fn();
+    mockAxios.create.mockReturnValue({ get: mockGet, post: jest.fn(), delete: jest.fn() } as any);
+
+    client = new RallyClient({
+      rallyApiKey: 'test-api-key',
+      rallyWorkspace: 'test-workspace',
+      port: 3000,
+      logLevel: 'info',
+      requestTimeout: 60000
+    });
+  });
+
+  it('should list workspaces, letting query parameters through', async () => {
+    mockGet.mockResolvedValue({ data: { QueryResult: { Results: [{ ObjectID: 1, Name: 'Main' }] } } });
+
+    const result = await client.getWorkspaces({ pagesize: '5' });
+
+    expect(mockGet).toHaveBeenCalledWith('/workspace', {
+      params: { fetch: 'ObjectID,Name,Description,State', pagesize: '5' }
+    });
+    expect(result.QueryResult.Results[0].Name).toBe('Main');
+  });
+
+  it('should list the projects of a workspace', async () => {
+    mockGet.mockResolvedValue({ data: { QueryResult: { Results: [] } } });
+
+    await client.getWorkspaceProjects('1');
+
+    expect(mockGet).toHaveBeenCalledWith('/workspace/1/Projects', {
+      params: { fetch: 'ObjectID,Name,State,Owner,Parent,Children' }
+    });
+  });
+
+  it('should read every child project and team member of a project', async () => {
+    mockGet.mockImplementation((url: string, { params }: any) => {
+      if (url === '/project/9') {
+        return Promise.resolve({ data: { Project: { ObjectID: 9, Name: 'Web' } } });
+      }
+      return Promise.resolve(url.endsWith('/Children')
+        ? collectionPage('Team ', 25, params)
+        : collectionPage('user', 3, params));
+    });
+
+    const project = await client.getProject('9');
+
+    expect(project.Name).toBe('Web');
+    expect(project.Children).toHaveLength(25);
+    expect(project.TeamMembers.map((member: any) => member.Name)).toEqual(['user1', 'user2', 'user3']);
+    expect(project.Truncated).toBe(false);
+    expect(mockGet).toHaveBeenCalledWith('/project/9/Children', {
+      params: { fetch: 'ObjectID,Name,State,Owner', start: '1', pagesize: '1000' }
+    });
+  });
+
+  it('should flag a project whose members do not all fit', async () => {
+    mockGet.mockImplementation((url: string, { params }: any) => {
+      if (url === '/project/9') {
+        return Promise.resolve({ data: { Project: { ObjectID: 9, Name: 'Web' } } });
+      }
+      return Promise.resolve(collectionPage('user', url.endsWith('/TeamMembers') ? 1500 : 0, params));
+    });
+
+    const project = await client.getProject('9');
+
+    expect(project.TeamMembers).toHaveLength(1000);
+    expect(project.Truncated).toBe(true);
+  });
+
+  it('should name the project when reading it fails', async () => {
+    (mockAxios.isAxiosError as unknown as jest.Mock).mockReturnValueOnce(true);
+    mockGet.mockRejectedValue(new Error('Request failed with status code 404'));
+
+    await expect(client.getProject('9')).rejects.toThrow('Failed to fetch project 9: Request failed with status code 404');
+  });
+});
+
+describe('workspace and project resources', () => {
+  let rallyClient: Record<string, jest.Mock>;
+  let resources: Record<string, Function>;
+
+  beforeEach(() => {
+    rallyClient = {
+      getWorkspaces: jest.fn().mockResolvedValue({
+        QueryResult: { TotalResultCount: 1, StartIndex: 1, PageSize: 20, Results: [{ ObjectID: 1, Name: 'Main' }] }
+      }),
+      getWorkspaceProjects: jest.fn().mockResolvedValue({
+        QueryResult: { TotalResultCount: 1, StartIndex: 1, PageSize: 20, Results: [{ ObjectID: 9, Name: 'Web' }] }
+      }),
+      getProject: jest.fn().mockResolvedValue({ ObjectID: 9, Name: 'Web', Children: [], TeamMembers: [], Truncated: false })
+    };
+    resources = {};
+    const server = {
+      resource: jest.fn((name: string, _uri: any, callback: Function) => {
+        resources[name] = callback;
+      })
+    };
+    registerResources(server as any, rallyClient as any);
+  });
+
+  it('should link each workspace to its projects', async () => {
+    const result: any = await resources.workspaces(new URL('rally://workspaces'), {});
+
+    expect(result.contents[0].uri).toBe('rally://workspace/1/projects');
+    expect(JSON.parse(result.contents[0].text).Name).toBe('Main');
+  });
+
+  it('should link each project of a workspace to the project resource', async () => {
+    const result: any = await resources['workspace-projects'](new URL('rally://workspace/1/projects'), { id: '1' }, {});
+
+    expect(rallyClient.getWorkspaceProjects).toHaveBeenCalledWith('1', {});
+    expect(result.contents[0].uri).toBe('rally://project/9');
+  });
+
+  it('should return a project with its children and team members', async () => {
+    const result: any = await resources.project(new URL('rally://project/9'), { id: '9' });
+
+    expect(rallyClient.getProject).toHaveBeenCalledWith('9');
+    expect(result.contents[0].uri).toBe('rally://project/9');
+    expect(JSON.parse(result.contents[0].text)).toMatchObject({ Name: 'Web', Children: [], TeamMembers: [] });
+  });
+});